@@ -0,0 +1,156 @@
+/**
+ * ./js/api-errors.js
+ * API Errors Module - Typed errors for failed model requests
+ * Classifies HTTP and network failures so the retry policy and the UI can tell them apart
+ */
+const ApiErrors = (function() {
+    'use strict';
+
+    // Error names callers can check with err.name
+    const ERROR_NAMES = {
+        rateLimited: 'RateLimitedError',
+        authFailed: 'AuthFailedError',
+        contextTooLong: 'ContextTooLongError',
+        timeout: 'TimeoutError',
+        network: 'NetworkError',
+        http: 'ApiError'
+    };
+
+    // Statuses worth retrying: request timeout, rate limit, server errors, Anthropic "overloaded"
+    const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+    // Provider wordings for a prompt that does not fit the model's context window
+    const CONTEXT_TOO_LONG_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|too many tokens|input token count|exceeds the max(imum)? (number of )?tokens/i;
+
+    /**
+     * Creates a typed API error
+     * @param {string} name - One of ERROR_NAMES
+     * @param {string} message - The error message
+     * @param {Object} [details] - { status, retryable, retryAfterMs, body }
+     * @returns {Error} - The error with name, status, retryable, retryAfterMs and body set
+     */
+    function createApiError(name, message, details = {}) {
+        const err = new Error(message);
+        err.name = name;
+        err.status = details.status || 0;
+        err.retryable = !!details.retryable;
+        err.retryAfterMs = details.retryAfterMs === undefined ? null : details.retryAfterMs;
+        err.body = details.body || '';
+        return err;
+    }
+
+    /**
+     * Parses a Retry-After header given in seconds or as an HTTP date
+     * @param {string|null} value - The header value
+     * @returns {number|null} - Delay in ms, or null when absent or unreadable
+     */
+    function parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Pulls a readable message out of a provider error body
+     * @param {string} bodyText - The raw response body
+     * @returns {string} - The provider's message, or the start of the body
+     */
+    function readErrorMessage(bodyText) {
+        try {
+            const data = JSON.parse(bodyText);
+            const error = Array.isArray(data) ? data[0]?.error : data.error;
+            if (typeof error === 'string') return error;
+            if (error?.message) return error.message;
+            if (data.message) return data.message;
+        } catch (err) {
+            // Not JSON; fall through to the raw text
+        }
+        return (bodyText || '').slice(0, 300);
+    }
+
+    /**
+     * Builds the typed error for a non-2xx response
+     * @param {Response} response - The failed response
+     * @param {string} bodyText - The response body
+     * @returns {Error} - A RateLimited, AuthFailed, ContextTooLong or generic API error
+     */
+    function fromResponse(response, bodyText) {
+        const status = response.status;
+        const detail = readErrorMessage(bodyText);
+        const details = { status, body: bodyText, retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')) };
+        if (status === 429) {
+            // An exhausted quota will not recover by waiting
+            const retryable = !/insufficient_quota|quota exceeded|billing/i.test(bodyText);
+            return createApiError(ERROR_NAMES.rateLimited, `Rate limited (HTTP 429): ${detail}`, { ...details, retryable });
+        }
+        if (status === 401 || status === 403) {
+            return createApiError(ERROR_NAMES.authFailed, `Authentication failed (HTTP ${status}): ${detail}`, details);
+        }
+        if ((status === 400 || status === 413) && CONTEXT_TOO_LONG_PATTERN.test(bodyText)) {
+            return createApiError(ERROR_NAMES.contextTooLong, `Context too long (HTTP ${status}): ${detail}`, details);
+        }
+        return createApiError(ERROR_NAMES.http, `API error ${status}: ${detail}`, {
+            ...details,
+            retryable: RETRYABLE_STATUSES.includes(status)
+        });
+    }
+
+    /**
+     * Creates the error for a request that exceeded its time limit
+     * @param {number} timeout - The limit in ms
+     * @returns {Error} - A retryable TimeoutError
+     */
+    function createTimeoutError(timeout) {
+        return createApiError(ERROR_NAMES.timeout, `Request timed out after ${timeout}ms`, { retryable: true });
+    }
+
+    /**
+     * Creates the error for a request that never got a response
+     * @param {Error} cause - The fetch failure
+     * @returns {Error} - A retryable NetworkError
+     */
+    function createNetworkError(cause) {
+        return createApiError(ERROR_NAMES.network, `Network error: ${cause && cause.message ? cause.message : cause}`, { retryable: true });
+    }
+
+    /**
+     * Gets the message shown to the user for a failed request, with what they can do about it
+     * @param {Error} err - The error
+     * @returns {string} - The user-facing message
+     */
+    function getRecoveryMessage(err) {
+        if (!err) return 'Error: Unknown error.';
+        switch (err.name) {
+            case ERROR_NAMES.rateLimited:
+                if (!err.retryable) {
+                    return 'The provider reports that the API quota is used up. Check the plan or billing for this key, or pick another model in Settings.';
+                }
+                return err.retryAfterMs
+                    ? `The provider is rate limiting requests. Try again in about ${Math.ceil(err.retryAfterMs / 1000)} seconds, or pick another model in Settings.`
+                    : 'The provider is rate limiting requests. Wait a minute and try again, or pick another model in Settings.';
+            case ERROR_NAMES.authFailed:
+                return 'The API key was rejected. Check the key for this provider in Settings, or reload and re-enter your password.';
+            case ERROR_NAMES.contextTooLong:
+                return 'The conversation is too long for this model. Clear the chat, or switch to a model with a larger context window in Settings.';
+            case ERROR_NAMES.timeout:
+                return 'The model took too long to answer. Try again; turning on streaming or choosing a faster model can help.';
+            case ERROR_NAMES.network:
+                return 'The API could not be reached. Check your connection (and any custom endpoint URL) and try again.';
+            default:
+                return 'Error: ' + err.message;
+        }
+    }
+
+    // Public API
+    return {
+        ERROR_NAMES,
+        createApiError,
+        createTimeoutError,
+        createNetworkError,
+        fromResponse,
+        parseRetryAfter,
+        getRecoveryMessage
+    };
+})();
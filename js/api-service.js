@@ -1,7 +1,7 @@
 /**
  * ./js/api-service.js
  * API Service Module - Handles all communication with AI APIs
- * Interfaces with OpenAI and Gemini APIs and manages API keys
+ * Routes requests through a registry of provider adapters and manages API keys
  */
 const ApiService = (function() {
     'use strict';
@@ -40,6 +40,14 @@ const ApiService = (function() {
         responseMimeType: "text/plain"
     };
 
+    // Sampling parameters from settings: preset values plus per-model overrides.
+    // Params use provider-neutral names ({ temperature, topP, topK, maxOutputTokens });
+    // a missing value leaves the provider default in place.
+    const generationSettings = {
+        defaults: {},
+        perModel: {}
+    };
+
     /**
      * Initialize the API service by decrypting the API key
      * @param {string} password - The password to decrypt the API key
@@ -58,59 +66,254 @@ const ApiService = (function() {
     }
 
     /**
-     * Sends a non-streaming request to OpenAI API
+     * Parses tool call arguments that may arrive as a JSON string
+     * @param {string|Object} args - The raw arguments
+     * @returns {Object} - The parsed arguments (empty object if invalid)
+     */
+    function parseToolArguments(args) {
+        if (args && typeof args === 'object') return args;
+        if (!args) return {};
+        try {
+            const parsed = JSON.parse(args);
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (err) {
+            console.warn('Tool arguments parse error:', err, 'from', args);
+            return {};
+        }
+    }
+
+    /**
+     * Rewrites structured tool turns as plain text turns, for models
+     * without native function calling
+     * @param {Array} chatHistory - The message history
+     * @returns {Array} - History with only system/user/assistant text turns
+     */
+    function flattenToolTurns(chatHistory) {
+        return chatHistory.map(item => {
+            if (item.role === 'tool') {
+                return { role: 'user', content: `Tool result (${item.name}):\n${item.content}` };
+            }
+            if (item.role === 'assistant' && item.toolCalls && item.toolCalls.length) {
+                const calls = item.toolCalls.map(call => JSON.stringify({ tool: call.name, arguments: call.arguments }));
+                return { role: 'assistant', content: [item.content, ...calls].filter(Boolean).join('\n') };
+            }
+            return item;
+        });
+    }
+
+    /**
+     * Gets the image attachments of a history entry
+     * @param {Object} item - The history entry
+     * @returns {Array<{mimeType:string,data:string,name:string}>} - Images with base64 data
+     */
+    function getImageAttachments(item) {
+        return (item.attachments || []).filter(a => a.type === 'image' && a.data);
+    }
+
+    /**
+     * Maps non-system chat history entries to Gemini contents. Consecutive
+     * turns of the same role are merged, since Gemini expects user and model
+     * turns to alternate; turns without any content are dropped.
+     * @param {Array} chatHistory - The message history
+     * @returns {Array} - Gemini contents array
+     */
+    function toGeminiContents(chatHistory) {
+        const contents = [];
+        chatHistory.filter(item => item.role !== 'system').forEach(item => {
+            let role = 'user';
+            let parts;
+            if (item.role === 'tool') {
+                parts = [{ functionResponse: { name: item.name, response: { content: item.content } } }];
+            } else {
+                role = item.role === 'assistant' ? 'model' : 'user';
+                parts = item.content ? [{ text: item.content }] : [];
+                getImageAttachments(item).forEach(image => {
+                    parts.push({ inlineData: { mimeType: image.mimeType, data: image.data } });
+                });
+                (item.toolCalls || []).forEach(call => {
+                    parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+                });
+            }
+            if (!parts.length) return;
+            const last = contents[contents.length - 1];
+            if (last && last.role === role) {
+                last.parts.push(...parts);
+            } else {
+                contents.push({ role, parts });
+            }
+        });
+        return contents;
+    }
+
+    /**
+     * Whether a Gemini API model accepts systemInstruction (Gemma models reject it)
+     * @param {string} model - The model id
+     * @returns {boolean}
+     */
+    function supportsSystemInstruction(model) {
+        return !model.startsWith('gemma');
+    }
+
+    /**
+     * Reads text and function calls from Gemini response parts
+     * @param {Array} parts - Candidate content parts
+     * @returns {{text:string,toolCalls:Array}} - Text and normalized tool calls
+     */
+    function readGeminiParts(parts = []) {
+        const toolCalls = parts
+            .filter(p => p.functionCall)
+            .map(p => ({ id: Utils.generateId('call'), name: p.functionCall.name, arguments: p.functionCall.args || {} }));
+        const text = parts.filter(p => typeof p.text === 'string').map(p => p.text).join('');
+        return { text, toolCalls };
+    }
+
+    /**
+     * Maps normalized tool definitions to Gemini function declarations
+     * @param {Array} tools - [{ name, description, parameters }]
+     * @returns {Array} - Gemini tools array
+     */
+    function toGeminiTools(tools) {
+        return [{ functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parameters: t.parameters })) }];
+    }
+
+    // Built-in OpenAI endpoint; custom OpenAI-compatible endpoints share the same request code
+    const openAIEndpoint = {
+        baseUrl: 'https://api.openai.com/v1',
+        getApiKey: () => apiKey,
+        headers: {}
+    };
+
+    // Prefix for model ids served by custom endpoints: "endpoint:<endpointId>/<modelId>"
+    const ENDPOINT_MODEL_PREFIX = 'endpoint:';
+
+    /**
+     * Builds request headers for an OpenAI-compatible endpoint
+     * @param {Object} endpoint - { baseUrl, getApiKey, headers }
+     * @param {boolean} [withBody] - Whether the request sends a JSON body
+     * @returns {Object} - The request headers
+     */
+    function buildOpenAIHeaders(endpoint, withBody = true) {
+        const headers = { ...(endpoint.headers || {}) };
+        if (withBody) headers['Content-Type'] = 'application/json';
+        const key = endpoint.getApiKey ? endpoint.getApiKey() : '';
+        if (key) headers['Authorization'] = 'Bearer ' + key;
+        return headers;
+    }
+
+    /**
+     * Maps chat history entries to OpenAI chat messages
+     * @param {Array} chatHistory - The message history
+     * @returns {Array} - OpenAI messages array
+     */
+    function toOpenAIMessages(chatHistory) {
+        return chatHistory.map(item => {
+            if (item.role === 'tool') {
+                return { role: 'tool', tool_call_id: item.toolCallId, content: item.content };
+            }
+            if (item.role === 'assistant' && item.toolCalls && item.toolCalls.length) {
+                return {
+                    role: 'assistant',
+                    content: item.content || null,
+                    tool_calls: item.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                    }))
+                };
+            }
+            const images = getImageAttachments(item);
+            if (images.length) {
+                const content = item.content ? [{ type: 'text', text: item.content }] : [];
+                images.forEach(image => {
+                    content.push({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } });
+                });
+                return { role: item.role, content };
+            }
+            return { role: item.role, content: item.content };
+        });
+    }
+
+    /**
+     * Normalizes an OpenAI usage object
+     * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+     * @returns {Object|null} - { promptTokens, completionTokens, totalTokens } or null
+     */
+    function normalizeOpenAIUsage(usage) {
+        if (!usage) return null;
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        return { promptTokens, completionTokens, totalTokens: usage.total_tokens || promptTokens + completionTokens };
+    }
+
+    /**
+     * Builds an OpenAI chat-completions payload
      * @param {string} model - The model to use
-     * @param {Array} messages - The message history
-     * @param {number} [timeout] - Optional timeout in ms
+     * @param {Array} chatHistory - The message history
+     * @param {Object} options - Request options ({ tools, generation })
+     * @returns {Object} - The request payload
+     */
+    function toOpenAIPayload(model, chatHistory, options) {
+        const payload = { model, messages: toOpenAIMessages(chatHistory) };
+        // OpenAI has no topK; compatible servers that do are reached with their own defaults
+        const generation = options.generation || {};
+        if (generation.temperature !== undefined) payload.temperature = generation.temperature;
+        if (generation.topP !== undefined) payload.top_p = generation.topP;
+        if (generation.maxOutputTokens !== undefined) payload.max_tokens = generation.maxOutputTokens;
+        if (options.tools && options.tools.length) {
+            payload.tools = options.tools.map(t => ({
+                type: 'function',
+                function: { name: t.name, description: t.description, parameters: t.parameters }
+            }));
+        }
+        return payload;
+    }
+
+    /**
+     * Sends a non-streaming request to an OpenAI-compatible API
+     * @param {Object} endpoint - { baseUrl, getApiKey, headers }
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Object} [options] - Request options ({ timeout, tools, signal })
      * @returns {Promise<Object>} - The API response
      */
-    async function sendOpenAIRequest(model, messages, timeout = 10000) {
-        const payload = { model, messages };
-        const response = await Utils.fetchWithRetry('https://api.openai.com/v1/chat/completions', {
+    async function sendOpenAIRequest(endpoint, model, chatHistory, options = {}) {
+        const response = await Utils.fetchWithRetry(`${endpoint.baseUrl}/chat/completions`, {
             method: 'POST',
             mode: 'cors',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify(payload)
-        }, 3, 1000, timeout);
-        
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
+            headers: buildOpenAIHeaders(endpoint),
+            signal: options.signal,
+            body: JSON.stringify(toOpenAIPayload(model, chatHistory, options))
+        }, 3, 1000, options.timeout || 10000);
         
         return response.json();
     }
 
     /**
-     * Sends a streaming request to OpenAI API
+     * Sends a streaming request to an OpenAI-compatible API
+     * @param {Object} endpoint - { baseUrl, getApiKey, headers }
      * @param {string} model - The model to use
-     * @param {Array} messages - The message history
+     * @param {Array} chatHistory - The message history
      * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
+     * @param {Object} [options] - Request options ({ tools, signal })
+     * @returns {Promise<{text:string,toolCalls:Array,usage:Object|null}>} - The full response text, tool calls and usage
      */
-    async function streamOpenAIRequest(model, messages, onChunk) {
-        const response = await Utils.fetchWithRetry('https://api.openai.com/v1/chat/completions', {
+    async function streamOpenAIRequest(endpoint, model, chatHistory, onChunk, options = {}) {
+        const response = await Utils.fetchWithRetry(`${endpoint.baseUrl}/chat/completions`, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify({ model, messages, stream: true })
+            headers: buildOpenAIHeaders(endpoint),
+            signal: options.signal,
+            // include_usage adds a final chunk carrying the token usage of the whole request
+            body: JSON.stringify({ ...toOpenAIPayload(model, chatHistory, options), stream: true, stream_options: { include_usage: true } })
         }, 3, 1000, 10000);
         
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
-        
         const reader = response.body.getReader();
         const decoder = new TextDecoder('utf-8');
         let done = false;
         let eventBuffer = '';
         let fullReply = '';
+        let usage = null;
+        // Tool call fragments keyed by their stream index
+        const toolCallParts = [];
         
         while (!done) {
             const { value, done: doneReading } = await reader.read();
@@ -133,93 +336,124 @@ const ApiService = (function() {
                         break;
                     }
                     
+                    if (parsed.data?.usage) {
+                        usage = normalizeOpenAIUsage(parsed.data.usage);
+                    }
                     const delta = parsed.data?.choices?.[0]?.delta;
                     if (delta?.content) {
                         fullReply += delta.content;
                         if (onChunk) onChunk(delta.content, fullReply);
                     }
+                    (delta?.tool_calls || []).forEach(part => {
+                        const index = part.index || 0;
+                        const entry = toolCallParts[index] || (toolCallParts[index] = { id: '', name: '', arguments: '' });
+                        if (part.id) entry.id = part.id;
+                        if (part.function?.name) entry.name += part.function.name;
+                        if (part.function?.arguments) entry.arguments += part.function.arguments;
+                    });
                 }
                 if (done) break;
             }
         }
         
-        return fullReply;
+        const toolCalls = toolCallParts.filter(Boolean).map(entry => ({
+            id: entry.id || Utils.generateId('call'),
+            name: entry.name,
+            arguments: parseToolArguments(entry.arguments)
+        }));
+        return { text: fullReply, toolCalls, usage };
+    }
+
+    /**
+     * Normalizes Gemini usageMetadata
+     * @param {Object} meta - { promptTokenCount, candidatesTokenCount, totalTokenCount }
+     * @returns {Object|null} - { promptTokens, completionTokens, totalTokens } or null
+     */
+    function normalizeGeminiUsage(meta) {
+        if (!meta) return null;
+        const promptTokens = meta.promptTokenCount || 0;
+        const completionTokens = meta.candidatesTokenCount || 0;
+        return { promptTokens, completionTokens, totalTokens: meta.totalTokenCount || promptTokens + completionTokens };
     }
     
     /**
-     * Creates a Gemini session
+     * Builds a Gemini request body. System messages become systemInstruction,
+     * or lead the first user turn for models that do not accept it.
      * @param {string} model - The model to use
-     * @returns {Object} - Session with sendMessage method
+     * @param {Array} chatHistory - The message history
+     * @param {Object} options - Request options ({ tools, generation })
+     * @returns {Object} - The request body
      */
-    function createGeminiSession(model) {
-        return {
-            sendMessage: async function(userText, chatHistory) {
-                // Prepare contents array and request body
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
-                }));
-                
-                const requestBody = {
-                    contents: contents,
-                    generationConfig: generationConfig
-                };
-                
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const response = await Utils.fetchWithProxyRetry(url, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(requestBody)
-                }, undefined, 3, 1000, 10000);
-                
-                if (!response.ok) {
-                    const errText = await response.text();
-                    throw new Error(`API error ${response.status}: ${errText}`);
-                }
-                
-                const result = await response.json();
-                if (!result.candidates || result.candidates.length === 0) {
-                    throw new Error('No response from API');
-                }
-                
-                return result;
+    function toGeminiRequest(model, chatHistory, options) {
+        const systemText = chatHistory
+            .filter(item => item.role === 'system' && item.content)
+            .map(item => item.content)
+            .join('\n\n');
+        const contents = toGeminiContents(chatHistory);
+        const requestBody = { contents, generationConfig: { ...generationConfig, ...(options.generation || {}) } };
+        if (systemText && supportsSystemInstruction(model)) {
+            requestBody.systemInstruction = { parts: [{ text: systemText }] };
+        } else if (systemText) {
+            if (contents.length && contents[0].role === 'user') {
+                contents[0].parts.unshift({ text: systemText });
+            } else {
+                contents.unshift({ role: 'user', parts: [{ text: systemText }] });
             }
-        };
+        }
+        if (options.tools && options.tools.length) {
+            requestBody.tools = toGeminiTools(options.tools);
+        }
+        return requestBody;
     }
 
     /**
-     * Sends a streaming request to Gemini API
+     * Sends a non-streaming request to Gemini API
      * @param {string} model - The model to use
      * @param {Array} chatHistory - The message history
-     * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
+     * @param {Object} [options] - Request options ({ timeout, tools, signal })
+     * @returns {Promise<Object>} - The API response
      */
-    async function streamGeminiRequest(model, chatHistory, onChunk) {
-        // Build the request body
-        const contents = chatHistory.map(item => ({
-            role: item.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: item.content }]
-        }));
+    async function sendGeminiRequest(model, chatHistory, options = {}) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
+        const response = await Utils.fetchWithProxyRetry(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            signal: options.signal,
+            body: JSON.stringify(toGeminiRequest(model, chatHistory, options))
+        }, undefined, 3, 1000, options.timeout || 10000);
         
-        const requestBody = { contents, generationConfig };
+        const result = await response.json();
+        if (!result.candidates || result.candidates.length === 0) {
+            throw new Error('No response from API');
+        }
         
+        return result;
+    }
+
+    /**
+     * Sends a streaming request to Gemini API
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Function} onChunk - Callback for each chunk of data
+     * @param {Object} [options] - Request options ({ tools, signal })
+     * @returns {Promise<{text:string,toolCalls:Array,usage:Object|null}>} - The full response text, tool calls and usage
+     */
+    async function streamGeminiRequest(model, chatHistory, onChunk, options = {}) {
         // Send the streaming request
         const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${geminiApiKey}`;
         const response = await Utils.fetchWithRetry(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
+            signal: options.signal,
+            body: JSON.stringify(toGeminiRequest(model, chatHistory, options))
         }, 3, 1000, 10000);
         
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
-        
         // Process the streaming response
         const reader = response.body.getReader();
         const decoder = new TextDecoder('utf-8');
         let done = false, buffer = '', fullReply = '';
+        let usage = null;
+        const toolCalls = [];
         
         while (!done) {
             const { value, done: doneReading } = await reader.read();
@@ -239,11 +473,16 @@ const ApiService = (function() {
                     
                     try {
                         const parsed = JSON.parse(data);
-                        const parts = parsed.candidates?.[0]?.content?.parts || [];
-                        const textChunk = parts[parts.length - 1]?.text || '';
-                        
-                        fullReply += textChunk;
-                        if (onChunk) onChunk(textChunk, fullReply);
+                        // usageMetadata is cumulative; the last chunk holds the final counts
+                        if (parsed.usageMetadata) {
+                            usage = normalizeGeminiUsage(parsed.usageMetadata);
+                        }
+                        const chunk = readGeminiParts(parsed.candidates?.[0]?.content?.parts);
+                        toolCalls.push(...chunk.toolCalls);
+                        if (chunk.text) {
+                            fullReply += chunk.text;
+                            if (onChunk) onChunk(chunk.text, fullReply);
+                        }
                     } catch (err) {
                         console.error('Stream parsing error', err);
                     }
@@ -251,53 +490,574 @@ const ApiService = (function() {
             }
         }
         
-        return fullReply;
+        return { text: fullReply, toolCalls, usage };
     }
 
+    // Anthropic Messages API configuration (key and base URL come from settings)
+    const anthropicConfig = {
+        apiKey: '',
+        baseUrl: 'https://api.anthropic.com/v1',
+        version: '2023-06-01',
+        maxTokens: 4096
+    };
+
     /**
-     * Gets the token usage for the last interaction
-     * @param {string} model - The model used
-     * @param {Array} chatHistory - The current chat history
-     * @returns {Promise<number>} - The token count of the last interaction
+     * Maps chat history to an Anthropic Messages request body.
+     * System entries become the top-level `system` field; consecutive
+     * same-role turns are merged since the API expects alternation.
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Object} [options] - Request options ({ tools })
+     * @returns {Object} - The request body
      */
-    async function getTokenUsage(model, chatHistory) {
-        try {
-            let usageResult;
-            
-            if (model.startsWith('gpt')) {
-                // ChatGPT usage via non-stream call
-                const res = await sendOpenAIRequest(model, chatHistory);
-                return res.usage?.total_tokens || 0;
+    function toAnthropicRequest(model, chatHistory, options = {}) {
+        const system = chatHistory
+            .filter(item => item.role === 'system' && item.content)
+            .map(item => item.content)
+            .join('\n\n');
+        const messages = [];
+        chatHistory.forEach(item => {
+            if (item.role === 'system') return;
+            const blocks = [];
+            if (item.role === 'tool') {
+                blocks.push({ type: 'tool_result', tool_use_id: item.toolCallId, content: item.content });
+            } else {
+                getImageAttachments(item).forEach(image => {
+                    blocks.push({ type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } });
+                });
+                if (item.content) blocks.push({ type: 'text', text: item.content });
+                (item.toolCalls || []).forEach(call => {
+                    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+                });
+            }
+            if (!blocks.length) return;
+            const role = item.role === 'assistant' ? 'assistant' : 'user';
+            const last = messages[messages.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
             } else {
-                // Gemini usage
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
+                messages.push({ role, content: blocks });
+            }
+        });
+        const generation = options.generation || {};
+        const body = { model, max_tokens: generation.maxOutputTokens || anthropicConfig.maxTokens, messages };
+        if (generation.temperature !== undefined) body.temperature = Math.min(generation.temperature, 1); // Anthropic caps at 1
+        if (generation.topP !== undefined) body.top_p = generation.topP;
+        if (generation.topK !== undefined) body.top_k = generation.topK;
+        if (system) body.system = system;
+        if (options.tools && options.tools.length) {
+            body.tools = options.tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+        }
+        return body;
+    }
+
+    /**
+     * Builds request headers for the Anthropic Messages API
+     * @returns {Object} - The request headers
+     */
+    function buildAnthropicHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': anthropicConfig.apiKey,
+            'anthropic-version': anthropicConfig.version,
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    /**
+     * Creates an incremental parser for Anthropic Messages SSE streams.
+     * Feed raw text with push(); each call returns the text deltas it completed.
+     * @returns {{push:Function,finish:Function}} - The parser
+     */
+    function createAnthropicStreamParser() {
+        const result = {
+            text: '',
+            toolCalls: [],
+            usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+            stopReason: null,
+            done: false
+        };
+        // tool_use blocks keyed by content block index, with their partial JSON input
+        const toolBlocks = new Map();
+        let buffer = '';
+
+        function handleEvent(block) {
+            let eventName = '';
+            const dataLines = [];
+            block.split(/\r?\n/).forEach(line => {
+                if (line.startsWith('event:')) eventName = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+            });
+            if (!dataLines.length) return '';
+            let data;
+            try {
+                data = JSON.parse(dataLines.join('\n'));
+            } catch (err) {
+                console.error('Stream parsing error', err);
+                return '';
+            }
+            const type = data.type || eventName;
+            switch (type) {
+                case 'message_start':
+                    result.usage.promptTokens = data.message?.usage?.input_tokens || 0;
+                    result.usage.completionTokens = data.message?.usage?.output_tokens || 0;
+                    break;
+                case 'content_block_start':
+                    if (data.content_block?.type === 'tool_use') {
+                        toolBlocks.set(data.index, { id: data.content_block.id, name: data.content_block.name, json: '' });
+                    }
+                    break;
+                case 'content_block_delta':
+                    if (data.delta?.type === 'text_delta' && data.delta.text) {
+                        result.text += data.delta.text;
+                        return data.delta.text;
+                    }
+                    if (data.delta?.type === 'input_json_delta' && toolBlocks.has(data.index)) {
+                        toolBlocks.get(data.index).json += data.delta.partial_json || '';
+                    }
+                    break;
+                case 'message_delta':
+                    if (data.usage?.output_tokens !== undefined) {
+                        result.usage.completionTokens = data.usage.output_tokens;
+                    }
+                    if (data.delta?.stop_reason) result.stopReason = data.delta.stop_reason;
+                    break;
+                case 'message_stop':
+                    result.done = true;
+                    break;
+                case 'error': {
+                    // Mid-stream errors cannot be retried, but keep their type for the UI
+                    const type = data.error?.type;
+                    const name = type === 'rate_limit_error' ? ApiErrors.ERROR_NAMES.rateLimited : ApiErrors.ERROR_NAMES.http;
+                    throw ApiErrors.createApiError(name, `API error: ${data.error?.message || 'stream error'}`, {
+                        status: type === 'overloaded_error' ? 529 : 0,
+                        retryable: type === 'rate_limit_error' || type === 'overloaded_error'
+                    });
+                }
+                default:
+                    // ping and content_block_stop carry no content
+                    break;
+            }
+            return '';
+        }
+
+        return {
+            push(chunk) {
+                buffer += chunk;
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop(); // keep incomplete event
+                return events.map(handleEvent).filter(Boolean);
+            },
+            finish() {
+                if (buffer.trim()) handleEvent(buffer);
+                buffer = '';
+                result.toolCalls = Array.from(toolBlocks.values()).map(b => ({
+                    id: b.id,
+                    name: b.name,
+                    arguments: parseToolArguments(b.json)
                 }));
-                
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const res = await Utils.fetchWithProxyRetry(url, {
-                    method: 'POST', 
-                    headers: { 'Content-Type': 'application/json' }, 
-                    body: JSON.stringify({ contents, generationConfig })
-                }, undefined, 3, 1000, 10000);
-                
-                usageResult = await res.json();
-                return usageResult.usageMetadata?.totalTokenCount || 0;
+                result.usage.totalTokens = result.usage.promptTokens + result.usage.completionTokens;
+                return result;
             }
-        } catch (err) {
-            console.error('Error fetching token usage:', err);
-            return 0;
+        };
+    }
+
+    /**
+     * Sends a non-streaming request to the Anthropic Messages API
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Object} [options] - Request options ({ timeout, tools, signal })
+     * @returns {Promise<Object>} - The API response
+     */
+    async function sendAnthropicRequest(model, chatHistory, options = {}) {
+        const response = await Utils.fetchWithRetry(`${anthropicConfig.baseUrl}/messages`, {
+            method: 'POST',
+            headers: buildAnthropicHeaders(),
+            signal: options.signal,
+            body: JSON.stringify(toAnthropicRequest(model, chatHistory, options))
+        }, 3, 1000, options.timeout || 10000);
+
+        return response.json();
+    }
+
+    /**
+     * Sends a streaming request to the Anthropic Messages API
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Function} onChunk - Callback for each chunk of data
+     * @param {Object} [options] - Request options ({ tools, signal })
+     * @returns {Promise<{text:string,toolCalls:Array,usage:Object}>} - The full response text, tool calls and usage
+     */
+    async function streamAnthropicRequest(model, chatHistory, onChunk, options = {}) {
+        const response = await Utils.fetchWithRetry(`${anthropicConfig.baseUrl}/messages`, {
+            method: 'POST',
+            headers: buildAnthropicHeaders(),
+            signal: options.signal,
+            body: JSON.stringify({ ...toAnthropicRequest(model, chatHistory, options), stream: true })
+        }, 3, 1000, 10000);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        const parser = createAnthropicStreamParser();
+        let done = false, fullReply = '';
+
+        while (!done) {
+            const { value, done: doneReading } = await reader.read();
+            done = doneReading;
+            const deltas = parser.push(decoder.decode(value || new Uint8Array(), { stream: !done }));
+            for (const delta of deltas) {
+                fullReply += delta;
+                if (onChunk) onChunk(delta, fullReply);
+            }
+        }
+
+        const result = parser.finish();
+        return { text: result.text, toolCalls: result.toolCalls, usage: result.usage };
+    }
+
+    // Provider adapters
+    // Each adapter declares:
+    //   - id / name: Unique identifier and display name
+    //   - models: Array of { id, label, description } offered in the model picker
+    //   - capabilities: { streaming, tools } feature flags, or capabilitiesFor(model) when they vary per model
+    //   - matches(model): Whether the adapter serves the given model id
+    //   - complete(model, messages, options): Resolves to { text, toolCalls, usage, raw }
+    //   - stream(model, messages, onChunk, options): Resolves to { text, toolCalls, usage }
+    // usage is normalized to { promptTokens, completionTokens, totalTokens } or null when unknown.
+    // toolCalls is normalized to [{ id, name, arguments }].
+    // options.generation holds { temperature, topP, topK, maxOutputTokens } for the adapter to map;
+    // adapters skip parameters their API does not have.
+
+    /**
+     * Creates an adapter for an OpenAI chat-completions compatible endpoint
+     * @param {Object} config - { id, name, endpoint, models, matches, toRequestModel, tools }
+     * @returns {Object} - The provider adapter
+     */
+    function createOpenAICompatibleAdapter({ id, name, endpoint, models, matches, toRequestModel = model => model, tools = true }) {
+        return {
+            id,
+            name,
+            endpoint,
+            models,
+            capabilities: { streaming: true, tools },
+            matches,
+            complete: async function(model, messages, options = {}) {
+                const res = await sendOpenAIRequest(endpoint, toRequestModel(model), messages, options);
+                if (res.error) {
+                    throw new Error(res.error.message);
+                }
+                const message = res.choices?.[0]?.message || {};
+                return {
+                    text: message.content || '',
+                    toolCalls: (message.tool_calls || []).map(call => ({
+                        id: call.id || Utils.generateId('call'),
+                        name: call.function?.name,
+                        arguments: parseToolArguments(call.function?.arguments)
+                    })),
+                    usage: normalizeOpenAIUsage(res.usage),
+                    raw: res
+                };
+            },
+            stream: async function(model, messages, onChunk, options = {}) {
+                return streamOpenAIRequest(endpoint, toRequestModel(model), messages, onChunk, options);
+            }
+        };
+    }
+
+    const openAIAdapter = createOpenAICompatibleAdapter({
+        id: 'openai',
+        name: 'OpenAI',
+        endpoint: openAIEndpoint,
+        models: [
+            { id: 'gpt-4.1-mini', label: 'GPT-4.1 Mini', description: 'GPT-4.1 Mini: Fast, good for general tasks' },
+            { id: 'gpt-4.1-nano', label: 'GPT-4.1 Nano', description: 'GPT-4.1 Nano: Very fast, lower cost, basic tasks' }
+        ],
+        matches: model => model.startsWith('gpt')
+    });
+
+    const geminiAdapter = {
+        id: 'gemini',
+        name: 'Google Gemini',
+        models: [
+            { id: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash', description: 'Gemini 2.0 Flash: Google model, fast and capable' },
+            { id: 'gemma-3-27b-it', label: 'Gemma 3-27b IT', description: 'Gemma 3-27b IT: Open-source, strong reasoning' }
+        ],
+        capabilities: { streaming: true, tools: true },
+        // Gemma models on the Gemini API do not support function calling
+        capabilitiesFor: model => ({ streaming: true, tools: !model.startsWith('gemma') }),
+        matches: model => model.startsWith('gemini') || model.startsWith('gemma'),
+        complete: async function(model, messages, options = {}) {
+            const res = await sendGeminiRequest(model, messages, options);
+            const { text, toolCalls } = readGeminiParts(res.candidates?.[0]?.content?.parts);
+            return {
+                text,
+                toolCalls,
+                usage: normalizeGeminiUsage(res.usageMetadata),
+                raw: res
+            };
+        },
+        stream: async function(model, messages, onChunk, options = {}) {
+            return streamGeminiRequest(model, messages, onChunk, options);
+        }
+    };
+
+    const anthropicAdapter = {
+        id: 'anthropic',
+        name: 'Anthropic',
+        models: [
+            { id: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku', description: 'Claude 3.5 Haiku: Fast and inexpensive' },
+            { id: 'claude-3-7-sonnet-latest', label: 'Claude 3.7 Sonnet', description: 'Claude 3.7 Sonnet: Strong reasoning and writing' },
+            { id: 'claude-sonnet-4-0', label: 'Claude Sonnet 4', description: 'Claude Sonnet 4: Most capable, slower' }
+        ],
+        capabilities: { streaming: true, tools: true },
+        matches: model => model.startsWith('claude'),
+        complete: async function(model, messages, options = {}) {
+            const res = await sendAnthropicRequest(model, messages, options);
+            const blocks = res.content || [];
+            const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+            const toolCalls = blocks
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+            const promptTokens = res.usage?.input_tokens || 0;
+            const completionTokens = res.usage?.output_tokens || 0;
+            return {
+                text,
+                toolCalls,
+                usage: res.usage ? { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } : null,
+                raw: res
+            };
+        },
+        stream: async function(model, messages, onChunk, options = {}) {
+            return streamAnthropicRequest(model, messages, onChunk, options);
+        }
+    };
+
+    // Provider registry (first match wins)
+    const providers = [openAIAdapter, geminiAdapter, anthropicAdapter];
+
+    // Called after each successful complete or stream call; ReplayService records sessions with it
+    let callObserver = null;
+
+    /**
+     * Updates the Anthropic API key and base URL (a local mock server can be used as base URL)
+     * @param {{apiKey:string,baseUrl:string}} config - The Anthropic settings
+     */
+    function configureAnthropic(config = {}) {
+        anthropicConfig.apiKey = config.apiKey || '';
+        anthropicConfig.baseUrl = (config.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+    }
+
+    /**
+     * Sets the sampling parameters applied to every request
+     * @param {{defaults:Object,perModel:Object}} config - Preset params and per-model overrides keyed by model id
+     */
+    function configureGeneration(config = {}) {
+        generationSettings.defaults = { ...(config.defaults || {}) };
+        generationSettings.perModel = { ...(config.perModel || {}) };
+    }
+
+    /**
+     * Resolves the sampling parameters for a model: per-model overrides win over the preset
+     * @param {string} model - The model id
+     * @returns {Object} - { temperature, topP, topK, maxOutputTokens } with unset values omitted
+     */
+    function getGenerationParams(model) {
+        const merged = { ...generationSettings.defaults, ...(generationSettings.perModel[model] || {}) };
+        const params = {};
+        ['temperature', 'topP', 'topK', 'maxOutputTokens'].forEach(key => {
+            if (typeof merged[key] === 'number' && !isNaN(merged[key])) params[key] = merged[key];
+        });
+        return params;
+    }
+
+    /**
+     * Registers a provider adapter, replacing any adapter with the same id
+     * @param {Object} adapter - The provider adapter (see adapter shape above)
+     */
+    function registerProvider(adapter) {
+        if (!adapter || !adapter.id || typeof adapter.matches !== 'function' || typeof adapter.complete !== 'function') {
+            throw new Error('Invalid provider adapter');
+        }
+        const index = providers.findIndex(p => p.id === adapter.id);
+        if (index >= 0) {
+            providers[index] = adapter;
+        } else {
+            providers.push(adapter);
+        }
+    }
+
+    /**
+     * Removes a provider adapter
+     * @param {string} id - The adapter id
+     */
+    function unregisterProvider(id) {
+        const index = providers.findIndex(p => p.id === id);
+        if (index >= 0) providers.splice(index, 1);
+    }
+
+    /**
+     * Sets or clears the observer told about every successful model call
+     * @param {Function|null} observer - Receives { model, messages, streamed, result }
+     */
+    function setCallObserver(observer) {
+        callObserver = observer || null;
+    }
+
+    /**
+     * Replaces the registered custom endpoint adapters
+     * @param {Array<{id:string,name:string,baseUrl:string,apiKey:string,headers:Object,nativeTools:boolean}>} endpoints
+     */
+    function configureEndpoints(endpoints = []) {
+        for (let i = providers.length - 1; i >= 0; i--) {
+            if (providers[i].id.startsWith(ENDPOINT_MODEL_PREFIX)) providers.splice(i, 1);
+        }
+        endpoints.forEach(ep => {
+            if (!ep || !ep.id || !ep.baseUrl) return;
+            const prefix = `${ENDPOINT_MODEL_PREFIX}${ep.id}/`;
+            registerProvider(createOpenAICompatibleAdapter({
+                id: `${ENDPOINT_MODEL_PREFIX}${ep.id}`,
+                name: ep.name || ep.id,
+                endpoint: {
+                    baseUrl: ep.baseUrl.replace(/\/+$/, ''),
+                    getApiKey: () => ep.apiKey || '',
+                    headers: ep.headers || {}
+                },
+                models: [],
+                matches: model => model.startsWith(prefix),
+                toRequestModel: model => model.slice(prefix.length),
+                tools: !!ep.nativeTools
+            }));
+        });
+    }
+
+    /**
+     * Fills the model list of every custom endpoint from its /models route
+     * @returns {Promise<Array<{id:string,name:string,count:number,error:string|null}>>} - Per-endpoint results
+     */
+    async function discoverEndpointModels() {
+        const custom = providers.filter(p => p.id.startsWith(ENDPOINT_MODEL_PREFIX));
+        return Promise.all(custom.map(async adapter => {
+            try {
+                const response = await Utils.fetchWithTimeout(`${adapter.endpoint.baseUrl}/models`, {
+                    method: 'GET',
+                    headers: buildOpenAIHeaders(adapter.endpoint, false)
+                }, 5000);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const result = await response.json();
+                const ids = (result.data || result.models || []).map(m => m.id || m.name).filter(Boolean);
+                adapter.models = ids.map(modelId => ({
+                    id: `${adapter.id}/${modelId}`,
+                    label: modelId,
+                    description: `${adapter.name}: ${modelId}`
+                }));
+                return { id: adapter.id, name: adapter.name, count: ids.length, error: null };
+            } catch (err) {
+                console.warn(`Model discovery failed for ${adapter.name}:`, err);
+                adapter.models = [];
+                return { id: adapter.id, name: adapter.name, count: 0, error: err.message };
+            }
+        }));
+    }
+
+    /**
+     * Finds the provider adapter serving a model
+     * @param {string} model - The model id
+     * @returns {Object} - The provider adapter
+     */
+    function getProvider(model) {
+        const provider = providers.find(p => p.matches(model || ''));
+        if (!provider) {
+            throw new Error(`No provider registered for model "${model}"`);
+        }
+        return provider;
+    }
+
+    /**
+     * Gets the capabilities of a model
+     * @param {string} model - The model id
+     * @returns {{streaming:boolean,tools:boolean}} - The capability flags
+     */
+    function getCapabilities(model) {
+        const provider = getProvider(model);
+        const capabilities = provider.capabilitiesFor ? provider.capabilitiesFor(model) : provider.capabilities;
+        return { streaming: false, tools: false, ...(capabilities || {}) };
+    }
+
+    /**
+     * Adapts history and options to what the model supports: without native
+     * function calling, tool turns are flattened to text and tools are dropped.
+     * The model's sampling parameters are added as options.generation.
+     * @param {string} model - The model id
+     * @param {Array} messages - The message history
+     * @param {Object} options - Request options
+     * @returns {{messages:Array,options:Object}}
+     */
+    function prepareRequest(model, messages, options) {
+        options = { ...options, generation: options.generation || getGenerationParams(model) };
+        if (getCapabilities(model).tools) return { messages, options };
+        return { messages: flattenToolTurns(messages), options: { ...options, tools: undefined } };
+    }
+
+    /**
+     * Lists the models offered by all registered providers
+     * @returns {Array<{id:string,label:string,description:string,provider:string,providerName:string}>}
+     */
+    function listModels() {
+        return providers.flatMap(p => (p.models || []).map(m => ({ ...m, provider: p.id, providerName: p.name })));
+    }
+
+    /**
+     * Sends a non-streaming completion request to the provider serving the model
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history ({ role, content, attachments, toolCalls, toolCallId, name } entries)
+     * @param {Object} [options] - Request options ({ timeout, tools, signal })
+     * @returns {Promise<{text:string,toolCalls:Array,usage:Object|null,raw:Object}>}
+     */
+    async function complete(model, messages, options = {}) {
+        const request = prepareRequest(model, messages, options);
+        const result = { toolCalls: [], usage: null, ...await getProvider(model).complete(model, request.messages, request.options) };
+        if (callObserver) callObserver({ model, messages, streamed: false, result });
+        return result;
+    }
+
+    /**
+     * Sends a streaming completion request, falling back to a single
+     * chunk when the provider cannot stream
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history ({ role, content, attachments, toolCalls, toolCallId, name } entries)
+     * @param {Function} onChunk - Callback for each chunk (chunk, fullText)
+     * @param {Object} [options] - Request options ({ timeout, tools, signal })
+     * @returns {Promise<{text:string,toolCalls:Array,usage:Object|null}>}
+     */
+    async function stream(model, messages, onChunk, options = {}) {
+        const provider = getProvider(model);
+        if (!getCapabilities(model).streaming || typeof provider.stream !== 'function') {
+            const result = await complete(model, messages, options);
+            if (onChunk && result.text) onChunk(result.text, result.text);
+            return result;
         }
+        const request = prepareRequest(model, messages, options);
+        const result = { toolCalls: [], usage: null, ...await provider.stream(model, request.messages, onChunk, request.options) };
+        if (callObserver) callObserver({ model, messages, streamed: true, result });
+        return result;
     }
 
     // Public API
     return {
         init,
-        sendOpenAIRequest,
-        streamOpenAIRequest,
-        createGeminiSession,
-        streamGeminiRequest,
-        getTokenUsage
+        registerProvider,
+        unregisterProvider,
+        setCallObserver,
+        configureEndpoints,
+        discoverEndpointModels,
+        configureAnthropic,
+        configureGeneration,
+        getGenerationParams,
+        createAnthropicStreamParser,
+        getProvider,
+        getCapabilities,
+        listModels,
+        complete,
+        stream
     };
 })(); 
\ No newline at end of file
@@ -0,0 +1,499 @@
+/**
+ * ./js/calculator.js
+ * Calculator Module - Evaluates math expressions with units, without eval
+ * A tokenizer and recursive-descent parser handle + - * / ^, percentages ("15% of 200",
+ * "200 + 10%"), functions such as sqrt, round and log, and quantities with units
+ * ("3 ft + 4 in to cm", "120 km / 1.5 h to mph"). Quantities carry their dimensions, so
+ * adding metres to seconds is an error rather than a wrong number.
+ */
+const Calculator = (function() {
+    'use strict';
+
+    // Units: factor to the base unit of their dimensions (m, kg, s, byte, K; currencies are
+    // their own dimension and are never converted into each other). Temperatures add an offset.
+    const UNIT_DEFINITIONS = [
+        // Length
+        { names: ['m', 'meter', 'meters', 'metre', 'metres'], factor: 1, dims: { L: 1 } },
+        { names: ['km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'], factor: 1000, dims: { L: 1 } },
+        { names: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'], factor: 0.01, dims: { L: 1 } },
+        { names: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'], factor: 0.001, dims: { L: 1 } },
+        { names: ['um', 'µm', 'micrometer', 'micrometers'], factor: 1e-6, dims: { L: 1 } },
+        { names: ['nm', 'nanometer', 'nanometers'], factor: 1e-9, dims: { L: 1 } },
+        { names: ['mi', 'mile', 'miles'], factor: 1609.344, dims: { L: 1 } },
+        { names: ['nmi'], factor: 1852, dims: { L: 1 } },
+        { names: ['yd', 'yard', 'yards'], factor: 0.9144, dims: { L: 1 } },
+        { names: ['ft', 'foot', 'feet'], factor: 0.3048, dims: { L: 1 } },
+        { names: ['in', 'inch', 'inches'], factor: 0.0254, dims: { L: 1 } },
+        // Area and volume (powers of length units also work: m^2, km2, cm3)
+        { names: ['ha', 'hectare', 'hectares'], factor: 1e4, dims: { L: 2 } },
+        { names: ['acre', 'acres'], factor: 4046.8564224, dims: { L: 2 } },
+        { names: ['l', 'L', 'liter', 'liters', 'litre', 'litres'], factor: 1e-3, dims: { L: 3 } },
+        { names: ['ml', 'mL', 'milliliter', 'milliliters', 'millilitre', 'millilitres'], factor: 1e-6, dims: { L: 3 } },
+        { names: ['gal', 'gallon', 'gallons'], factor: 3.785411784e-3, dims: { L: 3 } },
+        { names: ['qt', 'quart', 'quarts'], factor: 9.46352946e-4, dims: { L: 3 } },
+        { names: ['cup', 'cups'], factor: 2.365882365e-4, dims: { L: 3 } },
+        { names: ['floz'], factor: 2.95735295625e-5, dims: { L: 3 } },
+        { names: ['bbl', 'barrel', 'barrels'], factor: 0.158987294928, dims: { L: 3 } },
+        // Mass
+        { names: ['kg', 'kilogram', 'kilograms'], factor: 1, dims: { M: 1 } },
+        { names: ['g', 'gram', 'grams'], factor: 1e-3, dims: { M: 1 } },
+        { names: ['mg', 'milligram', 'milligrams'], factor: 1e-6, dims: { M: 1 } },
+        { names: ['t', 'tonne', 'tonnes'], factor: 1000, dims: { M: 1 } },
+        { names: ['lb', 'lbs', 'pound', 'pounds'], factor: 0.45359237, dims: { M: 1 } },
+        { names: ['oz', 'ounce', 'ounces'], factor: 0.028349523125, dims: { M: 1 } },
+        // Time
+        { names: ['s', 'sec', 'secs', 'second', 'seconds'], factor: 1, dims: { T: 1 } },
+        { names: ['ms', 'millisecond', 'milliseconds'], factor: 1e-3, dims: { T: 1 } },
+        { names: ['min', 'mins', 'minute', 'minutes'], factor: 60, dims: { T: 1 } },
+        { names: ['h', 'hr', 'hrs', 'hour', 'hours'], factor: 3600, dims: { T: 1 } },
+        { names: ['d', 'day', 'days'], factor: 86400, dims: { T: 1 } },
+        { names: ['wk', 'week', 'weeks'], factor: 604800, dims: { T: 1 } },
+        { names: ['month', 'months'], factor: 2629800, dims: { T: 1 } },
+        { names: ['yr', 'year', 'years'], factor: 31557600, dims: { T: 1 } },
+        // Speed
+        { names: ['mph'], factor: 0.44704, dims: { L: 1, T: -1 } },
+        { names: ['kph', 'kmh'], factor: 1000 / 3600, dims: { L: 1, T: -1 } },
+        { names: ['kn', 'knot', 'knots'], factor: 1852 / 3600, dims: { L: 1, T: -1 } },
+        // Energy and power
+        { names: ['J', 'joule', 'joules'], factor: 1, dims: { M: 1, L: 2, T: -2 } },
+        { names: ['kJ'], factor: 1e3, dims: { M: 1, L: 2, T: -2 } },
+        { names: ['cal'], factor: 4.184, dims: { M: 1, L: 2, T: -2 } },
+        { names: ['kcal'], factor: 4184, dims: { M: 1, L: 2, T: -2 } },
+        { names: ['Wh'], factor: 3600, dims: { M: 1, L: 2, T: -2 } },
+        { names: ['kWh'], factor: 3.6e6, dims: { M: 1, L: 2, T: -2 } },
+        { names: ['MWh'], factor: 3.6e9, dims: { M: 1, L: 2, T: -2 } },
+        { names: ['W', 'watt', 'watts'], factor: 1, dims: { M: 1, L: 2, T: -3 } },
+        { names: ['kW'], factor: 1e3, dims: { M: 1, L: 2, T: -3 } },
+        { names: ['MW'], factor: 1e6, dims: { M: 1, L: 2, T: -3 } },
+        { names: ['GW'], factor: 1e9, dims: { M: 1, L: 2, T: -3 } },
+        { names: ['hp'], factor: 745.69987158227, dims: { M: 1, L: 2, T: -3 } },
+        // Data
+        { names: ['B', 'byte', 'bytes'], factor: 1, dims: { D: 1 } },
+        { names: ['bit', 'bits'], factor: 0.125, dims: { D: 1 } },
+        { names: ['KB', 'kB'], factor: 1e3, dims: { D: 1 } },
+        { names: ['MB'], factor: 1e6, dims: { D: 1 } },
+        { names: ['GB'], factor: 1e9, dims: { D: 1 } },
+        { names: ['TB'], factor: 1e12, dims: { D: 1 } },
+        { names: ['KiB'], factor: 1024, dims: { D: 1 } },
+        { names: ['MiB'], factor: 1024 ** 2, dims: { D: 1 } },
+        { names: ['GiB'], factor: 1024 ** 3, dims: { D: 1 } },
+        { names: ['TiB'], factor: 1024 ** 4, dims: { D: 1 } },
+        // Temperature
+        { names: ['K', 'kelvin'], factor: 1, offset: 0, dims: { K: 1 } },
+        { names: ['C', '°C', 'degC', 'celsius'], factor: 1, offset: 273.15, dims: { K: 1 } },
+        { names: ['F', '°F', 'degF', 'fahrenheit'], factor: 5 / 9, offset: 273.15 - 32 * 5 / 9, dims: { K: 1 } }
+    ];
+    const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'CHF', 'CAD', 'AUD', 'INR', 'BRL', 'MXN', 'KRW', 'SEK', 'NOK', 'DKK', 'PLN', 'RUB', 'ZAR', 'SGD', 'HKD', 'NZD', 'TRY'];
+    const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+
+    const UNITS = new Map();
+    UNIT_DEFINITIONS.forEach(def => def.names.forEach(name => UNITS.set(name, { ...def, label: def.names[0] })));
+    CURRENCIES.forEach(code => UNITS.set(code, { factor: 1, dims: { [code]: 1 }, label: code }));
+
+    const CONSTANTS = { pi: Math.PI, e: Math.E, tau: 2 * Math.PI };
+    // Functions on plain numbers; abs, round, floor, ceil, min, max, sum and avg also keep units
+    const FUNCTIONS = {
+        sqrt: Math.sqrt, cbrt: Math.cbrt, exp: Math.exp, ln: Math.log, log2: Math.log2,
+        log: (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)),
+        pow: Math.pow, sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan
+    };
+    const UNIT_FUNCTIONS = ['abs', 'round', 'floor', 'ceil', 'min', 'max', 'sum', 'avg'];
+    const CONVERSION_KEYWORDS = ['to', 'as', 'in'];
+    const MAX_EXPRESSION_LENGTH = 1000;
+
+    /**
+     * Error in the expression, with a message meant for the model
+     * @param {string} message
+     * @returns {Error}
+     */
+    function createCalcError(message) {
+        const error = new Error(message);
+        error.name = 'CalcError';
+        return error;
+    }
+
+    // Helper: Splits an expression into number, name, symbol and operator tokens
+    function tokenize(expression) {
+        const tokens = [];
+        const source = expression
+            .replace(/\*\*/g, '^')
+            .replace(/[×·]/g, '*')
+            .replace(/÷/g, '/')
+            .replace(/[−–]/g, '-');
+        const pattern = /\s+|(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-zµ°_][A-Za-z0-9µ°_]*)|([$€£¥])|([-+*/^(),%])/y;
+        let match;
+        while (pattern.lastIndex < source.length) {
+            const at = pattern.lastIndex;
+            match = pattern.exec(source);
+            if (!match) throw createCalcError(`Unexpected character "${source[at]}" at position ${at + 1}`);
+            if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), at });
+            else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2], at });
+            else if (match[3] !== undefined) tokens.push({ type: 'currency', value: CURRENCY_SYMBOLS[match[3]], at });
+            else if (match[4] !== undefined) tokens.push({ type: 'op', value: match[4], at });
+        }
+        return tokens;
+    }
+
+    // Helper: Unit for a name, including powers of length units written as m2, km3
+    function lookupUnit(name) {
+        if (UNITS.has(name)) return UNITS.get(name);
+        const power = name.match(/^([A-Za-zµ]+)([23])$/);
+        if (power && UNITS.has(power[1])) {
+            const base = UNITS.get(power[1]);
+            if (base.dims.L === 1 && Object.keys(base.dims).length === 1) {
+                return { factor: base.factor ** Number(power[2]), dims: { L: Number(power[2]) }, label: `${base.label}^${power[2]}` };
+            }
+        }
+        return null;
+    }
+
+    // Helper: Quantity helpers. A quantity is { value (in base units), dims, unit: { factor, label, offset } }
+    function plain(value) {
+        return { value, dims: {}, unit: null };
+    }
+
+    function isPlain(q) {
+        return Object.keys(q.dims).length === 0;
+    }
+
+    function combineDims(a, b, sign) {
+        const dims = { ...a };
+        Object.keys(b).forEach(key => {
+            dims[key] = (dims[key] || 0) + sign * b[key];
+            if (dims[key] === 0) delete dims[key];
+        });
+        return dims;
+    }
+
+    function sameDims(a, b) {
+        const keys = new Set(Object.keys(a).concat(Object.keys(b)));
+        return Array.from(keys).every(key => (a[key] || 0) === (b[key] || 0));
+    }
+
+    function describeDims(dims) {
+        const keys = Object.keys(dims);
+        if (!keys.length) return 'a plain number';
+        const names = { L: 'length', M: 'mass', T: 'time', D: 'data', K: 'temperature' };
+        return keys.map(key => `${names[key] || key}${dims[key] === 1 ? '' : `^${dims[key]}`}`).join('·');
+    }
+
+    // Helper: Label in base units for a quantity without a unit of its own, e.g. "m^2", "kg*m/s^2"
+    function baseLabel(dims) {
+        const names = { L: 'm', M: 'kg', T: 's', D: 'B', K: 'K' };
+        const part = key => `${names[key] || key}${Math.abs(dims[key]) === 1 ? '' : `^${Math.abs(dims[key])}`}`;
+        const up = Object.keys(dims).filter(key => dims[key] > 0).map(part);
+        const down = Object.keys(dims).filter(key => dims[key] < 0).map(part);
+        return `${up.length ? up.join('*') : '1'}${down.length ? `/${down.join('/')}` : ''}`;
+    }
+
+    function hasOffset(q) {
+        return !!(q.unit && q.unit.offset);
+    }
+
+    // Helper: Quantity of value in the given unit
+    function withUnit(value, unit) {
+        return { value: value * unit.factor + (unit.offset || 0), dims: { ...unit.dims }, unit };
+    }
+
+    // Helper: Applies a binary operator to two quantities
+    function applyOperator(op, a, b) {
+        if ((op === '*' || op === '/' || op === '^') && (hasOffset(a) || hasOffset(b))) {
+            throw createCalcError('Temperatures in C or F can only be converted, added or subtracted; convert to K first');
+        }
+        if (op === '+' || op === '-') {
+            if (!sameDims(a.dims, b.dims)) {
+                throw createCalcError(`Cannot ${op === '+' ? 'add' : 'subtract'} ${describeDims(b.dims)} ${op === '+' ? 'to' : 'from'} ${describeDims(a.dims)}`);
+            }
+            if (hasOffset(a) || hasOffset(b)) {
+                // A temperature plus or minus a difference: work in the unit's own scale
+                const unit = (hasOffset(a) ? a : b).unit;
+                const toScale = q => (q.value - (hasOffset(q) ? unit.offset : 0)) / unit.factor;
+                const value = op === '+' ? toScale(a) + toScale(b) : toScale(a) - toScale(b);
+                return withUnit(value, hasOffset(a) && hasOffset(b) && op === '-' ? { ...unit, offset: 0 } : unit);
+            }
+            return { value: op === '+' ? a.value + b.value : a.value - b.value, dims: a.dims, unit: a.unit || b.unit };
+        }
+        if (op === '*' || op === '/') {
+            const sign = op === '*' ? 1 : -1;
+            const dims = combineDims(a.dims, b.dims, sign);
+            if (op === '/' && b.value === 0) throw createCalcError('Division by zero');
+            const value = op === '*' ? a.value * b.value : a.value / b.value;
+            if (!Object.keys(dims).length) return plain(value);
+            let unit = null;
+            if (a.unit && b.unit) {
+                unit = { factor: op === '*' ? a.unit.factor * b.unit.factor : a.unit.factor / b.unit.factor, label: `${a.unit.label}${op}${b.unit.label}` };
+            } else if (a.unit) {
+                unit = a.unit;
+            } else if (b.unit) {
+                unit = op === '*' ? b.unit : { factor: 1 / b.unit.factor, label: `1/${b.unit.label}` };
+            }
+            return { value, dims, unit };
+        }
+        // Power: plain exponent; quantities only to whole powers
+        if (!isPlain(b)) throw createCalcError('An exponent must be a plain number');
+        if (isPlain(a)) return plain(Math.pow(a.value, b.value));
+        if (!Number.isInteger(b.value)) throw createCalcError('A quantity with units can only be raised to a whole power');
+        const dims = {};
+        Object.keys(a.dims).forEach(key => { dims[key] = a.dims[key] * b.value; });
+        const unit = a.unit ? { factor: a.unit.factor ** b.value, label: `${a.unit.label}^${b.value}` } : null;
+        return { value: Math.pow(a.value, b.value), dims, unit };
+    }
+
+    // Helper: Calls a function on its evaluated arguments
+    function callFunction(name, args) {
+        if (UNIT_FUNCTIONS.includes(name)) {
+            if (!args.length) throw createCalcError(`${name}() needs at least one argument`);
+            const first = args[0];
+            if (name === 'round' || name === 'floor' || name === 'ceil' || name === 'abs') {
+                const digits = args[1] ? args[1].value : 0;
+                if (args[1] && !isPlain(args[1])) throw createCalcError(`The digits of ${name}() must be a plain number`);
+                const unit = first.unit || { factor: 1, offset: 0 };
+                const scaled = (first.value - (unit.offset || 0)) / unit.factor;
+                const power = 10 ** digits;
+                const fn = name === 'abs' ? Math.abs : Math[name];
+                const result = name === 'abs' ? Math.abs(scaled) : fn(scaled * power) / power;
+                return first.unit ? withUnit(result, first.unit) : plain(result);
+            }
+            args.forEach(arg => {
+                if (!sameDims(arg.dims, first.dims)) throw createCalcError(`The arguments of ${name}() must have the same units`);
+            });
+            const values = args.map(arg => arg.value);
+            let value;
+            if (name === 'min') value = Math.min(...values);
+            else if (name === 'max') value = Math.max(...values);
+            else if (name === 'sum') value = values.reduce((x, y) => x + y, 0);
+            else value = values.reduce((x, y) => x + y, 0) / values.length;
+            return { value, dims: first.dims, unit: first.unit };
+        }
+        if (name === 'sqrt' || name === 'cbrt') {
+            const root = name === 'sqrt' ? 2 : 3;
+            const first = args[0];
+            if (!first) throw createCalcError(`${name}() needs an argument`);
+            if (!isPlain(first)) {
+                if (Object.values(first.dims).some(power => power % root !== 0)) throw createCalcError(`Cannot take ${name}() of ${describeDims(first.dims)}`);
+                const dims = {};
+                Object.keys(first.dims).forEach(key => { dims[key] = first.dims[key] / root; });
+                return { value: FUNCTIONS[name](first.value), dims, unit: null };
+            }
+        }
+        args.forEach(arg => {
+            if (!isPlain(arg)) throw createCalcError(`${name}() takes plain numbers, not ${describeDims(arg.dims)}`);
+        });
+        return plain(FUNCTIONS[name](...args.map(arg => arg.value)));
+    }
+
+    // Parser over the token list; evaluates as it parses
+    function createParser(tokens) {
+        let position = 0;
+        const peek = (offset = 0) => tokens[position + offset];
+        const next = () => tokens[position++];
+        const isOp = (token, value) => token && token.type === 'op' && token.value === value;
+        const isName = (token, value) => token && token.type === 'name' && token.value === value;
+        const expectOp = value => {
+            const token = next();
+            if (!isOp(token, value)) throw createCalcError(token ? `Expected "${value}" at position ${token.at + 1}` : `Expected "${value}" at the end`);
+        };
+
+        // unitFactor ('/' unitFactor)*, with '*' too when allowProduct (after "to")
+        function parseUnit(allowProduct) {
+            let unit = parseUnitFactor();
+            while ((isOp(peek(), '/') || (allowProduct && isOp(peek(), '*'))) && peek(1) && peek(1).type === 'name' && lookupUnit(peek(1).value)) {
+                const op = next().value;
+                const other = parseUnitFactor();
+                unit = {
+                    factor: op === '/' ? unit.factor / other.factor : unit.factor * other.factor,
+                    dims: combineDims(unit.dims, other.dims, op === '/' ? -1 : 1),
+                    label: `${unit.label}${op}${other.label}`
+                };
+            }
+            return unit;
+        }
+
+        function parseUnitFactor() {
+            const token = next();
+            const unit = token && token.type === 'name' ? lookupUnit(token.value) : null;
+            if (!unit) throw createCalcError(token ? `Unknown unit "${token.value}"` : 'Expected a unit at the end');
+            if (isOp(peek(), '^') && peek(1) && peek(1).type === 'number') {
+                next();
+                const power = next().value;
+                if (unit.offset) throw createCalcError('Temperatures cannot be raised to a power');
+                const dims = {};
+                Object.keys(unit.dims).forEach(key => { dims[key] = unit.dims[key] * power; });
+                return { factor: unit.factor ** power, dims, label: `${unit.label}^${power}` };
+            }
+            return unit;
+        }
+
+        function parseConversion() {
+            const result = parseExpression();
+            const token = peek();
+            if (token && token.type === 'name' && CONVERSION_KEYWORDS.includes(token.value)) {
+                next();
+                const target = parseUnit(true);
+                if (!sameDims(result.dims, target.dims)) {
+                    throw createCalcError(isPlain(result) || !Object.keys(target.dims).some(key => CURRENCIES.includes(key))
+                        ? `Cannot convert ${describeDims(result.dims)} to ${target.label} (${describeDims(target.dims)})`
+                        : 'Currencies are not converted: multiply by an exchange rate instead');
+                }
+                return { value: result.value, dims: result.dims, unit: target };
+            }
+            return result;
+        }
+
+        function parseExpression() {
+            let left = parseTerm();
+            while (isOp(peek(), '+') || isOp(peek(), '-')) {
+                const op = next().value;
+                const right = parseTerm();
+                // "200 + 10%" adds ten percent of 200 (220), as on a calculator, rather than 0.1
+                if (right.percent && !left.percent) {
+                    left = applyOperator('*', left, plain(op === '+' ? 1 + right.value : 1 - right.value));
+                } else {
+                    left = applyOperator(op, left, right);
+                }
+            }
+            return left;
+        }
+
+        function parseTerm() {
+            let left = parseUnary();
+            while (isOp(peek(), '*') || isOp(peek(), '/') || isName(peek(), 'of')) {
+                const op = next().value === 'of' ? '*' : tokens[position - 1].value;
+                left = applyOperator(op, left, parseUnary());
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            if (isOp(peek(), '-')) {
+                next();
+                const operand = parseUnary();
+                return applyOperator('*', plain(-1), operand);
+            }
+            if (isOp(peek(), '+')) {
+                next();
+                return parseUnary();
+            }
+            return parsePower();
+        }
+
+        function parsePower() {
+            const base = parsePostfix();
+            if (isOp(peek(), '^')) {
+                next();
+                return applyOperator('^', base, parseUnary());
+            }
+            return base;
+        }
+
+        function parsePostfix() {
+            const startToken = peek();
+            let value = parsePrimary();
+            while (isOp(peek(), '%')) {
+                next();
+                // Marked so + and - can apply it to their left operand; any other operation drops the mark
+                value = { ...applyOperator('/', value, plain(100)), percent: true };
+            }
+            // A unit may follow a number or a parenthesized expression: "5 km", "(2 + 3) kg"
+            const token = peek();
+            const followsValue = startToken.type === 'number' || startToken.type === 'currency' || isOp(startToken, '(');
+            if (followsValue && token && token.type === 'name' && lookupUnit(token.value) && !['to', 'as', 'of'].includes(token.value)) {
+                // "in" right after a number means inches; after anything else it converts
+                if (token.value !== 'in' || tokens[position - 1].type === 'number') {
+                    if (!isPlain(value)) throw createCalcError(`"${token.value}" follows a value that already has a unit`);
+                    const unit = parseUnit(false);
+                    value = withUnit(value.value, unit);
+                }
+            }
+            return value;
+        }
+
+        function parsePrimary() {
+            const token = next();
+            if (!token) throw createCalcError('The expression ends too early');
+            if (token.type === 'number') return plain(token.value);
+            if (token.type === 'currency') {
+                const amount = next();
+                if (!amount || amount.type !== 'number') throw createCalcError('A currency symbol must be followed by a number');
+                return withUnit(amount.value, UNITS.get(token.value));
+            }
+            if (isOp(token, '(')) {
+                const value = parseExpression();
+                expectOp(')');
+                return value;
+            }
+            if (token.type === 'name') {
+                const name = token.value.toLowerCase();
+                if (isOp(peek(), '(')) {
+                    if (!FUNCTIONS[name] && !UNIT_FUNCTIONS.includes(name)) throw createCalcError(`Unknown function "${token.value}"`);
+                    next();
+                    const args = [];
+                    if (!isOp(peek(), ')')) {
+                        args.push(parseExpression());
+                        while (isOp(peek(), ',')) {
+                            next();
+                            args.push(parseExpression());
+                        }
+                    }
+                    expectOp(')');
+                    return callFunction(name, args);
+                }
+                if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) return plain(CONSTANTS[name]);
+                throw createCalcError(lookupUnit(token.value)
+                    ? `Unit "${token.value}" must follow a number`
+                    : `Unknown name "${token.value}"`);
+            }
+            if (isOp(token, ',')) throw createCalcError(`Unexpected "," at position ${token.at + 1}; write numbers without thousands separators`);
+            throw createCalcError(`Unexpected "${token.value}" at position ${token.at + 1}`);
+        }
+
+        return {
+            parse() {
+                const result = parseConversion();
+                const rest = peek();
+                if (rest) {
+                    throw createCalcError(isOp(rest, ',')
+                        ? `Unexpected "," at position ${rest.at + 1}; write numbers without thousands separators`
+                        : `Unexpected "${rest.value}" at position ${rest.at + 1}`);
+                }
+                return result;
+            }
+        };
+    }
+
+    /**
+     * Formats a number: fixed decimals when given, else up to 12 significant digits
+     * @param {number} value
+     * @param {number} [precision] - Decimal places
+     * @returns {string}
+     */
+    function formatNumber(value, precision) {
+        if (!Number.isFinite(value)) return String(value);
+        if (typeof precision === 'number' && Math.abs(value) < 1e21) return value.toFixed(precision);
+        return String(Number(value.toPrecision(12)));
+    }
+
+    /**
+     * Evaluates an expression
+     * @param {string} expression - e.g. "(1.07^5 - 1) * 100", "15% of 2400", "3 ft + 4 in to cm"
+     * @param {Object} [options] - { precision: decimal places (0–15) }
+     * @returns {{value:number,unit:string,text:string}} - The value in the result's unit, the unit label ('' for plain numbers) and both formatted
+     * @throws {Error} - A CalcError describing what is wrong with the expression
+     */
+    function evaluate(expression, options = {}) {
+        if (typeof expression !== 'string' || !expression.trim()) throw createCalcError('The expression is empty');
+        if (expression.length > MAX_EXPRESSION_LENGTH) throw createCalcError(`The expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+        const result = createParser(tokenize(expression)).parse();
+        const unit = isPlain(result) ? null : (result.unit || { factor: 1, label: baseLabel(result.dims) });
+        const value = unit ? (result.value - (unit.offset || 0)) / unit.factor : result.value;
+        if (Number.isNaN(value)) throw createCalcError('The result is not a number (e.g. the square root of a negative number)');
+        const label = unit ? unit.label : '';
+        return { value, unit: label, text: `${formatNumber(value, options.precision)}${label ? ` ${label}` : ''}` };
+    }
+
+    // Public API
+    return {
+        evaluate,
+        formatNumber
+    };
+})();
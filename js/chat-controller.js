@@ -23,10 +23,40 @@ const ChatController = (function() {
         toolCallHistory: [],
         highlightedResultIndices: new Set(),
         readCache: new Map(),
+        runDocuments: new Map(), // url -> Promise of the document from ToolsService.readDocument, for the current run
+        runReadChars: 0, // Characters read from pages during the current run, checked against the reading budget
         originalUserQuestion: '',
-        toolWorkflowActive: true
+        toolWorkflowActive: true,
+        runController: null, // AbortController for the run started by sendMessage
+        runId: null,
+        fallbackModel: null, // Model the run moved to after the selected one failed
+        tokenLedger: [] // [{ runId, purpose, model, promptTokens, completionTokens, totalTokens, timestamp }]
     };
 
+    // Model calls the token ledger tells apart
+    const TOKEN_PURPOSES = {
+        mainReply: 'main reply',
+        queryRewrite: 'query rewrite',
+        resultSelection: 'result selection',
+        readMore: 'read-more decision',
+        summaryBatch: 'summary batch',
+        documentSummary: 'document summary',
+        synthesis: 'synthesis'
+    };
+
+    // Summarization prompts stay under this many characters, safe for most models
+    const MAX_PROMPT_LENGTH = 5857;
+    const SUMMARIZATION_TIMEOUT = 88000; // 88 seconds
+    // Chunks of one attached document summarized at most (about 70,000 characters); in longer
+    // documents only those most relevant to the question are, so a huge file stays a few calls
+    const MAX_DOCUMENT_PARTS = 12;
+
+    // read_url lengths: from a given start, and for the parts most relevant to the question,
+    // which are picked from chunks of a paragraph or two
+    const DEFAULT_READ_LENGTH = 1122;
+    const RELEVANT_READ_LENGTH = 2000;
+    const RELEVANT_CHUNK_SIZE = 500;
+
     // Debug logging helper
     function debugLog(...args) {
         if (state.settings && state.settings.debug) {
@@ -34,14 +64,119 @@ const ChatController = (function() {
         }
     }
 
-    // Add helper to robustly extract JSON tool calls (handles markdown fences)
+    /**
+     * Records the usage a provider reported for one model call in the token ledger
+     * @param {string} purpose - One of TOKEN_PURPOSES
+     * @param {string} model - The model that served the call
+     * @param {Object|null} usage - Normalized usage ({ promptTokens, completionTokens, totalTokens })
+     * @returns {Object|null} - The ledger entry, or null when the provider reported no usage
+     */
+    function recordTokenUsage(purpose, model, usage) {
+        if (!usage) {
+            debugLog(`No token usage reported for ${purpose} (${model})`);
+            return null;
+        }
+        const entry = {
+            runId: state.runId,
+            purpose,
+            model,
+            promptTokens: usage.promptTokens || 0,
+            completionTokens: usage.completionTokens || 0,
+            totalTokens: usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0),
+            timestamp: new Date().toISOString()
+        };
+        state.tokenLedger.push(entry);
+        state.totalTokens += entry.totalTokens;
+        Utils.updateTokenDisplay(state.totalTokens, getRunTokenBreakdown(state.runId));
+        return entry;
+    }
+
+    /**
+     * Builds the ordered list of models to try: the given model, then the
+     * fallbacks from settings. Once a run has fallen back, later calls in the
+     * same run start from the model that answered.
+     * @param {string} model - The first choice
+     * @returns {Array<string>} - Model ids in the order to try
+     */
+    function getModelChain(model) {
+        const fallbacks = SettingsController.getSettings().fallbackModels || [];
+        const chain = [model, ...fallbacks.filter(m => m !== model)];
+        const start = state.fallbackModel ? chain.indexOf(state.fallbackModel) : -1;
+        return start > 0 ? chain.slice(start) : chain;
+    }
+
+    /**
+     * Runs a model request, moving down the fallback chain when it fails.
+     * A user stop is never treated as a failure.
+     * @param {string} purpose - One of TOKEN_PURPOSES, for the records
+     * @param {string} model - The first choice
+     * @param {Function} request - async (model) => result
+     * @returns {Promise<{model:string,result:Object}>} - The model that answered and its result
+     */
+    async function requestWithFallback(purpose, model, request) {
+        const chain = getModelChain(model);
+        for (let i = 0; i < chain.length; i++) {
+            try {
+                const result = await request(chain[i]);
+                return { model: chain[i], result };
+            } catch (err) {
+                if (Utils.isAbortError(err) || i === chain.length - 1) throw err;
+                recordFallback(purpose, chain[i], chain[i + 1], err);
+            }
+        }
+    }
+
+    /**
+     * Records a move to the next model in the status bar and in toolCallHistory
+     * @param {string} purpose - The call that failed
+     * @param {string} from - The model that failed
+     * @param {string} to - The model tried next
+     * @param {Error} err - The failure
+     */
+    function recordFallback(purpose, from, to, err) {
+        console.warn(`${purpose}: ${from} failed, falling back to ${to}`, err);
+        state.fallbackModel = to;
+        state.toolCallHistory.push({
+            tool: 'model_fallback',
+            args: { purpose, from, to, error: err.name + ': ' + err.message },
+            timestamp: new Date().toISOString()
+        });
+        UIController.showStatus(`${from} failed (${err.message}). Falling back to ${to} for the ${purpose}...`, getAgentDetails());
+    }
+
+    /**
+     * Sums the ledger entries of one run by purpose
+     * @param {string} runId - The run id
+     * @returns {Object} - { [purpose]: { calls, promptTokens, completionTokens, totalTokens } }
+     */
+    function getRunTokenBreakdown(runId) {
+        const breakdown = {};
+        state.tokenLedger.filter(entry => entry.runId === runId).forEach(entry => {
+            const sum = breakdown[entry.purpose] || (breakdown[entry.purpose] = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+            sum.calls++;
+            sum.promptTokens += entry.promptTokens;
+            sum.completionTokens += entry.completionTokens;
+            sum.totalTokens += entry.totalTokens;
+        });
+        return breakdown;
+    }
+
+    // Text-protocol fallback for models without native function calling.
+    // Only a reply that is entirely one JSON tool call (optionally in a single
+    // ```json fence) counts; JSON examples inside prose or code are ignored.
     function extractToolCall(text) {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) return null;
+        if (typeof text !== 'string') return null;
+        let candidate = text.trim();
+        const fenceMatch = candidate.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
+        if (fenceMatch) candidate = fenceMatch[1].trim();
+        if (!candidate.startsWith('{') || !candidate.endsWith('}')) return null;
         try {
-            return JSON.parse(jsonMatch[0]);
+            const parsed = JSON.parse(candidate);
+            if (typeof parsed.tool !== 'string' || !ToolRegistry.has(parsed.tool)) return null;
+            if (!parsed.arguments || typeof parsed.arguments !== 'object') return null;
+            return { id: Utils.generateId('call'), name: parsed.tool, arguments: parsed.arguments };
         } catch (err) {
-            console.warn('Tool JSON parse error:', err, 'from', jsonMatch[0]);
+            console.warn('Tool JSON parse error:', err, 'from', candidate);
             return null;
         }
     }
@@ -59,155 +194,445 @@ const ChatController = (function() {
 Begin Reasoning Now:
 `;
 
-    // Tool handler registry
-    const toolHandlers = {
-        web_search: async function(args) {
-            debugLog('Tool: web_search', args);
-            if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
-                UIController.addMessage('ai', 'Error: Invalid web_search query.');
-                return;
+    // Built-in tools. Each handler resolves to the tool result text, or to { content, followUp }
+    // when more work (e.g. auto-reading search results) should run after the result is recorded.
+    const builtInTools = [
+        {
+            name: 'web_search',
+            description: 'Search the web and return a list of results with title, url and snippet.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'The search query' },
+                    engine: {
+                        type: 'string',
+                        enum: ToolsService.listSearchEngines().map(engine => engine.id),
+                        description: 'Search engine for this query only (default: the one chosen in settings). Engines that need a URL or key work only once set up.'
+                    }
+                },
+                required: ['query']
+            },
+            examples: [{ question: 'What is the latest news about OpenAI?', arguments: { query: 'latest news about OpenAI' } }],
+            handler: async function(args) {
+                debugLog('Tool: web_search', args);
+                if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
+                    UIController.addMessage('ai', 'Error: Invalid web_search query.');
+                    return 'Error: Invalid web_search query.';
+                }
+                const engine = args.engine || ToolsService.getSearchConfig().engine;
+                const userQuestion = state.originalUserQuestion || args.query;
+                // Time-sensitive searches get explicit dates ("latest" alone finds last year's pages)
+                const datedQuery = DateTimeService.addDatesToQuery(args.query, userQuestion);
+                if (datedQuery !== args.query) debugLog('Dated time-sensitive query:', datedQuery);
+                let queriesTried = [datedQuery];
+                let allResults = [];
+                let lastResults = [];
+                let attempts = 0;
+                let searchError = '';
+                const MAX_ATTEMPTS = 3;
+                while (attempts < MAX_ATTEMPTS) {
+                    UIController.showSpinner(`Searching (${engine}) for "${queriesTried[attempts]}"...`, getAgentDetails());
+                    UIController.showStatus(`Searching (${engine}) for "${queriesTried[attempts]}"...`, getAgentDetails());
+                    let results = [];
+                    try {
+                        const streamed = [];
+                        results = await ToolsService.webSearch(queriesTried[attempts], (result) => {
+                            streamed.push(result);
+                            // Pass highlight flag if this index is in highlightedResultIndices
+                            const idx = streamed.length - 1;
+                            UIController.addSearchResult(result, (url) => {
+                                processToolCall({ tool: 'read_url', arguments: { url, start: 0, length: 1122 } });
+                            }, state.highlightedResultIndices.has(idx));
+                        }, engine, { signal: getRunSignal() });
+                        debugLog(`Web search results for query [${queriesTried[attempts]}]:`, results);
+                    } catch (err) {
+                        if (Utils.isAbortError(err)) throw err;
+                        UIController.hideSpinner();
+                        UIController.addMessage('ai', `Web search failed: ${err.message}`);
+                        searchError = `Web search failed: ${err.message}`;
+                        break;
+                    }
+                    allResults = allResults.concat(results);
+                    lastResults = results;
+                    // If good results, break
+                    if (results.length >= 3 || attempts === MAX_ATTEMPTS - 1) break;
+                    // Ask AI for a better query
+                    let betterQuery = null;
+                    try {
+                        const dateNote = DateTimeService.isTimeSensitive(userQuestion)
+                            ? `\nToday is ${DateTimeService.describeToday()}. The question is time-sensitive, so put explicit dates or years in the query.`
+                            : '';
+                        const prompt = `The initial web search for the user question did not yield enough relevant results.\n\nUser question: ${userQuestion}${dateNote}\nInitial query: ${queriesTried[attempts]}\nSearch results (titles and snippets):\n${results.map((r, i) => `${i+1}. ${r.title} - ${r.snippet}`).join('\n')}\n\nSuggest a better search query to find more relevant information. Reply with only the improved query, or repeat the previous query if no better query is possible.`;
+                        const aiReply = await completeHelperPrompt('You are an assistant that helps improve web search queries.', prompt, { purpose: TOKEN_PURPOSES.queryRewrite });
+                        debugLog('AI suggested improved query:', aiReply);
+                        if (aiReply && !queriesTried.includes(aiReply)) {
+                            queriesTried.push(aiReply);
+                        } else {
+                            break; // No better query or repeated, stop
+                        }
+                    } catch (err) {
+                        if (Utils.isAbortError(err)) throw err;
+                        debugLog('Error getting improved query from AI:', err);
+                        break;
+                    }
+                    attempts++;
+                }
+                UIController.hideSpinner();
+                UIController.clearStatus();
+                if (!allResults.length) {
+                    UIController.addMessage('ai', `No search results found for "${args.query}" after ${attempts+1} attempts.`);
+                }
+                // Remove duplicate results by URL
+                const uniqueResults = [];
+                const seenUrls = new Set();
+                debugLog({ step: 'deduplication', before: allResults });
+                for (const r of allResults) {
+                    if (!seenUrls.has(r.url)) {
+                        uniqueResults.push(r);
+                        seenUrls.add(r.url);
+                    }
+                }
+                debugLog({ step: 'deduplication', after: uniqueResults });
+                const plainTextResults = uniqueResults.map((r, i) => `${i+1}. ${r.title} (${r.url}) - ${r.snippet}`).join('\n');
+                state.lastSearchResults = uniqueResults;
+                const searchedAs = datedQuery !== args.query ? ` (searched as "${datedQuery}")` : '';
+                const content = [searchError, `Search results for "${args.query}"${searchedAs} (total ${uniqueResults.length}):\n${plainTextResults}`].filter(Boolean).join('\n');
+                return {
+                    content,
+                    followUp: async () => {
+                        debugLog({ step: 'suggestResultsToRead', results: uniqueResults });
+                        // Prompt AI to suggest which results to read
+                        await suggestResultsToRead(uniqueResults, args.query);
+                    }
+                };
             }
-            const engine = args.engine || 'duckduckgo';
-            const userQuestion = state.originalUserQuestion || args.query;
-            let queriesTried = [args.query];
-            let allResults = [];
-            let lastResults = [];
-            let attempts = 0;
-            const MAX_ATTEMPTS = 3;
-            while (attempts < MAX_ATTEMPTS) {
-                UIController.showSpinner(`Searching (${engine}) for "${queriesTried[attempts]}"...`, getAgentDetails());
-                UIController.showStatus(`Searching (${engine}) for "${queriesTried[attempts]}"...`, getAgentDetails());
-                let results = [];
+        },
+        {
+            name: 'read_url',
+            description: "Return the text content of a web page or document (HTML, PDF, JSON, XML or plain text). Without 'start' or 'page', returns the parts most relevant to 'query' (default: the user's question), best first, each labelled with its character offsets, up to 'length' characters (default 2000). With 'start', returns the text from that offset up to 'length' characters (default 1122).",
+            parameters: {
+                type: 'object',
+                properties: {
+                    url: { type: 'string', description: 'The http(s) URL to read' },
+                    query: { type: 'string', description: "What to look for on the page (default: the user's question)" },
+                    start: { type: 'integer', minimum: 0, description: 'Character offset to read from, e.g. near a part returned earlier' },
+                    length: { type: 'integer', minimum: 1, description: 'Number of characters to read (default 2000 for the most relevant parts, 1122 from start)' },
+                    page: { type: 'integer', minimum: 1, description: "PDFs only: page to read from; 'start' then counts from the beginning of that page" }
+                },
+                required: ['url']
+            },
+            guidance: 'If you need to read a web page, use read_url with just the url (and query, if you look for something other than the user\'s question): it returns the most relevant parts of the page first, each headed by its character offsets. To read the text around a part, call read_url again with start a little before its offset and length set to 5000. If a snippet ends with an ellipsis ("..."), the page goes on; read more only if it will improve your answer. For PDFs the result names the pages it covers; pass page to jump to a page.',
+            examples: [{ question: 'Read the content of https://example.com and summarize it.', arguments: { url: 'https://example.com' } }],
+            handler: async function(args) {
+                debugLog('Tool: read_url', args);
+                if (!args.url || typeof args.url !== 'string' || !/^https?:\/\//.test(args.url)) {
+                    UIController.addMessage('ai', 'Error: Invalid read_url argument.');
+                    return 'Error: Invalid read_url argument.';
+                }
+                const { maxCharsPerRun } = SettingsController.getSettings().readingBudget;
+                const budgetLeft = maxCharsPerRun - state.runReadChars;
+                if (budgetLeft <= 0) {
+                    return `Reading budget for this run (${maxCharsPerRun} characters) is used up. Answer with what has been read so far.`;
+                }
+                UIController.showSpinner(`Reading content from ${args.url}...`, getAgentDetails());
+                UIController.showStatus(`Reading content from ${args.url}...`, getAgentDetails());
+                let content;
                 try {
-                    const streamed = [];
-                    results = await ToolsService.webSearch(queriesTried[attempts], (result) => {
-                        streamed.push(result);
-                        // Pass highlight flag if this index is in highlightedResultIndices
-                        const idx = streamed.length - 1;
-                        UIController.addSearchResult(result, (url) => {
-                            processToolCall({ tool: 'read_url', arguments: { url, start: 0, length: 1122 } });
-                        }, state.highlightedResultIndices.has(idx));
-                    }, engine);
-                    debugLog(`Web search results for query [${queriesTried[attempts]}]:`, results);
+                    const doc = await readRunDocument(args.url);
+                    const requestedLength = (typeof args.length === 'number' && args.length > 0) ? args.length : 0;
+                    const query = (typeof args.query === 'string' && args.query.trim()) || state.originalUserQuestion;
+                    const positioned = typeof args.start === 'number' || typeof args.page === 'number';
+                    const parts = positioned ? null : selectRelevantParts(doc.text, query, Math.min(requestedLength || RELEVANT_READ_LENGTH, budgetLeft));
+                    let snippet;
+                    if (parts) {
+                        snippet = parts.map(part => doc.text.slice(part.start, part.end)).join('\n\n');
+                        UIController.addReadResult(args.url, snippet, true);
+                        content = `Read content from ${args.url} (the ${parts.length} part${parts.length === 1 ? '' : 's'} most relevant to "${query}", best first, out of ${doc.text.length} characters; read around a part with start):\n` +
+                            parts.map(part => `[${describePartPosition(doc, part.start, part.end)}]\n${doc.text.slice(part.start, part.end)}`).join('\n\n');
+                    } else {
+                        let start = (typeof args.start === 'number' && args.start >= 0) ? args.start : 0;
+                        if (typeof args.page === 'number') {
+                            if (!doc.pages) throw new Error(`${args.url} is not a PDF, so it has no pages; use start instead.`);
+                            const page = doc.pages.find(p => p.page === args.page);
+                            if (!page) throw new Error(`${args.url} has ${doc.pages.length} pages; there is no page ${args.page}.`);
+                            start += page.start;
+                        }
+                        const length = Math.min(requestedLength || DEFAULT_READ_LENGTH, budgetLeft);
+                        snippet = doc.text.slice(start, start + length);
+                        const hasMore = (start + length) < doc.text.length;
+                        UIController.addReadResult(args.url, snippet, hasMore);
+                        content = `Read content from ${args.url}${describeDocumentRange(doc, start, start + snippet.length)}:\n${snippet}${hasMore ? '...' : ''}`;
+                    }
+                    // Collect snippets for summarization
+                    state.readSnippets.push(snippet);
+                    state.runReadChars += snippet.length;
+                    // (Manual summarization removed: summarization now only happens in auto-read workflow)
                 } catch (err) {
+                    if (Utils.isAbortError(err)) throw err;
                     UIController.hideSpinner();
-                    UIController.addMessage('ai', `Web search failed: ${err.message}`);
-                    state.chatHistory.push({ role: 'assistant', content: `Web search failed: ${err.message}` });
-                    break;
+                    UIController.addMessage('ai', `Read URL failed: ${err.message}`);
+                    content = `Read URL failed: ${err.message}`;
                 }
-                allResults = allResults.concat(results);
-                lastResults = results;
-                // If good results, break
-                if (results.length >= 3 || attempts === MAX_ATTEMPTS - 1) break;
-                // Ask AI for a better query
-                let betterQuery = null;
+                UIController.hideSpinner();
+                UIController.clearStatus();
+                return content;
+            }
+        },
+        {
+            name: 'instant_answer',
+            description: "Return a JSON object from DuckDuckGo's Instant Answer API for quick facts, definitions, and summaries.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'The question or topic' }
+                },
+                required: ['query']
+            },
+            examples: [{ question: 'What is the capital of France?', arguments: { query: 'capital of France' } }],
+            handler: async function(args) {
+                debugLog('Tool: instant_answer', args);
+                if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
+                    UIController.addMessage('ai', 'Error: Invalid instant_answer query.');
+                    return 'Error: Invalid instant_answer query.';
+                }
+                UIController.showStatus(`Retrieving instant answer for "${args.query}"...`, getAgentDetails());
+                let content;
                 try {
-                    const selectedModel = SettingsController.getSettings().selectedModel;
-                    let aiReply = '';
-                    const prompt = `The initial web search for the user question did not yield enough relevant results.\n\nUser question: ${userQuestion}\nInitial query: ${queriesTried[attempts]}\nSearch results (titles and snippets):\n${results.map((r, i) => `${i+1}. ${r.title} - ${r.snippet}`).join('\n')}\n\nSuggest a better search query to find more relevant information. Reply with only the improved query, or repeat the previous query if no better query is possible.`;
-                    if (selectedModel.startsWith('gpt')) {
-                        const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                            { role: 'system', content: 'You are an assistant that helps improve web search queries.' },
-                            { role: 'user', content: prompt }
-                        ]);
-                        aiReply = res.choices[0].message.content.trim();
-                    } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                        const session = ApiService.createGeminiSession(selectedModel);
-                        const chatHistory = [
-                            { role: 'system', content: 'You are an assistant that helps improve web search queries.' },
-                            { role: 'user', content: prompt }
-                        ];
-                        const result = await session.sendMessage(prompt, chatHistory);
-                        const candidate = result.candidates[0];
-                        if (candidate.content.parts) {
-                            aiReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                        } else if (candidate.content.text) {
-                            aiReply = candidate.content.text.trim();
-                        }
-                    }
-                    debugLog('AI suggested improved query:', aiReply);
-                    if (aiReply && !queriesTried.includes(aiReply)) {
-                        queriesTried.push(aiReply);
+                    const result = await ToolsService.instantAnswer(args.query, { signal: getRunSignal() });
+                    content = JSON.stringify(result, null, 2);
+                    UIController.addMessage('ai', content);
+                } catch (err) {
+                    if (Utils.isAbortError(err)) throw err;
+                    UIController.clearStatus();
+                    UIController.addMessage('ai', `Instant answer failed: ${err.message}`);
+                    content = `Instant answer failed: ${err.message}`;
+                }
+                UIController.clearStatus();
+                return content;
+            }
+        },
+        {
+            name: 'search_documents',
+            description: "Search the user's document library (reference files they uploaded) and return the best-matching passages, each with a doc:// reference to its document and position.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Keywords or a question' },
+                    limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Number of passages to return (default 5)' },
+                    document: { type: 'string', description: 'Only search documents whose name contains this' }
+                },
+                required: ['query']
+            },
+            guidance: "Use search_documents when the user's own documents may hold the answer (their policies, specs, notes), together with web_search for public information. Cite library passages by their doc:// reference in the same way as you cite URLs.",
+            examples: [{ question: 'What does our handbook say about parental leave?', arguments: { query: 'parental leave' } }],
+            handler: async function(args) {
+                debugLog('Tool: search_documents', args);
+                if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
+                    UIController.addMessage('ai', 'Error: Invalid search_documents query.');
+                    return 'Error: Invalid search_documents query.';
+                }
+                UIController.showStatus(`Searching the document library for "${args.query}"...`, getAgentDetails());
+                let content;
+                let details;
+                try {
+                    const { results, documentCount, chunkCount } = await DocumentLibrary.search(args.query, { limit: args.limit, document: args.document });
+                    if (!documentCount) {
+                        content = 'The document library is empty (documents are added under Settings, Document library). Use web_search instead.';
+                    } else if (!results.length) {
+                        content = `No passages in the document library (${documentCount} document${documentCount === 1 ? '' : 's'}) match "${args.query}". Try other keywords.`;
                     } else {
-                        break; // No better query or repeated, stop
+                        details = { results };
+                        const passages = results.map((r, i) => `${i + 1}. ${r.reference} (${r.name}${r.page ? `, page ${r.page}` : ''}, score ${r.score.toFixed(2)})\n${r.text}`);
+                        // Kept for summarization with their references, like attached documents
+                        results.forEach(r => state.readSnippets.push(`Library passage ${r.reference}:\n${r.text}`));
+                        content = `Library passages for "${args.query}" (best ${results.length} of ${chunkCount} in ${documentCount} document${documentCount === 1 ? '' : 's'}; cite each by its doc:// reference):\n\n${passages.join('\n\n')}`;
                     }
                 } catch (err) {
-                    debugLog('Error getting improved query from AI:', err);
-                    break;
+                    UIController.addMessage('ai', `Document search failed: ${err.message}`);
+                    content = `Document search failed: ${err.message}`;
                 }
-                attempts++;
-            }
-            UIController.hideSpinner();
-            UIController.clearStatus();
-            if (!allResults.length) {
-                UIController.addMessage('ai', `No search results found for "${args.query}" after ${attempts+1} attempts.`);
-            }
-            // Remove duplicate results by URL
-            const uniqueResults = [];
-            const seenUrls = new Set();
-            debugLog({ step: 'deduplication', before: allResults });
-            for (const r of allResults) {
-                if (!seenUrls.has(r.url)) {
-                    uniqueResults.push(r);
-                    seenUrls.add(r.url);
+                UIController.clearStatus();
+                return { content, details };
+            },
+            render: (result, args, details) => details && UIController.createDocumentResultsCard(args.query, details.results)
+        },
+        {
+            name: 'calculate',
+            description: "Evaluate a math expression exactly, with units and unit conversion ('to'). Supports + - * / ^, % and 'of' ('15% of 200' is 30; '200 + 10%' and '200 - 10%' add or take off ten percent of 200, giving 220 and 180), parentheses, sqrt, round(x, digits), log, ln, exp, min, max, sum, avg, pi and e, and units of length, area, volume, mass, time, speed, energy, power, data and temperature. Currency codes and $ € £ ¥ are kept as units but never converted.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    expression: { type: 'string', description: "e.g. '(1.07^5 - 1) * 100', '17.5% of 2340', '3 ft + 4 in to cm', '120 km / 1.5 h to mph'. Write numbers without thousands separators." },
+                    precision: { type: 'integer', minimum: 0, maximum: 15, description: 'Decimal places in the result (default: up to 12 significant digits)' }
+                },
+                required: ['expression']
+            },
+            guidance: 'Use calculate for any arithmetic or unit conversion on numbers you found or were given (totals, differences, percentages, growth rates) instead of working it out yourself.',
+            examples: [
+                { question: 'What is 17.5% of 2,340?', arguments: { expression: '17.5% of 2340' } },
+                { question: 'What does an $85 jacket cost with 8.25% sales tax?', arguments: { expression: '$85 + 8.25%' } }
+            ],
+            handler: async function(args) {
+                debugLog('Tool: calculate', args);
+                try {
+                    const result = Calculator.evaluate(args.expression, { precision: args.precision });
+                    return { content: `${args.expression} = ${result.text}`, details: { result: result.text } };
+                } catch (err) {
+                    return { content: `Calculation failed: ${err.message}. Fix the expression and call calculate again.`, details: { error: err.message } };
                 }
-            }
-            debugLog({ step: 'deduplication', after: uniqueResults });
-            const plainTextResults = uniqueResults.map((r, i) => `${i+1}. ${r.title} (${r.url}) - ${r.snippet}`).join('\n');
-            state.chatHistory.push({ role: 'assistant', content: `Search results for "${args.query}" (total ${uniqueResults.length}):\n${plainTextResults}` });
-            state.lastSearchResults = uniqueResults;
-            debugLog({ step: 'suggestResultsToRead', results: uniqueResults });
-            // Prompt AI to suggest which results to read
-            await suggestResultsToRead(uniqueResults, args.query);
+            },
+            render: (result, args, details) => details.error
+                ? UIController.createCalculationCard(args.expression, details.error, { failed: true })
+                : UIController.createCalculationCard(args.expression, details.result)
         },
-        read_url: async function(args) {
-            debugLog('Tool: read_url', args);
-            if (!args.url || typeof args.url !== 'string' || !/^https?:\/\//.test(args.url)) {
-                UIController.addMessage('ai', 'Error: Invalid read_url argument.');
-                return;
-            }
-            UIController.showSpinner(`Reading content from ${args.url}...`, getAgentDetails());
-            UIController.showStatus(`Reading content from ${args.url}...`, getAgentDetails());
-            try {
-                const result = await ToolsService.readUrl(args.url);
-                const start = (typeof args.start === 'number' && args.start >= 0) ? args.start : 0;
-                const length = (typeof args.length === 'number' && args.length > 0) ? args.length : 1122;
-                const snippet = String(result).slice(start, start + length);
-                const hasMore = (start + length) < String(result).length;
-                UIController.addReadResult(args.url, snippet, hasMore);
-                const plainTextSnippet = `Read content from ${args.url}:\n${snippet}${hasMore ? '...' : ''}`;
-                state.chatHistory.push({ role: 'assistant', content: plainTextSnippet });
-                // Collect snippets for summarization
-                state.readSnippets.push(snippet);
-                // (Manual summarization removed: summarization now only happens in auto-read workflow)
-            } catch (err) {
-                UIController.hideSpinner();
-                UIController.addMessage('ai', `Read URL failed: ${err.message}`);
-                state.chatHistory.push({ role: 'assistant', content: `Read URL failed: ${err.message}` });
-            }
-            UIController.hideSpinner();
-            UIController.clearStatus();
+        {
+            name: 'datetime',
+            description: "Date and time arithmetic in any time zone. operation 'now' gives the current date and time; 'add' adds amount units to date; 'diff' gives the time from date (default today) to end; 'convert' shows date, read in from_timezone, in timezone.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    operation: { type: 'string', enum: ['now', 'add', 'diff', 'convert'], description: 'What to compute' },
+                    date: { type: 'string', description: "YYYY-MM-DD or YYYY-MM-DDTHH:mm, optionally with Z or ±HH:MM, or 'now', 'today', 'tomorrow', 'yesterday' (default now)" },
+                    end: { type: 'string', description: "diff only: the date to count to, in the same forms as date" },
+                    amount: { type: 'number', description: 'add only: how many units to add (negative to subtract)' },
+                    unit: { type: 'string', enum: ['minutes', 'hours', 'days', 'weeks', 'months', 'years'], description: 'add only: the unit of amount' },
+                    timezone: { type: 'string', description: "IANA time zone for the result, e.g. 'America/New_York' (default: the user's)" },
+                    from_timezone: { type: 'string', description: "convert only: IANA time zone date is in (default: the user's)" }
+                },
+                required: ['operation']
+            },
+            guidance: 'Use datetime for countdowns, ages, deadlines and time zone questions ("how many days until", "what time is it in Tokyo") instead of counting days yourself.',
+            examples: [{ question: 'How many days are left until Christmas 2026?', arguments: { operation: 'diff', end: '2026-12-25' } }],
+            handler: async function(args) {
+                debugLog('Tool: datetime', args);
+                try {
+                    const result = DateTimeService.evaluate(args);
+                    return { content: result, details: { result } };
+                } catch (err) {
+                    return { content: `datetime failed: ${err.message}. Fix the arguments and call datetime again.`, details: { error: err.message } };
+                }
+            },
+            render: (result, args, details) => UIController.createCalculationCard(
+                Object.keys(args).map(key => `${key}: ${args[key]}`).join(', '),
+                details.error || details.result,
+                { failed: !!details.error, title: 'Date and time', icon: '📅' }
+            )
         },
-        instant_answer: async function(args) {
-            debugLog('Tool: instant_answer', args);
-            if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
-                UIController.addMessage('ai', 'Error: Invalid instant_answer query.');
-                return;
-            }
-            UIController.showStatus(`Retrieving instant answer for "${args.query}"...`, getAgentDetails());
-            try {
-                const result = await ToolsService.instantAnswer(args.query);
-                const text = JSON.stringify(result, null, 2);
-                UIController.addMessage('ai', text);
-                state.chatHistory.push({ role: 'assistant', content: text });
-            } catch (err) {
+        {
+            name: 'run_js',
+            description: 'Run a JavaScript snippet in a sandbox and return its console output and return value. The code is the body of an async function with the text `input` in scope; a single expression is returned as is, otherwise use return. No network and no DOM. Runs are stopped at the time limit (default 5 s) or after allocating 128 MB.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', description: 'The JavaScript to run' },
+                    input: { type: 'string', description: 'Text available to the code as the variable input, e.g. a table you read' },
+                    timeout: { type: 'integer', minimum: 1, maximum: 30, description: 'Time limit in seconds (default 5)' }
+                },
+                required: ['code']
+            },
+            guidance: 'Use run_js to parse, sort, filter or compute statistics over data you have read: pass the data as input and return the answer. It cannot fetch pages; use read_url for that.',
+            examples: [{ question: 'What is the median of 12, 7, 3, 19 and 8?', arguments: { code: 'const v = [12, 7, 3, 19, 8].sort((a, b) => a - b);\nreturn v[Math.floor(v.length / 2)];' } }],
+            handler: async function(args) {
+                debugLog('Tool: run_js', args);
+                UIController.showStatus('Running JavaScript...', getAgentDetails());
+                const outcome = await JsSandbox.run(args.code, {
+                    input: args.input,
+                    timeoutMs: args.timeout ? args.timeout * 1000 : undefined,
+                    signal: getRunSignal()
+                });
                 UIController.clearStatus();
-                UIController.addMessage('ai', `Instant answer failed: ${err.message}`);
-                state.chatHistory.push({ role: 'assistant', content: `Instant answer failed: ${err.message}` });
+                return { content: describeCodeOutcome(outcome), details: outcome };
+            },
+            render: (result, args, outcome) => UIController.createCodeCard(args.code, outcome)
+        }
+    ];
+    builtInTools.forEach(tool => ToolRegistry.register(tool));
+
+    const DOCUMENT_KIND_LABELS = { pdf: 'PDF', json: 'JSON', xml: 'XML', text: 'plain text' };
+
+    /**
+     * Describes which part of a non-HTML document a read covers, for the read_url result header
+     * @param {Object} doc - The document from ToolsService.readDocument
+     * @param {number} start - Offset of the first character read
+     * @param {number} end - Offset after the last character read
+     * @returns {string} - e.g. " (PDF, pages 2–3 of 12, characters 4000–6000 of 30512)", or '' for web pages
+     */
+    function describeDocumentRange(doc, start, end) {
+        if (!DOCUMENT_KIND_LABELS[doc.kind]) return '';
+        const parts = [DOCUMENT_KIND_LABELS[doc.kind]];
+        if (doc.pages) {
+            const covered = doc.pages.filter(p => p.start < Math.max(end, start + 1) && p.end > start).map(p => p.page);
+            if (covered.length) {
+                const first = covered[0];
+                const last = covered[covered.length - 1];
+                parts.push(`${first === last ? `page ${first}` : `pages ${first}–${last}`} of ${doc.pages.length}`);
             }
-            UIController.clearStatus();
         }
-    };
+        parts.push(`characters ${start}–${end} of ${doc.text.length}`);
+        return ` (${parts.join(', ')})`;
+    }
+
+    /**
+     * Picks the chunks of a page most relevant to a question, best first, within a length
+     * @param {string} text - The page text
+     * @param {string} question - What to look for
+     * @param {number} length - Most characters to return in all
+     * @returns {Array<{start:number,end:number,score:number}>|null} - Null when the page fits in length
+     *   or nothing on it matches the question; the page is then read from its start
+     */
+    function selectRelevantParts(text, question, length) {
+        if (text.length <= length) return null;
+        const ranked = ToolsService.rankChunks(text, question, RELEVANT_CHUNK_SIZE).filter(chunk => chunk.score > 0);
+        if (!ranked.length) return null;
+        const parts = [];
+        let used = 0;
+        ranked.forEach(chunk => {
+            if (used + chunk.end - chunk.start > length) return;
+            parts.push(chunk);
+            used += chunk.end - chunk.start;
+        });
+        // A length below one chunk still gets the start of the best one
+        return parts.length ? parts : [{ ...ranked[0], end: ranked[0].start + length }];
+    }
+
+    // Helper: Offsets of a part in a document, with its page for PDFs, e.g. "page 3, characters 4200–4690"
+    function describePartPosition(doc, start, end) {
+        const page = doc.pages ? doc.pages.find(p => p.start <= start && p.end > start) : null;
+        return `${page ? `page ${page.page}, ` : ''}characters ${start}–${end}`;
+    }
+
+    /**
+     * Describes a run_js outcome for the model: console output, then the result or error
+     * @param {Object} outcome - From JsSandbox.run()
+     * @returns {string}
+     */
+    function describeCodeOutcome(outcome) {
+        const lines = [];
+        if (outcome.logs.length) {
+            lines.push('Console output:');
+            outcome.logs.forEach(log => lines.push(log.level === 'log' ? log.text : `[${log.level}] ${log.text}`));
+        }
+        if (outcome.truncated) lines.push('(Output was cut off; log or return less.)');
+        if (outcome.error) {
+            lines.push(`Error: ${outcome.error}`);
+        } else {
+            lines.push(`Result: ${outcome.result === undefined ? 'undefined (use return to give back a value)' : outcome.result}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Puts the system prompt for the currently registered tools and the current date at the
+     * start of the history, so tools registered after init are described from the next message on
+     */
+    function refreshSystemPrompt() {
+        const content = `${ToolRegistry.buildSystemPrompt()}\n\n${DateTimeService.describeNow()}`;
+        if (state.chatHistory[0] && state.chatHistory[0].role === 'system') {
+            state.chatHistory[0].content = content;
+        } else {
+            state.chatHistory.unshift({ role: 'system', content });
+        }
+    }
 
     /**
      * Initializes the chat controller
@@ -215,44 +640,14 @@ Begin Reasoning Now:
      */
     function init(initialSettings) {
         // Reset and seed chatHistory with system tool instructions
-        state.chatHistory = [{
-            role: 'system',
-            content: `You are an AI assistant with access to three external tools. You MUST use these tools to answer any question that requires up-to-date facts, statistics, or detailed content. Do NOT attempt to answer such questions from your own knowledge. The tools are:
-
-1. web_search(query) → returns a JSON array of search results [{title, url, snippet}, …]
-2. read_url(url[, start, length]) → returns the text content of a web page from position 'start' (default 0) up to 'length' characters (default 1122)
-3. instant_answer(query) → returns a JSON object from DuckDuckGo's Instant Answer API for quick facts, definitions, and summaries (no proxies needed)
-
-**INSTRUCTIONS:**
-- If you need information from the web, you MUST output a tool call as a single JSON object, and NOTHING else. Do NOT include any explanation, markdown, or extra text.
-- After receiving a tool result, reason step by step (Chain of Thought) and decide if you need to call another tool. If so, output another tool call JSON. Only provide your final answer after all necessary tool calls are complete.
-- If you need to read a web page, use read_url. If the snippet ends with an ellipsis ("..."), always determine if fetching more text will improve your answer. If so, output another read_url tool call with the same url, start at your previous offset, and length set to 5000. Repeat until you have enough content.
-- If you do NOT know the answer, or are unsure, ALWAYS call a tool first.
-- When calling a tool, output EXACTLY a JSON object and nothing else, in this format:
-  {"tool":"web_search","arguments":{"query":"your query"}}
-  {"tool":"read_url","arguments":{"url":"https://example.com","start":0,"length":1122}}
-  {"tool":"instant_answer","arguments":{"query":"your query"}}
-- Do NOT output any other text, markdown, or explanation with the tool call JSON.
-- After receiving the tool result, continue reasoning step by step and then provide your answer.
-
-**EXAMPLES:**
-Q: What is the latest news about OpenAI?
-A: {"tool":"web_search","arguments":{"query":"latest news about OpenAI"}}
-
-Q: Read the content of https://example.com and summarize it.
-A: {"tool":"read_url","arguments":{"url":"https://example.com","start":0,"length":1122}}
-
-Q: What is the capital of France?
-A: {"tool":"instant_answer","arguments":{"query":"capital of France"}}
-
-If you understand, follow these instructions for every relevant question. Do NOT answer from your own knowledge if a tool call is needed. Wait for the tool result before continuing.`,
-        }];
+        state.chatHistory = [];
+        refreshSystemPrompt();
         if (initialSettings) {
             state.settings = { ...state.settings, ...initialSettings };
         }
         
         // Set up event handlers through UI controller
-        UIController.setupEventHandlers(sendMessage, clearChat);
+        UIController.setupEventHandlers(sendMessage, clearChat, stopRun);
     }
 
     /**
@@ -270,6 +665,7 @@ If you understand, follow these instructions for every relevant question. Do NOT
     function clearChat() {
         state.chatHistory = [];
         state.totalTokens = 0;
+        state.tokenLedger = [];
         Utils.updateTokenDisplay(0);
     }
 
@@ -367,6 +763,22 @@ Answer: [your final, concise answer based on the reasoning above]`;
         document.getElementById('send-button').disabled = !enabled;
     }
 
+    // Helper: Abort signal of the run in progress (undefined when idle)
+    function getRunSignal() {
+        return state.runController ? state.runController.signal : undefined;
+    }
+
+    /**
+     * Aborts the run in progress. Requests, proxy loops and summarization
+     * rounds stop at their next checkpoint; partial output stays on screen.
+     */
+    function stopRun() {
+        if (!state.runController || state.runController.signal.aborted) return;
+        debugLog('Stopping run');
+        UIController.showStatus('Stopping...', getAgentDetails());
+        state.runController.abort();
+    }
+
     // Helper: Prepare message for sending (CoT, etc.)
     function prepareMessage(message) {
         return state.settings.enableCoT ? enhanceWithCoT(message) : message;
@@ -375,56 +787,165 @@ Answer: [your final, concise answer based on the reasoning above]`;
     // Refactored sendMessage
     async function sendMessage() {
         const message = UIController.getUserInput();
-        if (!isValidUserInput(message)) return;
+        const attachments = UIController.getPendingAttachments();
+        if (!isValidUserInput(message) && !attachments.length) return;
         state.originalUserQuestion = message;
         state.toolWorkflowActive = true;
+        state.readSnippets = [];
+        state.runReadChars = 0;
+        state.runDocuments = new Map();
 
         UIController.showStatus('Sending message...', getAgentDetails());
         setInputState(false);
+        state.runController = new AbortController();
+        state.runId = Utils.generateId('run');
+        state.fallbackModel = null;
+        UIController.setRunning(true);
 
         state.lastThinkingContent = '';
         state.lastAnswerContent = '';
 
-        UIController.addMessage('user', message);
+        const userMsgElement = UIController.addMessage('user', message);
+        UIController.addAttachmentThumbnails(userMsgElement, attachments);
         UIController.clearUserInput();
+        UIController.clearPendingAttachments();
 
         const enhancedMessage = prepareMessage(message);
         const currentSettings = SettingsController.getSettings();
         const selectedModel = currentSettings.selectedModel;
 
         try {
-            if (selectedModel.startsWith('gpt')) {
-                state.chatHistory.push({ role: 'user', content: enhancedMessage });
-                console.log("Sent enhanced message to GPT:", enhancedMessage);
-                await handleOpenAIMessage(selectedModel, enhancedMessage);
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                if (state.chatHistory.length === 0) {
-                    state.chatHistory.push({ role: 'user', content: '' });
-                }
-                await handleGeminiMessage(selectedModel, enhancedMessage);
-            }
+            // Documents are read (and summarized when long) into the turn as citable sources
+            const documentSources = await ingestDocuments(attachments.filter(a => a.type === 'document'));
+            // Attachments stay in history so follow-up turns can refer to them
+            const userTurn = { role: 'user', content: [enhancedMessage, ...documentSources].filter(Boolean).join('\n\n') };
+            if (attachments.length) userTurn.attachments = attachments;
+            refreshSystemPrompt();
+            state.chatHistory.push(userTurn);
+            debugLog('Sent enhanced message:', enhancedMessage);
+            await handleModelReply(selectedModel);
         } catch (error) {
-            console.error('Error sending message:', error);
-            UIController.addMessage('ai', 'Error: ' + error.message);
+            if (Utils.isAbortError(error)) {
+                debugLog('Run stopped by user');
+                UIController.addMessage('ai', 'Stopped.', 'plan');
+            } else {
+                console.error('Error sending message:', error);
+                UIController.addMessage('ai', ApiErrors.getRecoveryMessage(error));
+            }
         } finally {
-            Utils.updateTokenDisplay(state.totalTokens);
+            state.runController = null;
+            Utils.updateTokenDisplay(state.totalTokens, getRunTokenBreakdown(state.runId));
+            UIController.hideSpinner();
             UIController.clearStatus();
+            UIController.setRunning(false);
             setInputState(true);
         }
     }
 
+    /**
+     * Turns attached documents into source blocks for the user turn. Short documents go in whole;
+     * long ones are chunked and summarized in batches like summarizeSnippets. Each source is also
+     * kept with the read snippets so a later web summary can cite it alongside pages.
+     * @param {Array<Object>} documents - Document attachments ({ name, kind, text, preview })
+     * @returns {Promise<Array<string>>} - One source block per document
+     */
+    async function ingestDocuments(documents) {
+        const sources = [];
+        for (const doc of documents) {
+            Utils.throwIfAborted(getRunSignal());
+            let content = doc.text;
+            let note = '';
+            if (content.length > MAX_PROMPT_LENGTH) {
+                try {
+                    const summary = await summarizeDocument(doc);
+                    content = summary.text;
+                    if (summary.partsUsed < summary.partsTotal) {
+                        note = `, summarized from the ${summary.partsUsed} of ${summary.partsTotal} parts most relevant to the question`;
+                        UIController.addMessage('ai', `${doc.name} is long, so only ${summary.partsUsed} of its ${summary.partsTotal} parts (those most relevant to your question) were summarized; the rest was skipped.`);
+                    } else {
+                        note = ', summarized';
+                    }
+                } catch (err) {
+                    if (Utils.isAbortError(err)) throw err;
+                    UIController.addMessage('ai', `Summarizing ${doc.name} failed, so only its beginning is used. ${ApiErrors.getRecoveryMessage(err)}`);
+                    content = doc.text.slice(0, MAX_PROMPT_LENGTH);
+                    note = ', truncated';
+                }
+            }
+            const source = `Attached document [${doc.name}] (${doc.kind}, ${doc.preview}${note}). Cite it as [${doc.name}].\n${content}`;
+            state.readSnippets.push(source);
+            sources.push(source);
+        }
+        UIController.hideSpinner();
+        return sources;
+    }
+
+    // Helper: Chunks of a long document to summarize: all of them when there are few, else the
+    // ones most relevant to the question (BM25), topped up from the start, in document order
+    function selectDocumentParts(parts, question) {
+        if (parts.length <= MAX_DOCUMENT_PARTS) return parts;
+        const chosen = new Set(SearchIndex.rank(parts, question || '', MAX_DOCUMENT_PARTS).map(hit => hit.index));
+        for (let i = 0; chosen.size < MAX_DOCUMENT_PARTS; i++) chosen.add(i);
+        return parts.filter((part, i) => chosen.has(i));
+    }
+
+    /**
+     * Summarizes a long document chunk by chunk, combining the chunk summaries in further
+     * rounds until they fit in one prompt. At most MAX_DOCUMENT_PARTS chunks are summarized.
+     * @param {Object} doc - The document attachment
+     * @returns {Promise<{text:string,partsUsed:number,partsTotal:number}>} - The summary and how many chunks it covers
+     */
+    async function summarizeDocument(doc) {
+        const question = state.originalUserQuestion ? `\nFocus on what helps answer: ${state.originalUserQuestion}` : '';
+        const allParts = DocumentParser.chunkText(doc.text, MAX_PROMPT_LENGTH);
+        let parts = selectDocumentParts(allParts, state.originalUserQuestion);
+        const partsUsed = parts.length;
+        let round = 1;
+        while (true) {
+            const batches = round === 1 ? parts.map(part => [part]) : splitIntoBatches(parts, MAX_PROMPT_LENGTH);
+            const summaries = [];
+            for (let i = 0; i < batches.length; i++) {
+                Utils.throwIfAborted(getRunSignal());
+                const status = `Round ${round}: Summarizing ${doc.name} (part ${i + 1} of ${batches.length})...`;
+                UIController.showSpinner(status, getAgentDetails());
+                UIController.showStatus(status, getAgentDetails());
+                const prompt = `Summarize the following ${round === 1 ? 'part' : 'partial summaries'} of the document "${doc.name}" (be concise, keep names, numbers and [Page N] markers).${question}\n\n${batches[i].join('\n---\n')}`;
+                summaries.push(await completeHelperPrompt('You are an assistant that summarizes documents.', prompt, { purpose: TOKEN_PURPOSES.documentSummary, timeout: SUMMARIZATION_TIMEOUT }));
+            }
+            const combined = summaries.join('\n---\n');
+            // Stop when it fits, or when combining no longer shrinks the number of parts
+            if (combined.length <= MAX_PROMPT_LENGTH || summaries.length === 1 || (round > 1 && summaries.length >= parts.length)) {
+                return { text: combined, partsUsed, partsTotal: allParts.length };
+            }
+            parts = summaries;
+            round++;
+        }
+    }
+
+    // Helper: Structured tool calls from a reply, falling back to the strict text protocol
+    function getReplyToolCalls(result) {
+        if (result.toolCalls && result.toolCalls.length) {
+            return { text: result.text || '', toolCalls: result.toolCalls };
+        }
+        const textCall = extractToolCall(result.text);
+        return textCall ? { text: '', toolCalls: [textCall] } : { text: result.text || '', toolCalls: [] };
+    }
+
     // 3. Extract shared helpers for streaming/non-streaming response handling
-    async function handleStreamingResponse({ model, aiMsgElement, streamFn, onToolCall }) {
+    async function handleStreamingResponse({ model, aiMsgElement, onToolCalls }) {
         let streamedResponse = '';
         try {
             if (state.settings.enableCoT) {
                 state.isThinking = true;
                 UIController.updateMessageContent(aiMsgElement, '🤔 Thinking...');
             }
-            const fullReply = await streamFn(
-                model,
-                state.chatHistory,
-                (chunk, fullText) => {
+            const { model: answeredBy, result } = await requestWithFallback(TOKEN_PURPOSES.mainReply, model, attemptModel => {
+                // A failed attempt may have streamed part of a reply; start the bubble over
+                if (streamedResponse) {
+                    streamedResponse = '';
+                    UIController.updateMessageContent(aiMsgElement, state.settings.enableCoT ? '🤔 Thinking...' : '');
+                }
+                return ApiService.stream(attemptModel, state.chatHistory, (chunk, fullText) => {
                     streamedResponse = fullText;
                     if (state.settings.enableCoT) {
                         const processed = parseCoTResponse(fullText, true);
@@ -440,11 +961,20 @@ Answer: [your final, concise answer based on the reasoning above]`;
                     } else {
                         UIController.updateMessageContent(aiMsgElement, fullText);
                     }
+                }, { tools: ToolRegistry.getDefinitions(), signal: getRunSignal() });
+            });
+            const fullReply = result.text;
+            const usageEntry = recordTokenUsage(TOKEN_PURPOSES.mainReply, answeredBy, result.usage);
+            const reply = getReplyToolCalls(result);
+            if (reply.toolCalls.length) {
+                // Keep any narration streamed before the call; drop an empty or raw-JSON bubble
+                if (reply.text.trim()) {
+                    UIController.updateMessageContent(aiMsgElement, reply.text);
+                    UIController.setMessageUsage(aiMsgElement, usageEntry);
+                } else {
+                    aiMsgElement.remove();
                 }
-            );
-            const toolCall = extractToolCall(fullReply);
-            if (toolCall && toolCall.tool && toolCall.arguments) {
-                await onToolCall(toolCall);
+                await onToolCalls(reply);
                 return;
             }
             if (state.settings.enableCoT) {
@@ -462,129 +992,81 @@ Answer: [your final, concise answer based on the reasoning above]`;
             } else {
                 state.chatHistory.push({ role: 'assistant', content: fullReply });
             }
-            const tokenCount = await ApiService.getTokenUsage(model, state.chatHistory);
-            if (tokenCount) {
-                state.totalTokens += tokenCount;
-            }
+            UIController.setMessageUsage(aiMsgElement, usageEntry);
         } catch (err) {
-            UIController.updateMessageContent(aiMsgElement, 'Error: ' + err.message);
+            // Keep a partial reply on screen and in history; sendMessage reports the stop or error
+            if (streamedResponse.trim()) {
+                state.chatHistory.push({ role: 'assistant', content: streamedResponse });
+            } else {
+                aiMsgElement.remove();
+            }
             throw err;
         } finally {
             state.isThinking = false;
         }
     }
 
-    async function handleNonStreamingResponse({ model, requestFn, onToolCall }) {
+    async function handleNonStreamingResponse({ model, onToolCalls }) {
         UIController.showStatus('Waiting for AI response...', getAgentDetails());
         try {
-            const result = await requestFn(model, state.chatHistory);
-            if (result.error) {
-                throw new Error(result.error.message);
-            }
-            if (result.usage && result.usage.total_tokens) {
-                state.totalTokens += result.usage.total_tokens;
-            }
-            const reply = result.choices[0].message.content;
-            const toolCall = extractToolCall(reply);
-            if (toolCall && toolCall.tool && toolCall.arguments) {
-                await onToolCall(toolCall);
+            const { model: answeredBy, result } = await requestWithFallback(TOKEN_PURPOSES.mainReply, model, attemptModel =>
+                ApiService.complete(attemptModel, state.chatHistory, { tools: ToolRegistry.getDefinitions(), signal: getRunSignal() }));
+            const usageEntry = recordTokenUsage(TOKEN_PURPOSES.mainReply, answeredBy, result.usage);
+            const reply = getReplyToolCalls(result);
+            if (reply.toolCalls.length) {
+                if (reply.text.trim()) {
+                    const narration = UIController.addMessage('ai', reply.text, isPlanMessage(reply.text) ? 'plan' : undefined);
+                    UIController.setMessageUsage(narration, usageEntry);
+                }
+                await onToolCalls(reply);
                 return;
             }
             if (state.settings.enableCoT) {
-                const processed = parseCoTResponse(reply);
+                const processed = parseCoTResponse(reply.text);
                 if (processed.thinking) {
                     console.log('AI Thinking:', processed.thinking);
                 }
-                state.chatHistory.push({ role: 'assistant', content: reply });
+                state.chatHistory.push({ role: 'assistant', content: reply.text });
                 const displayText = formatResponseForDisplay(processed);
-                if (isPlanMessage(displayText)) {
-                    UIController.addMessage('ai', displayText, 'plan');
-                } else {
-                    UIController.addMessage('ai', displayText);
-                }
+                const messageElement = isPlanMessage(displayText)
+                    ? UIController.addMessage('ai', displayText, 'plan')
+                    : UIController.addMessage('ai', displayText);
+                UIController.setMessageUsage(messageElement, usageEntry);
             } else {
-                state.chatHistory.push({ role: 'assistant', content: reply });
-                UIController.addMessage('ai', reply);
+                state.chatHistory.push({ role: 'assistant', content: reply.text });
+                UIController.setMessageUsage(UIController.addMessage('ai', reply.text), usageEntry);
             }
         } catch (err) {
             throw err;
         }
     }
 
-    // Refactored handleOpenAIMessage
-    async function handleOpenAIMessage(model, message) {
+    /**
+     * Requests the next assistant reply for the current chat history,
+     * streaming it when the streaming setting is on
+     * @param {string} model - The model to use
+     */
+    async function handleModelReply(model) {
         if (state.settings.streaming) {
             UIController.showStatus('Streaming response...', getAgentDetails());
             const aiMsgElement = UIController.createEmptyAIMessage();
-            await handleStreamingResponse({ model, aiMsgElement, streamFn: ApiService.streamOpenAIRequest, onToolCall: processToolCall });
+            await handleStreamingResponse({ model, aiMsgElement, onToolCalls: handleReplyToolCalls });
         } else {
-            await handleNonStreamingResponse({ model, requestFn: ApiService.sendOpenAIRequest, onToolCall: processToolCall });
-        }
-    }
-
-    // Helper: Handle streaming Gemini response
-    async function handleGeminiStreaming(model, message, aiMsgElement) {
-        await handleStreamingResponse({ model, aiMsgElement, streamFn: ApiService.streamGeminiRequest, onToolCall: processToolCall });
-    }
-
-    // Helper: Handle non-streaming Gemini response
-    async function handleGeminiNonStreaming(model, message) {
-        try {
-            const session = ApiService.createGeminiSession(model);
-            const result = await session.sendMessage(message, state.chatHistory);
-            if (result.usageMetadata && typeof result.usageMetadata.totalTokenCount === 'number') {
-                state.totalTokens += result.usageMetadata.totalTokenCount;
-            }
-            const candidate = result.candidates[0];
-            let textResponse = '';
-            if (candidate.content.parts) {
-                textResponse = candidate.content.parts.map(p => p.text).join(' ');
-            } else if (candidate.content.text) {
-                textResponse = candidate.content.text;
-            }
-            const toolCall = extractToolCall(textResponse);
-            if (toolCall && toolCall.tool && toolCall.arguments) {
-                await processToolCall(toolCall);
-                return;
-            }
-            if (state.settings.enableCoT) {
-                const processed = parseCoTResponse(textResponse);
-                if (processed.thinking) {
-                    console.log('AI Thinking:', processed.thinking);
-                }
-                state.chatHistory.push({ role: 'assistant', content: textResponse });
-                const displayText = formatResponseForDisplay(processed);
-                if (isPlanMessage(displayText)) {
-                    UIController.addMessage('ai', displayText, 'plan');
-                } else {
-                    UIController.addMessage('ai', displayText);
-                }
-            } else {
-                state.chatHistory.push({ role: 'assistant', content: textResponse });
-                UIController.addMessage('ai', textResponse);
-            }
-        } catch (err) {
-            throw err;
+            await handleNonStreamingResponse({ model, onToolCalls: handleReplyToolCalls });
         }
     }
 
-    // Refactored handleGeminiMessage
-    async function handleGeminiMessage(model, message) {
-        state.chatHistory.push({ role: 'user', content: message });
-        if (state.settings.streaming) {
-            const aiMsgElement = UIController.createEmptyAIMessage();
-            await handleGeminiStreaming(model, message, aiMsgElement);
-        } else {
-            await handleGeminiNonStreaming(model, message);
-        }
+    /**
+     * Records an assistant turn carrying tool calls, runs them, then continues the conversation
+     * @param {{text:string,toolCalls:Array}} reply - The assistant reply with its tool calls
+     */
+    async function handleReplyToolCalls(reply) {
+        state.chatHistory.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls });
+        await runToolCalls(reply.toolCalls.map(call => ({ id: call.id, tool: call.name, arguments: call.arguments })));
     }
 
-    // Enhanced processToolCall using registry and validation
-    async function processToolCall(call) {
-        debugLog('processToolCall', call);
-        if (!state.toolWorkflowActive) return;
-        const { tool, arguments: args, skipContinue } = call;
-        // Tool call loop protection
+    // Helper: Check tool call loop protection; returns false when the call must be refused
+    function checkToolCallRepeat(tool, args) {
         const callSignature = JSON.stringify({ tool, args });
         if (state.lastToolCall === callSignature) {
             state.lastToolCallCount++;
@@ -592,36 +1074,104 @@ Answer: [your final, concise answer based on the reasoning above]`;
             state.lastToolCall = callSignature;
             state.lastToolCallCount = 1;
         }
-        if (state.lastToolCallCount > state.MAX_TOOL_CALL_REPEAT) {
-            UIController.addMessage('ai', `Error: Tool call loop detected. The same tool call has been made more than ${state.MAX_TOOL_CALL_REPEAT} times in a row. Stopping to prevent infinite loop.`);
-            return;
+        return state.lastToolCallCount <= state.MAX_TOOL_CALL_REPEAT;
+    }
+
+    // Helper: Shows a tool result through the tool's render function (a string becomes a bubble, an element a card)
+    function renderToolResult(tool, output, args, details) {
+        try {
+            const rendered = tool.render(output, args, details);
+            if (typeof rendered === 'string' && rendered) {
+                UIController.addMessage('ai', rendered);
+            } else if (rendered && rendered.nodeType === 1) {
+                UIController.addToolCard(rendered);
+            }
+        } catch (err) {
+            console.warn(`Rendering the ${tool.name} result failed:`, err);
         }
-        // Log tool call
-        state.toolCallHistory.push({ tool, args, timestamp: new Date().toISOString() });
-        await toolHandlers[tool](args);
-        // Only continue reasoning if the last AI reply was NOT a tool call
-        if (!skipContinue) {
-            const lastEntry = state.chatHistory[state.chatHistory.length - 1];
-            let isToolCall = false;
-            if (lastEntry && typeof lastEntry.content === 'string') {
+    }
+
+    /**
+     * Runs tool calls whose assistant turn is already in chatHistory. All results
+     * are recorded as tool turns first, then handler follow-ups run, then the model
+     * is asked to continue unless skipContinue is set.
+     * @param {Array<{id:string,tool:string,arguments:Object}>} calls - The tool calls
+     * @param {Object} [options] - { skipContinue }
+     */
+    async function runToolCalls(calls, { skipContinue = false } = {}) {
+        const followUps = [];
+        // Calls arriving after the final answer was synthesized are answered but not run
+        const workflowActive = state.toolWorkflowActive;
+        let loopDetected = false;
+        let abortError = null;
+        for (const call of calls) {
+            const { id, tool } = call;
+            const args = call.arguments || {};
+            let output;
+            const validation = ToolRegistry.has(tool) ? ToolRegistry.validateArgs(tool, args) : null;
+            if (abortError) {
+                output = 'Error: The run was stopped; this call was not executed.';
+            } else if (!workflowActive) {
+                output = 'Error: The tool workflow has finished; this call was not executed.';
+            } else if (!ToolRegistry.has(tool)) {
+                output = `Error: Unknown tool "${tool}".`;
+            } else if (!validation.valid) {
+                output = `Error: Invalid arguments for ${tool}: ${validation.errors.join('; ')}. Fix them and call the tool again.`;
+            } else if (!checkToolCallRepeat(tool, args)) {
+                loopDetected = true;
+                UIController.addMessage('ai', `Error: Tool call loop detected. The same tool call has been made more than ${state.MAX_TOOL_CALL_REPEAT} times in a row. Stopping to prevent infinite loop.`);
+                output = 'Error: Tool call loop detected; this call was not executed.';
+            } else {
+                // Log tool call
+                state.toolCallHistory.push({ tool, args, timestamp: new Date().toISOString() });
+                const registered = ToolRegistry.get(tool);
                 try {
-                    const parsed = JSON.parse(lastEntry.content);
-                    if (parsed.tool && parsed.arguments) {
-                        isToolCall = true;
+                    const result = await registered.handler(args, { signal: getRunSignal(), question: state.originalUserQuestion });
+                    let details;
+                    if (result && typeof result === 'object') {
+                        output = result.content;
+                        details = result.details;
+                        if (result.followUp) followUps.push(result.followUp);
+                    } else {
+                        output = result;
+                    }
+                    if (registered.render) renderToolResult(registered, output, args, details);
+                } catch (err) {
+                    // Still answer every call so the history stays a valid call/result sequence
+                    if (Utils.isAbortError(err)) {
+                        abortError = err;
+                        output = 'Error: The run was stopped before this call finished.';
+                    } else {
+                        // Handlers added through ToolRegistry.register may throw instead of returning an error
+                        console.warn(`Tool ${tool} failed:`, err);
+                        output = `Error: ${tool} failed: ${err && err.message ? err.message : err}`;
                     }
-                } catch {}
-            }
-            if (!isToolCall) {
-                const selectedModel = SettingsController.getSettings().selectedModel;
-                if (selectedModel.startsWith('gpt')) {
-                    await handleOpenAIMessage(selectedModel, '');
-                } else {
-                    await handleGeminiMessage(selectedModel, '');
                 }
-            } else {
-                UIController.addMessage('ai', 'Warning: AI outputted another tool call without reasoning. Stopping to prevent infinite loop.');
             }
+            state.chatHistory.push({ role: 'tool', toolCallId: id, name: tool, content: output || '(no result)' });
         }
+        if (abortError) throw abortError;
+        for (const followUp of followUps) {
+            await followUp();
+        }
+        if (!skipContinue && !loopDetected && workflowActive) {
+            await handleModelReply(SettingsController.getSettings().selectedModel);
+        }
+    }
+
+    /**
+     * Runs a tool call that did not come from a model reply (e.g. auto-reading).
+     * An assistant turn with the call is recorded first so providers see a
+     * well-formed call/result pair.
+     * @param {{tool:string,arguments:Object,skipContinue:boolean}} call - The tool call
+     */
+    async function processToolCall(call) {
+        debugLog('processToolCall', call);
+        if (!state.toolWorkflowActive) return;
+        const { tool, arguments: args, skipContinue } = call;
+        const id = call.id || Utils.generateId('call');
+        state.chatHistory.push({ role: 'assistant', content: '', toolCalls: [{ id, name: tool, arguments: args || {} }] });
+        await runToolCalls([{ id, tool, arguments: args }], { skipContinue });
     }
 
     /**
@@ -640,24 +1190,129 @@ Answer: [your final, concise answer based on the reasoning above]`;
         return state.totalTokens;
     }
 
-    // Helper: AI-driven deep reading for a URL
-    async function deepReadUrl(url, maxChunks = 5, chunkSize = 2000, maxTotalLength = 10000) {
-        let allChunks = [];
-        let start = 0;
-        let shouldContinue = true;
-        let chunkCount = 0;
+    /**
+     * Gets the token ledger, optionally limited to one run
+     * @param {string} [runId] - The run id (defaults to all runs)
+     * @returns {Array<Object>} - Ledger entries in call order
+     */
+    function getTokenLedger(runId) {
+        return state.tokenLedger.filter(entry => !runId || entry.runId === runId).map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Sends a one-off helper prompt (outside the chat history) to the selected model,
+     * falling back down the model chain, and records its usage in the token ledger under options.purpose
+     * @param {string} systemContent - The system instruction for the helper
+     * @param {string} prompt - The user prompt
+     * @param {Object} [options] - { purpose, timeout }; the run's abort signal is added
+     * @returns {Promise<string>} - The trimmed reply text
+     */
+    async function completeHelperPrompt(systemContent, prompt, options = {}) {
+        const { purpose = 'helper', ...requestOptions } = options;
+        const selectedModel = SettingsController.getSettings().selectedModel;
+        const { model, result } = await requestWithFallback(purpose, selectedModel, attemptModel => ApiService.complete(attemptModel, [
+            { role: 'system', content: systemContent },
+            { role: 'user', content: prompt }
+        ], { signal: getRunSignal(), ...requestOptions }));
+        recordTokenUsage(purpose, model, result.usage);
+        return (result.text || '').trim();
+    }
+
+    /**
+     * Streams a helper prompt's reply into a chat bubble, rendering Thinking/Answer like the main reply
+     * @param {string} systemContent - The system instruction for the helper
+     * @param {string} prompt - The user prompt
+     * @param {Object} [options] - { purpose, timeout, prefix, element }; prefix is shown before the
+     *   reply, and element is an existing bubble to stream into instead of a new one
+     * @returns {Promise<{text:string,element:Element,usage:Object|null}>} - The answer text, the bubble and the ledger entry
+     */
+    async function streamHelperReply(systemContent, prompt, options = {}) {
+        const { purpose = 'helper', prefix = '', element = null, ...requestOptions } = options;
+        const selectedModel = SettingsController.getSettings().selectedModel;
+        const messageElement = element || UIController.createEmptyAIMessage();
+        const render = (text, isPartial) => {
+            const processed = state.settings.enableCoT ? parseCoTResponse(text, isPartial) : { answer: text, hasStructuredResponse: false };
+            // A Thinking/Answer reply is rendered with its own headings, which the prefix would confuse
+            const display = formatResponseForDisplay(processed);
+            UIController.updateMessageContent(messageElement, processed.hasStructuredResponse ? display : prefix + display);
+            return processed;
+        };
+        let streamed = '';
+        try {
+            const { model, result } = await requestWithFallback(purpose, selectedModel, attemptModel => {
+                // A failed attempt may have streamed part of a reply; start the bubble over
+                if (streamed) {
+                    streamed = '';
+                    render('', true);
+                }
+                return ApiService.stream(attemptModel, [
+                    { role: 'system', content: systemContent },
+                    { role: 'user', content: prompt }
+                ], (chunk, fullText) => {
+                    if (!streamed) UIController.hideSpinner();
+                    streamed = fullText;
+                    render(fullText, true);
+                }, { signal: getRunSignal(), ...requestOptions });
+            });
+            const processed = render(result.text || '', false);
+            const text = processed.hasStructuredResponse ? processed.answer : (result.text || '');
+            return { text: text.trim(), element: messageElement, usage: recordTokenUsage(purpose, model, result.usage) };
+        } catch (err) {
+            // Keep a partial reply on screen; drop a bubble this call created and never filled
+            if (!streamed.trim() && !element) messageElement.remove();
+            throw err;
+        }
+    }
+
+    // Helper: Fetches and parses a document once per run. A deep read ranks the page's chunks and
+    // then reads them one by one through read_url, which would otherwise download it each time.
+    function readRunDocument(url) {
+        if (!state.runDocuments.has(url)) {
+            const pending = ToolsService.readDocument(url, { signal: getRunSignal() });
+            state.runDocuments.set(url, pending);
+            // A failed read is not kept, so the next read_url tries the page again
+            pending.catch(() => state.runDocuments.delete(url));
+        }
+        return state.runDocuments.get(url);
+    }
+
+    /**
+     * Reads a page chunk by chunk within the reading budget, the chunks most relevant to the
+     * user's question first, asking the model after each chunk whether the question needs more of the page
+     * @param {string} url - The page to read
+     * @returns {Promise<Array<string>>} - The chunks read
+     */
+    async function deepReadUrl(url) {
+        const { chunkSize, maxChunksPerPage, maxCharsPerPage, maxCharsPerRun } = SettingsController.getSettings().readingBudget;
+        let order;
+        try {
+            const doc = await readRunDocument(url);
+            order = ToolsService.rankChunks(doc.text, state.originalUserQuestion, chunkSize);
+        } catch (err) {
+            if (Utils.isAbortError(err)) throw err;
+            // Let read_url try the page once more and report what went wrong
+            order = [{ start: 0, end: chunkSize }];
+        }
+        const allChunks = [];
         let totalLength = 0;
-        while (shouldContinue && chunkCount < maxChunks && totalLength < maxTotalLength) {
+        for (const chunk of order) {
+            if (allChunks.length >= maxChunksPerPage || totalLength >= maxCharsPerPage || state.runReadChars >= maxCharsPerRun) break;
+            const start = chunk.start;
+            const length = Math.min(chunk.end - chunk.start, maxCharsPerPage - totalLength);
             // Check cache first
-            const cacheKey = `${url}:${start}:${chunkSize}`;
+            const cacheKey = `${url}:${start}:${length}`;
             let snippet;
             if (state.readCache.has(cacheKey)) {
                 snippet = state.readCache.get(cacheKey);
+                // Cached reads still feed this run's summary and count against its budget: the cache
+                // outlives a run, and without this asking again (or replaying) would summarize less
+                state.readSnippets.push(snippet);
+                state.runReadChars += snippet.length;
             } else {
-                await processToolCall({ tool: 'read_url', arguments: { url, start, length: chunkSize }, skipContinue: true });
+                await processToolCall({ tool: 'read_url', arguments: { url, start, length }, skipContinue: true });
                 // Find the last snippet added to chatHistory
                 const lastEntry = state.chatHistory[state.chatHistory.length - 1];
-                if (lastEntry && typeof lastEntry.content === 'string' && lastEntry.content.startsWith('Read content from')) {
+                if (lastEntry && lastEntry.role === 'tool' && typeof lastEntry.content === 'string' && lastEntry.content.startsWith('Read content from')) {
                     snippet = lastEntry.content.split('\n').slice(1).join('\n');
                     state.readCache.set(cacheKey, snippet);
                 } else {
@@ -667,34 +1322,32 @@ Answer: [your final, concise answer based on the reasoning above]`;
             if (!snippet) break;
             allChunks.push(snippet);
             totalLength += snippet.length;
-            // Ask AI if more is needed
-            const selectedModel = SettingsController.getSettings().selectedModel;
-            let aiReply = '';
-            try {
-                const prompt = `Given the following snippet from ${url}, do you need more content to answer the user's question? Please reply with \"YES\" or \"NO\" and a brief reason. If YES, estimate how many more characters you need.\n\nSnippet:\n${snippet}`;
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that decides if more content is needed from a web page.' },
-                        { role: 'user', content: prompt }
-                    ]);
-                    aiReply = res.choices[0].message.content.trim().toLowerCase();
-                }
-            } catch (err) {
-                // On error, stop deep reading
-                shouldContinue = false;
-                break;
-            }
-            if (aiReply.startsWith('yes') && totalLength < maxTotalLength) {
-                start += chunkSize;
-                chunkCount++;
-                shouldContinue = true;
-            } else {
-                shouldContinue = false;
-            }
+            const unread = chunk !== order[order.length - 1];
+            const budgetLeft = allChunks.length < maxChunksPerPage && totalLength < maxCharsPerPage && state.runReadChars < maxCharsPerRun;
+            if (!unread || !budgetLeft || !(await needsMoreOfPage(url, snippet, totalLength))) break;
         }
         return allChunks;
     }
 
+    /**
+     * Asks the model whether the original question needs more of a page than has been read
+     * @param {string} url - The page being read
+     * @param {string} snippet - The chunk just read
+     * @param {number} totalLength - Characters read from the page so far
+     * @returns {Promise<boolean>} - True to keep reading; false on NO or when the model call fails
+     */
+    async function needsMoreOfPage(url, snippet, totalLength) {
+        const prompt = `User question: ${state.originalUserQuestion}\n\nSo far ${totalLength} characters of ${url} have been read, the parts most relevant to the question first; the latest part is below. Is more of this page needed to answer the question? Reply with "YES" or "NO" and a brief reason.\n\nLatest part:\n${snippet}`;
+        try {
+            const aiReply = await completeHelperPrompt('You are an assistant that decides if more content is needed from a web page.', prompt, { purpose: TOKEN_PURPOSES.readMore });
+            return /^\W*yes\b/i.test(aiReply);
+        } catch (err) {
+            if (Utils.isAbortError(err)) throw err;
+            // On error, stop deep reading
+            return false;
+        }
+    }
+
     // Autonomous follow-up: after AI suggests which results to read, auto-read and summarize
     async function autoReadAndSummarizeFromSuggestion(aiReply) {
         debugLog('autoReadAndSummarizeFromSuggestion', aiReply);
@@ -714,9 +1367,15 @@ Answer: [your final, concise answer based on the reasoning above]`;
         state.autoReadInProgress = true;
         try {
             for (let i = 0; i < urlsToRead.length; i++) {
+                Utils.throwIfAborted(getRunSignal());
                 const url = urlsToRead[i];
+                const { maxCharsPerRun } = SettingsController.getSettings().readingBudget;
+                if (state.runReadChars >= maxCharsPerRun) {
+                    UIController.addMessage('ai', `Reading budget for this run (${maxCharsPerRun} characters) is used up; summarizing what was read.`, 'plan');
+                    break;
+                }
                 UIController.showSpinner(`Reading ${i + 1} of ${urlsToRead.length} URLs: ${url}...`, getAgentDetails());
-                await deepReadUrl(url, 5, 2000);
+                await deepReadUrl(url);
             }
             // After all reads, auto-summarize
             await summarizeSnippets();
@@ -730,29 +1389,8 @@ Answer: [your final, concise answer based on the reasoning above]`;
         debugLog('suggestResultsToRead', { results, query });
         if (!results || results.length === 0) return;
         const prompt = `Given these search results for the query: "${query}", which results (by number) are most relevant to read in detail?\n\n${results.map((r, i) => `${i+1}. ${r.title} - ${r.snippet}`).join('\n')}\n\nReply with a comma-separated list of result numbers.`;
-        const selectedModel = SettingsController.getSettings().selectedModel;
-        let aiReply = '';
         try {
-            if (selectedModel.startsWith('gpt')) {
-                const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                    { role: 'system', content: 'You are an assistant helping to select the most relevant search results.' },
-                    { role: 'user', content: prompt }
-                ]);
-                aiReply = res.choices[0].message.content.trim();
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                const session = ApiService.createGeminiSession(selectedModel);
-                const chatHistory = [
-                    { role: 'system', content: 'You are an assistant helping to select the most relevant search results.' },
-                    { role: 'user', content: prompt }
-                ];
-                const result = await session.sendMessage(prompt, chatHistory);
-                const candidate = result.candidates[0];
-                if (candidate.content.parts) {
-                    aiReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                } else if (candidate.content.text) {
-                    aiReply = candidate.content.text.trim();
-                }
-            }
+            const aiReply = await completeHelperPrompt('You are an assistant helping to select the most relevant search results.', prompt, { purpose: TOKEN_PURPOSES.resultSelection });
             // Optionally, parse and highlight suggested results
             if (aiReply) {
                 UIController.addMessage('ai', `AI suggests reading results: ${aiReply}`);
@@ -760,6 +1398,7 @@ Answer: [your final, concise answer based on the reasoning above]`;
                 await autoReadAndSummarizeFromSuggestion(aiReply);
             }
         } catch (err) {
+            if (Utils.isAbortError(err)) throw err;
             // Ignore suggestion errors
         }
     }
@@ -789,41 +1428,30 @@ Answer: [your final, concise answer based on the reasoning above]`;
         debugLog('summarizeSnippets', { snippets, round });
         if (!snippets) snippets = state.readSnippets;
         if (!snippets.length) return;
-        const selectedModel = SettingsController.getSettings().selectedModel;
-        const MAX_PROMPT_LENGTH = 5857; // chars, safe for most models
-        const SUMMARIZATION_TIMEOUT = 88000; // 88 seconds
+        Utils.throwIfAborted(getRunSignal());
         // If only one snippet, just summarize it directly
         if (snippets.length === 1) {
-            const prompt = `Summarize the following information extracted from web pages (be as concise as possible):\n\n${snippets[0]}`;
+            const prompt = `Summarize the following information extracted from web pages and attached documents (be as concise as possible, and keep each fact's source name or URL so it can be cited):\n\n${snippets[0]}`;
             let aiReply = '';
             UIController.showSpinner(`Round ${round}: Summarizing information...`, getAgentDetails());
             UIController.showStatus(`Round ${round}: Summarizing information...`, getAgentDetails());
             try {
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: prompt }
-                    ], SUMMARIZATION_TIMEOUT);
-                    aiReply = res.choices[0].message.content.trim();
-                } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                    const session = ApiService.createGeminiSession(selectedModel);
-                    const chatHistory = [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: prompt }
-                    ];
-                    const result = await session.sendMessage(prompt, chatHistory);
-                    const candidate = result.candidates[0];
-                    if (candidate.content.parts) {
-                        aiReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                    } else if (candidate.content.text) {
-                        aiReply = candidate.content.text.trim();
+                if (state.settings.streaming) {
+                    const streamed = await streamHelperReply('You are an assistant that synthesizes information from multiple sources.', prompt, { purpose: TOKEN_PURPOSES.summaryBatch, timeout: SUMMARIZATION_TIMEOUT, prefix: 'Summary:\n' });
+                    aiReply = streamed.text;
+                    UIController.setMessageUsage(streamed.element, streamed.usage);
+                } else {
+                    aiReply = await completeHelperPrompt('You are an assistant that synthesizes information from multiple sources.', prompt, { purpose: TOKEN_PURPOSES.summaryBatch, timeout: SUMMARIZATION_TIMEOUT });
+                    if (aiReply) {
+                        UIController.addMessage('ai', `Summary:\n${aiReply}`);
                     }
                 }
-                if (aiReply) {
-                    UIController.addMessage('ai', `Summary:\n${aiReply}`);
-                }
             } catch (err) {
-                UIController.addMessage('ai', `Summarization failed. Error: ${err && err.message ? err.message : err}`);
+                if (Utils.isAbortError(err)) {
+                    state.readSnippets = [];
+                    throw err;
+                }
+                UIController.addMessage('ai', `Summarization failed. ${ApiErrors.getRecoveryMessage(err)}`);
             }
             UIController.hideSpinner();
             UIController.clearStatus();
@@ -836,32 +1464,30 @@ Answer: [your final, concise answer based on the reasoning above]`;
         const batches = splitIntoBatches(snippets, MAX_PROMPT_LENGTH);
         let batchSummaries = [];
         const totalBatches = batches.length;
+        // With streaming on, the batch summaries of a round stream one after another into a single bubble
+        const summaryLabel = round === 1 ? 'Summary:\n' : `Summary (round ${round}):\n`;
+        let summaryElement = null;
+        const summaryUsage = { promptTokens: 0, completionTokens: 0 };
         try {
             for (let i = 0; i < totalBatches; i++) {
+                Utils.throwIfAborted(getRunSignal());
                 const batch = batches[i];
                 UIController.showSpinner(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`, getAgentDetails());
                 UIController.showStatus(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`, getAgentDetails());
-                const batchPrompt = `Summarize the following information extracted from web pages (be as concise as possible):\n\n${batch.join('\n---\n')}`;
-                let batchReply = '';
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: batchPrompt }
-                    ], SUMMARIZATION_TIMEOUT);
-                    batchReply = res.choices[0].message.content.trim();
-                } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                    const session = ApiService.createGeminiSession(selectedModel);
-                    const chatHistory = [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: batchPrompt }
-                    ];
-                    const result = await session.sendMessage(batchPrompt, chatHistory);
-                    const candidate = result.candidates[0];
-                    if (candidate.content.parts) {
-                        batchReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                    } else if (candidate.content.text) {
-                        batchReply = candidate.content.text.trim();
+                const batchPrompt = `Summarize the following information extracted from web pages and attached documents (be as concise as possible, and keep each fact's source name or URL so it can be cited):\n\n${batch.join('\n---\n')}`;
+                let batchReply;
+                if (state.settings.streaming) {
+                    const prefix = summaryLabel + batchSummaries.map(summary => `${summary}\n---\n`).join('');
+                    const streamed = await streamHelperReply('You are an assistant that synthesizes information from multiple sources.', batchPrompt, { purpose: TOKEN_PURPOSES.summaryBatch, timeout: SUMMARIZATION_TIMEOUT, prefix, element: summaryElement });
+                    summaryElement = streamed.element;
+                    batchReply = streamed.text;
+                    if (streamed.usage) {
+                        summaryUsage.promptTokens += streamed.usage.promptTokens;
+                        summaryUsage.completionTokens += streamed.usage.completionTokens;
+                        UIController.setMessageUsage(summaryElement, summaryUsage);
                     }
+                } else {
+                    batchReply = await completeHelperPrompt('You are an assistant that synthesizes information from multiple sources.', batchPrompt, { purpose: TOKEN_PURPOSES.summaryBatch, timeout: SUMMARIZATION_TIMEOUT });
                 }
                 batchSummaries.push(batchReply);
             }
@@ -874,12 +1500,20 @@ Answer: [your final, concise answer based on the reasoning above]`;
             } else {
                 UIController.showSpinner(`Round ${round}: Finalizing summary...`, getAgentDetails());
                 UIController.showStatus(`Round ${round}: Finalizing summary...`, getAgentDetails());
-                UIController.addMessage('ai', `Summary:\n${combined}`);
+                if (!summaryElement) UIController.addMessage('ai', `Summary:\n${combined}`);
                 // Prompt for final answer after all summaries
                 await synthesizeFinalAnswer(combined);
             }
         } catch (err) {
-            UIController.addMessage('ai', `Summarization failed. Error: ${err && err.message ? err.message : err}`);
+            if (Utils.isAbortError(err)) {
+                // Keep the batch summaries finished before the stop (a streamed bubble already shows them)
+                if (batchSummaries.length && !summaryElement) {
+                    UIController.addMessage('ai', `Partial summary (stopped after ${batchSummaries.length} of ${totalBatches} batches):\n${batchSummaries.join('\n---\n')}`);
+                }
+                state.readSnippets = [];
+                throw err;
+            }
+            UIController.addMessage('ai', `Summarization failed. ${ApiErrors.getRecoveryMessage(err)}`);
         }
         UIController.hideSpinner();
         UIController.clearStatus();
@@ -890,38 +1524,25 @@ Answer: [your final, concise answer based on the reasoning above]`;
     async function synthesizeFinalAnswer(summaries) {
         debugLog('synthesizeFinalAnswer', summaries);
         if (!summaries || !state.originalUserQuestion) return;
-        const selectedModel = SettingsController.getSettings().selectedModel;
         const prompt = `Based on the following summaries, provide a final, concise answer to the original question.\n\nSummaries:\n${summaries}\n\nOriginal question: ${state.originalUserQuestion}`;
         try {
-            let finalAnswer = '';
-            if (selectedModel.startsWith('gpt')) {
-                const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                    { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources and provides a final answer.' },
-                    { role: 'user', content: prompt }
-                ]);
-                finalAnswer = res.choices[0].message.content.trim();
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                const session = ApiService.createGeminiSession(selectedModel);
-                const chatHistory = [
-                    { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources and provides a final answer.' },
-                    { role: 'user', content: prompt }
-                ];
-                const result = await session.sendMessage(prompt, chatHistory);
-                const candidate = result.candidates[0];
-                if (candidate.content.parts) {
-                    finalAnswer = candidate.content.parts.map(p => p.text).join(' ').trim();
-                } else if (candidate.content.text) {
-                    finalAnswer = candidate.content.text.trim();
+            if (state.settings.streaming) {
+                UIController.showStatus('Streaming final answer...', getAgentDetails());
+                const streamed = await streamHelperReply('You are an assistant that synthesizes information from multiple sources and provides a final answer.', prompt, { purpose: TOKEN_PURPOSES.synthesis, prefix: 'Final Answer:\n' });
+                debugLog({ step: 'synthesizeFinalAnswer', finalAnswer: streamed.text });
+                UIController.setMessageUsage(streamed.element, streamed.usage);
+            } else {
+                const finalAnswer = await completeHelperPrompt('You are an assistant that synthesizes information from multiple sources and provides a final answer.', prompt, { purpose: TOKEN_PURPOSES.synthesis });
+                debugLog({ step: 'synthesizeFinalAnswer', finalAnswer });
+                if (finalAnswer) {
+                    UIController.addMessage('ai', `Final Answer:\n${finalAnswer}`);
                 }
             }
-            debugLog({ step: 'synthesizeFinalAnswer', finalAnswer });
-            if (finalAnswer) {
-                UIController.addMessage('ai', `Final Answer:\n${finalAnswer}`);
-            }
             // Stop tool workflow after final answer
             state.toolWorkflowActive = false;
         } catch (err) {
-            UIController.addMessage('ai', `Final answer synthesis failed. Error: ${err && err.message ? err.message : err}`);
+            if (Utils.isAbortError(err)) throw err;
+            UIController.addMessage('ai', `Final answer synthesis failed. ${ApiErrors.getRecoveryMessage(err)}`);
             state.toolWorkflowActive = false;
         }
     }
@@ -931,8 +1552,10 @@ Answer: [your final, concise answer based on the reasoning above]`;
         const settings = SettingsController.getSettings();
         return {
             model: settings.selectedModel,
+            fallbackModel: state.fallbackModel,
             streaming: settings.streaming,
             enableCoT: settings.enableCoT,
+            preset: settings.generationPreset,
             showThinking: settings.showThinking
         };
     }
@@ -949,8 +1572,11 @@ Answer: [your final, concise answer based on the reasoning above]`;
         updateSettings,
         getSettings,
         sendMessage,
+        stopRun,
         getChatHistory,
         getTotalTokens,
+        getTokenLedger,
+        getRunTokenBreakdown: () => getRunTokenBreakdown(state.runId),
         clearChat,
         processToolCall,
         getToolCallHistory: () => [...state.toolCallHistory],
@@ -0,0 +1,371 @@
+/**
+ * ./js/content-extractor.js
+ * Content Extractor Module - Turns a web page into Markdown of its main content
+ * Strips navigation, footers, sidebars and other boilerplate, finds the article region
+ * (landmark elements first, then paragraph scoring in the style of Readability), and
+ * writes it out in document order with headings, lists, tables, quotes and code blocks.
+ * XML documents are handled too: RSS and Atom feeds as a list of entries, anything else
+ * as an indented outline of its elements.
+ * Pure apart from DOMParser: the same markup always gives the same text, which
+ * tests/content-extractor.test.js checks against the saved pages in tests/fixtures/content-extractor.
+ */
+const ContentExtractor = (function() {
+    'use strict';
+
+    // Never content, wherever they appear
+    const REMOVE_SELECTOR = [
+        'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+        'nav', 'aside', 'footer', 'button', 'input', 'select', 'textarea', 'label', 'dialog',
+        '[hidden]', '[aria-hidden="true"]', '[role="navigation"]', '[role="banner"]',
+        '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]', '[role="search"]'
+    ].join(', ');
+    // Class or id words of page chrome, unless the element also looks like content
+    const UNLIKELY_PATTERN = /(^|[\s_-])(nav|navbar|menu|breadcrumbs?|footer|sidebar|sidenav|comments?|share|sharing|social|cookies?|consent|banner|advert|ads?|promo|sponsored|related|recommended|newsletter|subscribe|popup|modal|masthead|skip|pagination|pager|widget|toolbar)([\s_-]|$)/i;
+    const MAYBE_CONTENT_PATTERN = /article|body|column|content|main|post|entry|story/i;
+    const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|text|blog|story/i;
+    const NEGATIVE_PATTERN = /comment|footer|masthead|meta|sidebar|sponsor|widget|related|share|promo|menu|nav/i;
+    // Landmarks taken as the main region when they hold at least this much text
+    const LANDMARK_SELECTOR = 'article, main, [role="main"], [itemprop="articleBody"]';
+    const MIN_CONTENT_LENGTH = 250;
+    // Paragraphs shorter than this do not count towards a candidate's score
+    const MIN_PARAGRAPH_LENGTH = 25;
+
+    const BLOCK_TAGS = new Set([
+        'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+        'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+        'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+        'tr', 'ul'
+    ]);
+    const PARAGRAPH_TAGS = new Set(['p', 'figcaption', 'summary', 'dt', 'address']);
+
+    // Helper: Class and id of an element, for the pattern checks
+    function classAndId(el) {
+        return `${el.getAttribute('class') || ''} ${el.id || ''}`;
+    }
+
+    // Helper: Whether an element is hidden with an inline style
+    function isHiddenByStyle(el) {
+        return /display\s*:\s*none|visibility\s*:\s*hidden/i.test(el.getAttribute('style') || '');
+    }
+
+    /**
+     * Removes scripts, navigation, hidden elements and other page chrome from a document
+     * @param {Document} doc - The parsed page (modified in place)
+     */
+    function removeBoilerplate(doc) {
+        doc.querySelectorAll(REMOVE_SELECTOR).forEach(el => el.remove());
+        Array.from(doc.body.querySelectorAll('*')).forEach(el => {
+            if (!el.isConnected) return;
+            if (isHiddenByStyle(el)) {
+                el.remove();
+                return;
+            }
+            // A page header goes unless it carries the article title
+            if (el.tagName === 'HEADER' && !el.querySelector('h1') && !el.closest('article')) {
+                el.remove();
+                return;
+            }
+            const names = classAndId(el);
+            if (el.tagName !== 'A' && UNLIKELY_PATTERN.test(names) && !MAYBE_CONTENT_PATTERN.test(names) &&
+                !el.querySelector(LANDMARK_SELECTOR)) {
+                el.remove();
+            }
+        });
+    }
+
+    // Helper: Whitespace-collapsed text length of an element
+    function textLength(el) {
+        return el.textContent.replace(/\s+/g, ' ').trim().length;
+    }
+
+    // Helper: Share of an element's text that sits inside links
+    function linkDensity(el) {
+        const length = textLength(el);
+        if (!length) return 0;
+        const linked = Array.from(el.querySelectorAll('a')).reduce((sum, a) => sum + textLength(a), 0);
+        return linked / length;
+    }
+
+    // Helper: Starting score of a candidate from its tag and its class and id
+    function baseScore(el) {
+        let score = 0;
+        const names = classAndId(el);
+        if (POSITIVE_PATTERN.test(names)) score += 25;
+        if (NEGATIVE_PATTERN.test(names)) score -= 25;
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'div' || tag === 'article' || tag === 'section') score += 5;
+        else if (tag === 'pre' || tag === 'td' || tag === 'blockquote') score += 3;
+        else if (['ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(tag)) score -= 3;
+        else if (/^h[1-6]$/.test(tag) || tag === 'th') score -= 5;
+        return score;
+    }
+
+    /**
+     * Scores the containers of the page's paragraphs and picks the one most likely to be the article
+     * @param {HTMLElement} body - The cleaned body
+     * @returns {HTMLElement|null} - The best candidate, or null when no paragraph is long enough
+     */
+    function findTopCandidate(body) {
+        const scores = new Map();
+        const addScore = (el, points) => {
+            if (!el || el === body.parentElement) return;
+            if (!scores.has(el)) scores.set(el, baseScore(el));
+            scores.set(el, scores.get(el) + points);
+        };
+        const paragraphs = Array.from(body.querySelectorAll('p, pre, td, blockquote, div'))
+            .filter(el => el.tagName !== 'DIV' || !Array.from(el.children).some(child => BLOCK_TAGS.has(child.tagName.toLowerCase())));
+        paragraphs.forEach(el => {
+            const text = el.textContent.replace(/\s+/g, ' ').trim();
+            if (text.length < MIN_PARAGRAPH_LENGTH) return;
+            const points = 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+            addScore(el.parentElement, points);
+            if (el.parentElement) addScore(el.parentElement.parentElement, points / 2);
+        });
+        let top = null;
+        let topScore = -Infinity;
+        scores.forEach((score, el) => {
+            const adjusted = score * (1 - linkDensity(el));
+            scores.set(el, adjusted);
+            if (adjusted > topScore) {
+                top = el;
+                topScore = adjusted;
+            }
+        });
+        if (!top) return null;
+        // Siblings that score close to the top candidate belong to the same article (e.g. split into sections)
+        const parent = top.parentElement;
+        if (!parent || top === body) return top;
+        const threshold = Math.max(10, topScore * 0.2);
+        const related = Array.from(parent.children).filter(sibling => {
+            if (sibling === top) return true;
+            if ((scores.get(sibling) || 0) >= threshold) return true;
+            return sibling.tagName === 'P' && textLength(sibling) > 80 && linkDensity(sibling) < 0.25;
+        });
+        if (related.length === 1) return top;
+        const wrapper = body.ownerDocument.createElement('div');
+        related.forEach(el => wrapper.appendChild(el.cloneNode(true)));
+        return wrapper;
+    }
+
+    /**
+     * Finds the main content region: a landmark with enough text, else the top-scoring container
+     * @param {Document} doc - The cleaned document
+     * @returns {HTMLElement} - The region (the body when nothing stands out)
+     */
+    function findMainRegion(doc) {
+        const landmarks = Array.from(doc.body.querySelectorAll(LANDMARK_SELECTOR))
+            .filter(el => textLength(el) >= MIN_CONTENT_LENGTH);
+        // The outermost landmark, so an <article> inside <main> keeps its siblings in main
+        const landmark = landmarks.find(el => !landmarks.some(other => other !== el && other.contains(el)));
+        if (landmark) return landmark;
+        const top = findTopCandidate(doc.body);
+        return top && textLength(top) >= MIN_CONTENT_LENGTH ? top : doc.body;
+    }
+
+    // Helper: Inline Markdown of one node (whitespace collapsed, <br> kept as a newline)
+    function renderInlineNode(node) {
+        if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+        if (node.nodeType !== 1) return '';
+        const tag = node.tagName.toLowerCase();
+        if (tag === 'br') return '\n';
+        if (tag === 'img') return node.getAttribute('alt') || '';
+        if (tag === 'code' || tag === 'kbd' || tag === 'samp') {
+            const code = node.textContent.replace(/\s+/g, ' ').trim();
+            return code ? `\`${code}\`` : '';
+        }
+        return renderInline(node);
+    }
+
+    // Helper: Inline Markdown of a node's children
+    function renderInline(node) {
+        return Array.from(node.childNodes).map(renderInlineNode).join('');
+    }
+
+    // Helper: Trims each line of inline text and drops blank ones
+    function cleanInline(text) {
+        return text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim()).filter(Boolean).join('\n');
+    }
+
+    // Helper: Markdown list, nested lists indented under their item
+    function renderList(list) {
+        const ordered = list.tagName === 'OL';
+        let number = parseInt(list.getAttribute('start'), 10) || 1;
+        const items = [];
+        Array.from(list.children).filter(child => child.tagName === 'LI').forEach(li => {
+            const marker = ordered ? `${number++}. ` : '- ';
+            const blocks = [];
+            renderBlocks(li, blocks);
+            if (!blocks.length) return;
+            const pad = ' '.repeat(marker.length);
+            const lines = blocks.join('\n').split('\n');
+            items.push(lines.map((line, i) => (i === 0 ? marker : line ? pad : '') + line).join('\n'));
+        });
+        return items.join('\n');
+    }
+
+    // Helper: Markdown table, first row as the header; layout tables are read as plain blocks
+    function renderTable(table, out) {
+        const rows = Array.from(table.rows);
+        const widest = Math.max(0, ...rows.map(row => row.cells.length));
+        if (table.querySelector('table') || widest < 2) {
+            rows.forEach(row => Array.from(row.cells).forEach(cell => renderBlocks(cell, out)));
+            return;
+        }
+        const caption = table.querySelector('caption');
+        if (caption && cleanInline(renderInline(caption))) out.push(cleanInline(renderInline(caption)));
+        const cellText = cell => cleanInline(renderInline(cell)).replace(/\n/g, ' ').replace(/\|/g, '\\|');
+        const lines = rows.map(row => {
+            const cells = Array.from(row.cells).map(cellText);
+            while (cells.length < widest) cells.push('');
+            return `| ${cells.join(' | ')} |`;
+        });
+        lines.splice(1, 0, `| ${Array(widest).fill('---').join(' | ')} |`);
+        out.push(lines.join('\n'));
+    }
+
+    // Helper: Appends the Markdown of one block element to out
+    function renderBlock(el, tag, out) {
+        if (/^h[1-6]$/.test(tag)) {
+            const text = cleanInline(renderInline(el)).replace(/\n/g, ' ');
+            if (text) out.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+        } else if (PARAGRAPH_TAGS.has(tag)) {
+            const text = cleanInline(renderInline(el));
+            if (text) out.push(text);
+        } else if (tag === 'dd') {
+            const text = cleanInline(renderInline(el));
+            if (text) out.push(`: ${text}`);
+        } else if (tag === 'pre') {
+            const code = el.querySelector('code');
+            const names = `${el.getAttribute('class') || ''} ${code ? code.getAttribute('class') || '' : ''}`;
+            const language = (names.match(/(?:lang|language)-([\w+#-]+)/) || [])[1] || '';
+            const text = el.textContent.replace(/^\n+|\s+$/g, '');
+            if (text) out.push(`\`\`\`${language}\n${text}\n\`\`\``);
+        } else if (tag === 'ul' || tag === 'ol') {
+            const list = renderList(el);
+            if (list) out.push(list);
+        } else if (tag === 'table') {
+            renderTable(el, out);
+        } else if (tag === 'blockquote') {
+            const inner = [];
+            renderBlocks(el, inner);
+            if (inner.length) out.push(inner.join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+        } else if (tag === 'hr') {
+            out.push('---');
+        } else if (tag === 'li') {
+            const inner = [];
+            renderBlocks(el, inner);
+            if (inner.length) out.push(`- ${inner.join('\n  ')}`);
+        } else {
+            renderBlocks(el, out);
+        }
+    }
+
+    // Helper: Appends the Markdown of an element's children to out, one entry per block
+    function renderBlocks(el, out) {
+        let inline = '';
+        const flush = () => {
+            const text = cleanInline(inline);
+            if (text) out.push(text);
+            inline = '';
+        };
+        el.childNodes.forEach(child => {
+            const tag = child.nodeType === 1 ? child.tagName.toLowerCase() : '';
+            if (BLOCK_TAGS.has(tag)) {
+                flush();
+                renderBlock(child, tag, out);
+            } else {
+                inline += renderInlineNode(child);
+            }
+        });
+        flush();
+    }
+
+    /**
+     * Converts an element to Markdown in document order
+     * @param {Element} element - The element to convert
+     * @returns {string} - Markdown blocks separated by blank lines
+     */
+    function elementToMarkdown(element) {
+        const blocks = [];
+        renderBlock(element, element.tagName.toLowerCase(), blocks);
+        return blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Extracts the main content of an HTML page as Markdown
+     * @param {string} htmlString - The page HTML
+     * @returns {{title:string,text:string}} - The page title and the Markdown of its main content;
+     *   the title leads the text as a heading when the content has no h1 of its own
+     */
+    function extractMainContent(htmlString) {
+        const doc = new DOMParser().parseFromString(htmlString || '', 'text/html');
+        const title = (doc.title || '').replace(/\s+/g, ' ').trim();
+        if (!doc.body) return { title, text: '' };
+        removeBoilerplate(doc);
+        const region = findMainRegion(doc);
+        let text = elementToMarkdown(region);
+        if (title && !/^# /m.test(text)) text = `# ${title}\n\n${text}`.trim();
+        return { title, text };
+    }
+
+    // Helper: Text of the first direct child with one of the given local names
+    function childText(el, names) {
+        const child = Array.from(el.children).find(c => names.includes(c.localName));
+        if (!child) return '';
+        // Atom links carry the URL in href; RSS descriptions are often escaped HTML
+        const text = child.getAttribute('href') || child.textContent;
+        return new DOMParser().parseFromString(text, 'text/html').body.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // Helper: Indented outline of an XML element and its descendants
+    function outlineXml(el, depth, lines) {
+        const attributes = Array.from(el.attributes)
+            .filter(attr => !/^xmlns(:|$)/.test(attr.name))
+            .map(attr => `${attr.name}="${attr.value}"`);
+        const ownText = Array.from(el.childNodes)
+            .filter(node => node.nodeType === 3 || node.nodeType === 4)
+            .map(node => node.textContent).join(' ').replace(/\s+/g, ' ').trim();
+        const label = `${'  '.repeat(depth)}${el.localName}${attributes.length ? ` (${attributes.join(', ')})` : ''}`;
+        lines.push(ownText ? `${label}: ${ownText}` : label);
+        Array.from(el.children).forEach(child => outlineXml(child, depth + 1, lines));
+    }
+
+    /**
+     * Converts an XML document to text: feeds become a list of entries, other XML an outline
+     * @param {string} xmlString - The XML
+     * @returns {string} - The text, or the XML itself when it does not parse
+     */
+    function xmlToText(xmlString) {
+        const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+        const root = doc.documentElement;
+        if (!root || doc.getElementsByTagName('parsererror').length) return xmlString.trim();
+        if (root.localName === 'rss' || root.localName === 'feed' || root.localName === 'RDF') {
+            const entries = Array.from(doc.getElementsByTagName('item')).concat(Array.from(doc.getElementsByTagName('entry')));
+            const channel = root.localName === 'rss' ? Array.from(root.children).find(c => c.localName === 'channel') || root : root;
+            const blocks = [];
+            const title = childText(channel, ['title']);
+            if (title) blocks.push(`# ${title}`);
+            entries.forEach(entry => {
+                const lines = [`## ${childText(entry, ['title']) || '(untitled)'}`];
+                const link = childText(entry, ['link']);
+                const date = childText(entry, ['pubDate', 'published', 'updated', 'date']);
+                const summary = childText(entry, ['description', 'summary', 'content']);
+                if (link) lines.push(link);
+                if (date) lines.push(date);
+                if (summary) lines.push('', summary);
+                blocks.push(lines.join('\n'));
+            });
+            return blocks.join('\n\n');
+        }
+        const lines = [];
+        outlineXml(root, 0, lines);
+        return lines.join('\n');
+    }
+
+    // Public API
+    return {
+        extractMainContent,
+        elementToMarkdown,
+        xmlToText
+    };
+})();
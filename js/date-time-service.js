@@ -0,0 +1,355 @@
+/**
+ * ./js/date-time-service.js
+ * Date Time Service Module - The current date for prompts, date arithmetic and time zones
+ * Tells the model what "today" is, backs the datetime tool (adding to dates, the time between
+ * two dates, converting between time zones) with Intl only, and spots time-sensitive
+ * questions ("latest", "this year", "how many days until") so search queries get explicit dates.
+ */
+const DateTimeService = (function() {
+    'use strict';
+
+    const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const UNIT_MS = { minutes: 60 * 1000, hours: 60 * 60 * 1000 };
+    const CALENDAR_UNITS = ['days', 'weeks', 'months', 'years'];
+
+    // Prices, scores, live coverage and current office holders date a question only as phrases:
+    // the bare words are too common ("where do pandas live", "electric current", "credit score")
+    const PRICE_PHRASES = '(stock|share|gas|petrol|fuel|gold|silver|oil|bitcoin|crypto|market|ticket|current|latest) prices?|prices? (today|now|right now)';
+    const SCORE_PHRASES = "(live|final|latest|current|half-?time|game|match) scores?|scores? of (the|today's|tonight's|last night's|yesterday's) (game|match|final)";
+    const LIVE_PHRASES = 'live (stream|streams|streaming|results|coverage|updates|blog|feed|now|tonight|today)';
+    const CURRENT_PHRASES = 'current (president|prime minister|ceo|leader|chancellor|governor|mayor|champions?|world record|events|affairs|weather|situation|version|population|standings|rankings?|exchange rates?|interest rates?|mortgage rates?)';
+
+    // Words that make a question depend on today's date
+    const TIME_SENSITIVE_PATTERNS = [
+        /\b(latest|newest|currently|recent|recently|upcoming|ongoing|breaking news|so far|as of now|right now|nowadays|these days|at the moment)\b/i,
+        /\b(today|tonight|tomorrow|yesterday)\b/i,
+        /\b(this|last|next|past|coming) (year|month|week|weekend|season|quarter)\b/i,
+        /\b(news|weather|forecast|exchange rate|standings|release date)\b/i,
+        new RegExp(`\\b(${PRICE_PHRASES}|${SCORE_PHRASES}|${LIVE_PHRASES}|${CURRENT_PHRASES})\\b`, 'i'),
+        /\b(days?|weeks?|months?|years?|hours?) (until|till|since|left|ago)\b/i,
+        /\bhow old\b/i
+    ];
+    // Cues for things that change within a year, where the month is worth adding too
+    const FAST_CHANGING_PATTERN = new RegExp(`\\b(news|today|tonight|stock market|${PRICE_PHRASES}|${SCORE_PHRASES}|${LIVE_PHRASES}|weather|forecast|exchange rate|standings|this week|this month)\\b`, 'i');
+
+    // Offset from the real clock, set while replaying a recording
+    let clockOffsetMs = 0;
+
+    /**
+     * Gets the current time, as of the recording while one is replayed
+     * @returns {Date}
+     */
+    function now() {
+        return new Date(Date.now() + clockOffsetMs);
+    }
+
+    /**
+     * Makes now() run from another moment (e.g. a recording's start), or from the real clock again
+     * @param {string|number|Date|null} time - The moment now() should return from this call on; null for the real clock
+     */
+    function setReferenceTime(time) {
+        clockOffsetMs = time === null || time === undefined ? 0 : new Date(time).getTime() - Date.now();
+        if (Number.isNaN(clockOffsetMs)) clockOffsetMs = 0;
+    }
+
+    /**
+     * Gets the browser's IANA time zone
+     * @returns {string} - e.g. 'Europe/Berlin'; 'UTC' when the browser does not say
+     */
+    function getTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (err) {
+            return 'UTC';
+        }
+    }
+
+    // Helper: Checks a time zone name, defaulting to the browser's
+    function resolveTimeZone(timeZone) {
+        if (!timeZone) return getTimeZone();
+        if (/^(utc|gmt|z)$/i.test(timeZone.trim())) return 'UTC';
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() });
+            return timeZone.trim();
+        } catch (err) {
+            throw new Error(`Unknown time zone "${timeZone}"; use an IANA name such as Europe/Paris or America/New_York`);
+        }
+    }
+
+    // Helper: Wall-clock parts of a moment in a time zone
+    function wallParts(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', weekday: 'long',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = part.type === 'weekday' ? part.value : Number(part.value);
+        });
+        if (parts.hour === 24) parts.hour = 0;
+        return parts;
+    }
+
+    // Helper: Wall-clock parts as if they were UTC, for calendar arithmetic free of DST jumps
+    function wallMs(parts) {
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+
+    // Helper: Minutes the time zone is ahead of UTC at a moment
+    function offsetMinutes(date, timeZone) {
+        return Math.round((wallMs(wallParts(date, timeZone)) - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    // Helper: The moment a wall-clock time happens in a time zone (fields may overflow, like Date.UTC)
+    function fromWallClock(year, monthIndex, day, hour, minute, second, timeZone) {
+        const guess = Date.UTC(year, monthIndex, day, hour, minute, second);
+        const first = guess - offsetMinutes(new Date(guess), timeZone) * 60000;
+        return new Date(guess - offsetMinutes(new Date(first), timeZone) * 60000);
+    }
+
+    // Helper: "UTC+05:30"
+    function formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const abs = Math.abs(minutes);
+        return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Formats a moment in a time zone for people and for the model
+     * @param {Date} date
+     * @param {string} [timeZone] - IANA name (default: the browser's)
+     * @param {boolean} [dateOnly] - Leave out the time of day
+     * @returns {string} - e.g. "Monday, 19 October 2026, 14:05 (Europe/Berlin, UTC+02:00; ISO 2026-10-19T14:05:00+02:00)"
+     */
+    function formatDate(date, timeZone, dateOnly = false) {
+        const zone = resolveTimeZone(timeZone);
+        const p = wallParts(date, zone);
+        const pad = n => String(n).padStart(2, '0');
+        const day = `${p.weekday}, ${p.day} ${MONTHS[p.month - 1]} ${p.year}`;
+        const isoDate = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+        if (dateOnly) return `${day} (ISO ${isoDate})`;
+        const offset = offsetMinutes(date, zone);
+        const isoOffset = offset === 0 ? 'Z' : formatOffset(offset).slice(3);
+        return `${day}, ${pad(p.hour)}:${pad(p.minute)} (${zone}, ${formatOffset(offset)}; ISO ${isoDate}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${isoOffset})`;
+    }
+
+    /**
+     * Parses a date as the datetime tool accepts it
+     * @param {string} text - "now", "today", "tomorrow", "yesterday", YYYY-MM-DD or YYYY-MM-DDTHH:mm[:ss], optionally with Z or ±HH:MM
+     * @param {string} [timeZone] - Zone of times without an offset (default: the browser's)
+     * @returns {{date:Date,dateOnly:boolean}}
+     * @throws {Error} - When the text is not one of those forms
+     */
+    function parseDate(text, timeZone) {
+        const zone = resolveTimeZone(timeZone);
+        const value = String(text || '').trim();
+        const relative = { today: 0, tomorrow: 1, yesterday: -1 }[value.toLowerCase()];
+        if (!value || value.toLowerCase() === 'now') return { date: now(), dateOnly: false };
+        if (relative !== undefined) {
+            const p = wallParts(now(), zone);
+            return { date: fromWallClock(p.year, p.month - 1, p.day + relative, 0, 0, 0, zone), dateOnly: true };
+        }
+        const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+        if (!match) {
+            throw new Error(`Unrecognised date "${value}"; use YYYY-MM-DD, YYYY-MM-DDTHH:mm, "now", "today", "tomorrow" or "yesterday"`);
+        }
+        const [, year, month, day, hour = '0', minute = '0', second = '0', offset] = match;
+        if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate()) {
+            throw new Error(`"${value}" is not a valid date`);
+        }
+        let date;
+        if (offset) {
+            const sign = offset[0] === '-' ? -1 : 1;
+            const digits = offset.replace(/[^0-9]/g, '');
+            const offsetMin = offset.toUpperCase() === 'Z' ? 0 : sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+            date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)) - offsetMin * 60000);
+        } else {
+            date = fromWallClock(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), zone);
+        }
+        return { date, dateOnly: match[4] === undefined };
+    }
+
+    /**
+     * Adds an amount of time; days and longer follow the calendar in the time zone,
+     * and months keep the day of the month where they can (31 January + 1 month = 28/29 February)
+     * @param {Date} date
+     * @param {number} amount - May be negative
+     * @param {string} unit - minutes, hours, days, weeks, months or years
+     * @param {string} [timeZone]
+     * @returns {Date}
+     */
+    function addToDate(date, amount, unit, timeZone) {
+        if (UNIT_MS[unit]) return new Date(date.getTime() + amount * UNIT_MS[unit]);
+        if (!CALENDAR_UNITS.includes(unit)) throw new Error(`Unknown unit "${unit}"; use minutes, hours, days, weeks, months or years`);
+        if ((unit === 'months' || unit === 'years') && !Number.isInteger(amount)) throw new Error(`Add whole ${unit}`);
+        const zone = resolveTimeZone(timeZone);
+        const p = wallParts(date, zone);
+        if (unit === 'days' || unit === 'weeks') {
+            const days = amount * (unit === 'weeks' ? 7 : 1);
+            const whole = Math.trunc(days);
+            const shifted = fromWallClock(p.year, p.month - 1, p.day + whole, p.hour, p.minute, p.second, zone);
+            return new Date(shifted.getTime() + (days - whole) * DAY_MS);
+        }
+        const months = amount * (unit === 'years' ? 12 : 1);
+        const monthIndex = p.month - 1 + months;
+        const lastDay = new Date(Date.UTC(p.year, monthIndex + 1, 0)).getUTCDate();
+        return fromWallClock(p.year, monthIndex, Math.min(p.day, lastDay), p.hour, p.minute, p.second, zone);
+    }
+
+    // Helper: "2 months 6 days", "0 days"
+    function joinUnits(parts) {
+        const text = parts.filter(([n]) => n).map(([n, unit]) => `${n} ${n === 1 ? unit.slice(0, -1) : unit}`).join(' ');
+        return text || '0 days';
+    }
+
+    /**
+     * Describes the time from one moment to another on the calendar of a time zone
+     * @param {Date} start
+     * @param {Date} end
+     * @param {string} [timeZone]
+     * @param {boolean} [withTime] - Count hours and minutes too
+     * @returns {string} - e.g. "67 days (2 months 6 days; 9 weeks 4 days)"
+     */
+    function describeDifference(start, end, timeZone, withTime = false) {
+        const zone = resolveTimeZone(timeZone);
+        const reversed = end < start;
+        const a = wallParts(reversed ? end : start, zone);
+        const b = wallParts(reversed ? start : end, zone);
+        const aMs = wallMs(a);
+        const bMs = wallMs(b);
+        let months = (b.year - a.year) * 12 + (b.month - a.month);
+        const anchorAt = m => {
+            const lastDay = new Date(Date.UTC(a.year, a.month - 1 + m + 1, 0)).getUTCDate();
+            return Date.UTC(a.year, a.month - 1 + m, Math.min(a.day, lastDay), a.hour, a.minute, a.second);
+        };
+        if (anchorAt(months) > bMs) months--;
+        const rest = bMs - anchorAt(months);
+        const totalDays = Math.floor((bMs - aMs) / DAY_MS);
+        const hours = Math.floor((rest % DAY_MS) / 3600000);
+        const minutes = Math.floor((rest % 3600000) / 60000);
+        const clock = withTime ? [[hours, 'hours'], [minutes, 'minutes']] : [];
+        const calendar = joinUnits([[Math.floor(months / 12), 'years'], [months % 12, 'months'], [Math.floor(rest / DAY_MS), 'days']].concat(clock));
+        const weeks = joinUnits([[Math.floor(totalDays / 7), 'weeks'], [totalDays % 7, 'days']].concat(clock));
+        const days = joinUnits([[totalDays, 'days']].concat(clock));
+        const breakdowns = [calendar, weeks].filter((text, i, all) => text !== days && all.indexOf(text) === i);
+        const total = withTime ? `${days}, ${Math.round(Math.abs(end - start) / 3600000 * 100) / 100} hours in all` : days;
+        return `${reversed ? 'minus ' : ''}${total}${breakdowns.length ? ` (${breakdowns.join('; ')})` : ''}${reversed ? ', the end is before the start' : ''}`;
+    }
+
+    /**
+     * Runs a datetime tool operation
+     * @param {Object} args - { operation: 'now'|'add'|'diff'|'convert', date, end, amount, unit, timezone, from_timezone }
+     * @returns {string} - The result for the model
+     * @throws {Error} - On a missing or invalid argument
+     */
+    function evaluate(args) {
+        const zone = resolveTimeZone(args.timezone);
+        if (args.operation === 'now') {
+            return `Now: ${formatDate(now(), zone)}`;
+        }
+        if (args.operation === 'add') {
+            if (typeof args.amount !== 'number' || !args.unit) throw new Error('add needs amount and unit');
+            const start = parseDate(args.date, zone);
+            const result = addToDate(start.date, args.amount, args.unit, zone);
+            const dateOnly = start.dateOnly && CALENDAR_UNITS.includes(args.unit) && Number.isInteger(args.amount * (args.unit === 'weeks' ? 7 : 1));
+            const sign = args.amount < 0 ? '-' : '+';
+            const unit = Math.abs(args.amount) === 1 ? args.unit.slice(0, -1) : args.unit;
+            return `${formatDate(start.date, zone, start.dateOnly)} ${sign} ${Math.abs(args.amount)} ${unit} = ${formatDate(result, zone, dateOnly)}`;
+        }
+        if (args.operation === 'diff') {
+            if (!args.end) throw new Error('diff needs end');
+            const end = parseDate(args.end, zone);
+            // Counting to a date counts from today, not from this very minute
+            const start = parseDate(args.date || (end.dateOnly ? 'today' : 'now'), zone);
+            const dateOnly = start.dateOnly && end.dateOnly;
+            return `From ${formatDate(start.date, zone, dateOnly)} to ${formatDate(end.date, zone, dateOnly)}: ${describeDifference(start.date, end.date, zone, !dateOnly)}`;
+        }
+        if (args.operation === 'convert') {
+            if (!args.timezone) throw new Error('convert needs timezone, the zone to convert to');
+            const fromZone = resolveTimeZone(args.from_timezone);
+            const start = parseDate(args.date, fromZone);
+            return `${formatDate(start.date, fromZone)} is ${formatDate(start.date, zone)}`;
+        }
+        throw new Error(`Unknown operation "${args.operation}"; use now, add, diff or convert`);
+    }
+
+    /**
+     * Describes the current date and time for the system prompt
+     * @returns {string}
+     */
+    function describeNow() {
+        return `**CURRENT DATE:** It is now ${formatDate(now(), getTimeZone())}. Use this for "today", "now", "latest", "this year", ages and countdowns. Your own knowledge ends at your training cutoff, so search for anything that may have changed since, and put explicit dates or years in search queries about recent events.`;
+    }
+
+    /**
+     * Checks whether a question or query depends on today's date
+     * @param {string} text
+     * @returns {boolean}
+     */
+    function isTimeSensitive(text) {
+        return typeof text === 'string' && TIME_SENSITIVE_PATTERNS.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Rewrites a time-sensitive search query with explicit dates: relative words become dates
+     * ("today" → "19 October 2026", "last year" → "2025"), and a query without a year gets the
+     * current year (with the month for fast-changing topics such as news or prices)
+     * @param {string} query - The search query
+     * @param {string} [question] - The user's question; the query is dated when either is time-sensitive
+     * @returns {string} - The dated query, or the query unchanged
+     */
+    function addDatesToQuery(query, question = '') {
+        if (!isTimeSensitive(query) && !isTimeSensitive(question)) return query;
+        const zone = getTimeZone();
+        const today = wallParts(now(), zone);
+        const dayText = offset => {
+            const p = wallParts(fromWallClock(today.year, today.month - 1, today.day + offset, 12, 0, 0, zone), zone);
+            return `${p.day} ${MONTHS[p.month - 1]} ${p.year}`;
+        };
+        const monthText = offset => {
+            const d = new Date(Date.UTC(today.year, today.month - 1 + offset, 1));
+            return `${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+        };
+        const replacements = [
+            [/\b(today|tonight)\b/gi, () => dayText(0)],
+            [/\btomorrow\b/gi, () => dayText(1)],
+            [/\byesterday\b/gi, () => dayText(-1)],
+            [/\bthis (year|season)\b/gi, () => String(today.year)],
+            [/\blast year\b/gi, () => String(today.year - 1)],
+            [/\bnext year\b/gi, () => String(today.year + 1)],
+            [/\bthis (month|week)\b/gi, () => monthText(0)],
+            [/\blast month\b/gi, () => monthText(-1)],
+            [/\bnext month\b/gi, () => monthText(1)]
+        ];
+        let dated = replacements.reduce((text, [pattern, replace]) => text.replace(pattern, replace), query);
+        if (!/\b(19|20)\d{2}\b/.test(dated)) {
+            dated += FAST_CHANGING_PATTERN.test(`${query} ${question}`) ? ` ${monthText(0)}` : ` ${today.year}`;
+        }
+        return dated;
+    }
+
+    /**
+     * Today's date in words, for prompts
+     * @returns {string} - e.g. "Monday, 19 October 2026"
+     */
+    function describeToday() {
+        const p = wallParts(now(), getTimeZone());
+        return `${p.weekday}, ${p.day} ${MONTHS[p.month - 1]} ${p.year}`;
+    }
+
+    // Public API
+    return {
+        now,
+        setReferenceTime,
+        getTimeZone,
+        formatDate,
+        parseDate,
+        addToDate,
+        describeDifference,
+        evaluate,
+        describeNow,
+        describeToday,
+        isTimeSensitive,
+        addDatesToQuery
+    };
+})();
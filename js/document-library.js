@@ -0,0 +1,229 @@
+/**
+ * ./js/document-library.js
+ * Document Library Module - The user's own reference documents, searchable by the agent
+ * Uploaded files are parsed like attachments, split into chunks and kept in IndexedDB, so the
+ * library survives reloads. The chunks are ranked with BM25 (SearchIndex) in memory, and each
+ * chunk has a doc:// reference naming the document and position, cited like a URL.
+ */
+const DocumentLibrary = (function() {
+    'use strict';
+
+    const DB_NAME = 'chat_library';
+    const DB_VERSION = 1;
+    const DOCUMENT_STORE = 'documents';
+    const CHUNK_STORE = 'chunks';
+    // Characters per chunk: a few paragraphs, so a result is specific but still readable alone
+    const CHUNK_SIZE = 1500;
+    const DEFAULT_RESULT_LIMIT = 5;
+
+    let dbPromise = null;
+    // In memory once loaded: documents by id, all chunks, and the BM25 index over the chunks
+    let loadPromise = null;
+    let documents = new Map();
+    let chunks = [];
+    let index = null;
+
+    // Helper: Promise for an IndexedDB request
+    function requestResult(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Helper: Opens the database once, creating the stores on first use
+    function openDb() {
+        if (!dbPromise) {
+            if (typeof indexedDB === 'undefined') {
+                return Promise.reject(new Error('This browser has no IndexedDB, so the document library is unavailable.'));
+            }
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(DOCUMENT_STORE)) db.createObjectStore(DOCUMENT_STORE, { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+                        db.createObjectStore(CHUNK_STORE, { keyPath: 'id' }).createIndex('docId', 'docId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(err => {
+                dbPromise = null;
+                throw err;
+            });
+        }
+        return dbPromise;
+    }
+
+    // Helper: Runs work in a transaction and resolves when it has committed
+    async function withTransaction(mode, work) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([DOCUMENT_STORE, CHUNK_STORE], mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('The library transaction was aborted.'));
+            Promise.resolve(work(tx.objectStore(DOCUMENT_STORE), tx.objectStore(CHUNK_STORE))).then(value => {
+                result = value;
+            }, err => {
+                try {
+                    tx.abort();
+                } catch (abortErr) {
+                    // Already finished
+                }
+                reject(err);
+            });
+        });
+    }
+
+    // Helper: Rebuilds the BM25 index after the chunks changed
+    function rebuildIndex() {
+        chunks.sort((a, b) => (a.docId === b.docId ? a.index - b.index : a.docId < b.docId ? -1 : 1));
+        index = SearchIndex.createIndex(chunks.map(chunk => chunk.text));
+    }
+
+    // Helper: Loads the library from IndexedDB once; later calls reuse the loaded copy
+    function load() {
+        if (!loadPromise) {
+            loadPromise = withTransaction('readonly', async (documentStore, chunkStore) => {
+                const [savedDocuments, savedChunks] = await Promise.all([
+                    requestResult(documentStore.getAll()),
+                    requestResult(chunkStore.getAll())
+                ]);
+                documents = new Map(savedDocuments.map(doc => [doc.id, doc]));
+                chunks = savedChunks;
+                rebuildIndex();
+            }).catch(err => {
+                loadPromise = null;
+                throw err;
+            });
+        }
+        return loadPromise;
+    }
+
+    // Helper: Page each chunk starts on, from the page offsets of a parsed PDF's text
+    function pageStarts(pages) {
+        if (!pages) return null;
+        let offset = 0;
+        return pages.map(p => {
+            const start = offset;
+            offset += `[Page ${p.page}]\n${p.text}`.length + 2;
+            return { page: p.page, start };
+        });
+    }
+
+    // Helper: Citable reference of a chunk, e.g. "doc://Employee_Handbook.pdf#page=3&chars=4200-5650"
+    function formatReference(doc, chunk) {
+        const name = doc.name.replace(/\s+/g, '_');
+        return `doc://${name}#${chunk.page ? `page=${chunk.page}&` : ''}chars=${chunk.start}-${chunk.end}`;
+    }
+
+    /**
+     * Adds a file to the library, replacing a document with the same name
+     * @param {File} file - A PDF, text, Markdown or CSV file
+     * @returns {Promise<Object>} - The stored document ({ id, name, kind, preview, size, chars, chunkCount, addedAt })
+     * @throws {Error} - When the file cannot be parsed or stored
+     */
+    async function addFile(file) {
+        await load();
+        const parsed = await DocumentParser.parseFile(file);
+        const existing = Array.from(documents.values()).find(doc => doc.name === parsed.name);
+        if (existing) await removeDocument(existing.id);
+        const starts = pageStarts(parsed.pages);
+        const doc = {
+            id: Utils.generateId('doc'),
+            name: parsed.name,
+            kind: parsed.kind,
+            preview: parsed.preview,
+            size: file.size,
+            chars: parsed.text.length,
+            chunkCount: 0,
+            addedAt: new Date().toISOString()
+        };
+        const docChunks = DocumentParser.chunkRanges(parsed.text, CHUNK_SIZE).map((range, i) => {
+            const page = starts ? starts.filter(p => p.start <= range.start).pop() : null;
+            return {
+                id: `${doc.id}:${i}`,
+                docId: doc.id,
+                index: i,
+                start: range.start,
+                end: range.end,
+                page: page ? page.page : null,
+                text: parsed.text.slice(range.start, range.end)
+            };
+        });
+        if (!docChunks.length) throw new Error(`${file.name} has no text to index.`);
+        doc.chunkCount = docChunks.length;
+        await withTransaction('readwrite', (documentStore, chunkStore) => {
+            documentStore.put(doc);
+            docChunks.forEach(chunk => chunkStore.put(chunk));
+        });
+        documents.set(doc.id, doc);
+        chunks = chunks.concat(docChunks);
+        rebuildIndex();
+        return doc;
+    }
+
+    /**
+     * Removes a document and its chunks
+     * @param {string} id - The document id
+     * @returns {Promise<void>}
+     */
+    async function removeDocument(id) {
+        await load();
+        await withTransaction('readwrite', async (documentStore, chunkStore) => {
+            documentStore.delete(id);
+            const keys = await requestResult(chunkStore.index('docId').getAllKeys(id));
+            keys.forEach(key => chunkStore.delete(key));
+        });
+        documents.delete(id);
+        chunks = chunks.filter(chunk => chunk.docId !== id);
+        rebuildIndex();
+    }
+
+    /**
+     * Lists the documents in the library, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async function listDocuments() {
+        await load();
+        return Array.from(documents.values()).sort((a, b) => (a.addedAt < b.addedAt ? 1 : -1));
+    }
+
+    /**
+     * Ranks the library's chunks against a query with BM25
+     * @param {string} query - Keywords or a question
+     * @param {Object} [options] - { limit (default 5), document: only documents whose name contains this }
+     * @returns {Promise<{results:Array<{reference:string,name:string,page:(number|null),start:number,end:number,chunk:number,score:number,text:string}>,documentCount:number,chunkCount:number}>}
+     */
+    async function search(query, options = {}) {
+        await load();
+        const limit = options.limit || DEFAULT_RESULT_LIMIT;
+        const filter = options.document ? options.document.toLowerCase() : '';
+        const results = SearchIndex.search(index, query)
+            .map(hit => ({ chunk: chunks[hit.index], doc: documents.get(chunks[hit.index].docId), score: hit.score }))
+            .filter(hit => hit.doc && (!filter || hit.doc.name.toLowerCase().includes(filter)))
+            .slice(0, limit)
+            .map(hit => ({
+                reference: formatReference(hit.doc, hit.chunk),
+                name: hit.doc.name,
+                page: hit.chunk.page,
+                start: hit.chunk.start,
+                end: hit.chunk.end,
+                chunk: hit.chunk.index,
+                score: hit.score,
+                text: hit.chunk.text
+            }));
+        return { results, documentCount: documents.size, chunkCount: chunks.length };
+    }
+
+    // Public API
+    return {
+        addFile,
+        removeDocument,
+        listDocuments,
+        search
+    };
+})();
@@ -0,0 +1,252 @@
+/**
+ * ./js/document-parser.js
+ * Document Parser Module - Extracts text from attached documents in the browser
+ * Handles PDF (via pdf.js, loaded on first use), plain text, Markdown and CSV files
+ */
+const DocumentParser = (function() {
+    'use strict';
+
+    // pdf.js is only fetched when the first PDF is attached. Both files are checked against
+    // Subresource Integrity hashes of this exact version, so a modified CDN copy is refused.
+    const PDFJS_VERSION = '3.11.174';
+    const PDFJS_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.js`;
+    const PDFJS_INTEGRITY = 'sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e';
+    const PDFJS_WORKER_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.js`;
+    const PDFJS_WORKER_INTEGRITY = 'sha384-SnzOobpRMLXZ52iJvZm/C0fYw0OQemTXzTjIsdsfMcrCtCEe9qgzxTd3RSklO5x2';
+    let pdfJsPromise = null;
+
+    // Rows shown in a CSV preview; the model also gets the column summary
+    const CSV_PREVIEW_ROWS = 20;
+
+    const KIND_BY_EXTENSION = {
+        pdf: 'pdf',
+        txt: 'text',
+        text: 'text',
+        log: 'text',
+        md: 'markdown',
+        markdown: 'markdown',
+        csv: 'csv'
+    };
+
+    /**
+     * Works out which parser a file needs
+     * @param {File} file - The attached file
+     * @returns {string|null} - 'pdf', 'text', 'markdown', 'csv', or null when unsupported
+     */
+    function getDocumentKind(file) {
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+        if (KIND_BY_EXTENSION[extension]) return KIND_BY_EXTENSION[extension];
+        if (file.type === 'application/pdf') return 'pdf';
+        if (file.type === 'text/csv') return 'csv';
+        if (file.type === 'text/markdown') return 'markdown';
+        if (file.type && file.type.startsWith('text/')) return 'text';
+        return null;
+    }
+
+    // Helper: Adds the pdf.js script with its integrity hash
+    function loadPdfJsScript() {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFJS_URL;
+            script.integrity = PDFJS_INTEGRITY;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(window.pdfjsLib);
+            script.onerror = () => reject(new Error('Could not load the PDF reader (pdf.js). Check your connection.'));
+            document.head.appendChild(script);
+        });
+    }
+
+    // Helper: Fetches the pdf.js worker with its integrity hash and serves it from a blob: URL,
+    // since a worker script cannot carry an integrity attribute
+    async function loadPdfJsWorker() {
+        let response;
+        try {
+            response = await fetch(PDFJS_WORKER_URL, { integrity: PDFJS_WORKER_INTEGRITY });
+        } catch (err) {
+            throw new Error('Could not load the PDF reader (pdf.js worker). Check your connection.');
+        }
+        if (!response.ok) throw new Error(`Could not load the PDF reader (pdf.js worker): HTTP ${response.status}`);
+        return URL.createObjectURL(await response.blob());
+    }
+
+    /**
+     * Loads pdf.js and its worker from the CDN once
+     * @returns {Promise<Object>} - The pdfjsLib global
+     */
+    function loadPdfJs() {
+        if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+        if (!pdfJsPromise) {
+            pdfJsPromise = Promise.all([loadPdfJsScript(), loadPdfJsWorker()]).then(([pdfjsLib, workerUrl]) => {
+                pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+                return pdfjsLib;
+            }).catch(err => {
+                pdfJsPromise = null;
+                throw err;
+            });
+        }
+        return pdfJsPromise;
+    }
+
+    /**
+     * Extracts the text of every page of a PDF
+     * @param {ArrayBuffer} data - The PDF bytes
+     * @returns {Promise<Array<{page:number,text:string}>>} - Text per page
+     */
+    async function extractPdfPages(data) {
+        const pdfjsLib = await loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data }).promise;
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const text = content.items
+                .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+                .join('')
+                .replace(/[ \t]+\n/g, '\n')
+                .trim();
+            pages.push({ page: pageNumber, text });
+        }
+        return pages;
+    }
+
+    /**
+     * Parses CSV text into rows (quoted fields, escaped quotes and newlines inside quotes)
+     * @param {string} text - The CSV text
+     * @returns {Array<Array<string>>} - Rows of fields
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Builds a Markdown preview of a CSV: column list, row count and the first rows as a table
+     * @param {Array<Array<string>>} rows - The parsed rows, header first
+     * @returns {string} - The preview text
+     */
+    function formatCsvPreview(rows) {
+        if (!rows.length) return '(empty CSV)';
+        const [header, ...body] = rows;
+        const escapeCell = cell => String(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const lines = [
+            `Columns (${header.length}): ${header.join(', ')}`,
+            `Rows: ${body.length}${body.length > CSV_PREVIEW_ROWS ? ` (first ${CSV_PREVIEW_ROWS} shown)` : ''}`,
+            '',
+            `| ${header.map(escapeCell).join(' | ')} |`,
+            `| ${header.map(() => '---').join(' | ')} |`
+        ];
+        body.slice(0, CSV_PREVIEW_ROWS).forEach(r => {
+            lines.push(`| ${header.map((_, i) => escapeCell(r[i] || '')).join(' | ')} |`);
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Parses an attached document into text
+     * @param {File} file - The attached file
+     * @returns {Promise<{name:string,kind:string,text:string,pages:Array|null,preview:string}>}
+     *   text is what the model reads; pages is set for PDFs; preview is a short form for the UI
+     */
+    async function parseFile(file) {
+        const kind = getDocumentKind(file);
+        if (!kind) throw new Error(`${file.name} is not a supported document (PDF, text, Markdown or CSV).`);
+        if (kind === 'pdf') {
+            const pages = await extractPdfPages(await file.arrayBuffer());
+            const text = pages.map(p => `[Page ${p.page}]\n${p.text}`).join('\n\n');
+            if (!pages.some(p => p.text)) {
+                throw new Error(`${file.name} has no extractable text (it may be a scanned PDF).`);
+            }
+            return { name: file.name, kind, text, pages, preview: `${pages.length} page${pages.length === 1 ? '' : 's'}` };
+        }
+        const raw = await file.text();
+        if (kind === 'csv') {
+            const rows = parseCsv(raw);
+            const table = formatCsvPreview(rows);
+            // A small table fits in the preview; a larger one also carries the raw rows for summarizing
+            const text = rows.length - 1 > CSV_PREVIEW_ROWS ? `${table}\n\nFull CSV:\n${raw}` : table;
+            return { name: file.name, kind, text, pages: null, preview: `${Math.max(rows.length - 1, 0)} rows` };
+        }
+        return { name: file.name, kind, text: raw, pages: null, preview: `${raw.length} characters` };
+    }
+
+    /**
+     * Splits long text into chunks at paragraph, then line, then hard boundaries
+     * @param {string} text - The text to split
+     * @param {number} maxLen - Maximum chunk length in characters
+     * @returns {Array<string>} - The chunks
+     */
+    function chunkText(text, maxLen) {
+        return chunkRanges(text, maxLen).map(range => text.slice(range.start, range.end));
+    }
+
+    /**
+     * Splits long text like chunkText, returning where each chunk sits in the text
+     * @param {string} text - The text to split
+     * @param {number} maxLen - Maximum chunk length in characters
+     * @returns {Array<{start:number,end:number}>} - Offsets of the trimmed chunks
+     */
+    function chunkRanges(text, maxLen) {
+        const ranges = [];
+        const pushTrimmed = (start, end) => {
+            while (start < end && /\s/.test(text[start])) start++;
+            while (end > start && /\s/.test(text[end - 1])) end--;
+            if (end > start) ranges.push({ start, end });
+        };
+        let offset = 0;
+        while (text.length - offset > maxLen) {
+            const head = text.slice(offset, offset + maxLen);
+            let cut = head.lastIndexOf('\n\n');
+            if (cut < maxLen / 2) cut = head.lastIndexOf('\n');
+            if (cut < maxLen / 2) cut = head.lastIndexOf(' ');
+            if (cut < maxLen / 2) cut = maxLen;
+            pushTrimmed(offset, offset + cut);
+            offset += cut;
+        }
+        pushTrimmed(offset, text.length);
+        return ranges;
+    }
+
+    // Public API
+    return {
+        getDocumentKind,
+        extractPdfPages,
+        parseFile,
+        parseCsv,
+        formatCsvPreview,
+        chunkText,
+        chunkRanges
+    };
+})();
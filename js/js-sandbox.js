@@ -0,0 +1,297 @@
+/**
+ * ./js/js-sandbox.js
+ * JS Sandbox Module - Runs model-written JavaScript in a throwaway Web Worker
+ * Each run gets a fresh worker, started inside a sandboxed iframe whose Content Security
+ * Policy allows no network at all; a blob: worker inherits that policy, so the browser refuses
+ * every request the code makes, however it builds it (fetch, import(), sockets). The worker has
+ * no DOM, a time limit and a memory limit; at either the frame, and with it the worker, is
+ * removed. Console output is streamed back as it happens, so it survives a timeout.
+ */
+const JsSandbox = (function() {
+    'use strict';
+
+    const DEFAULT_TIMEOUT_MS = 5000;
+    const MAX_TIMEOUT_MS = 30000;
+    const DEFAULT_MEMORY_LIMIT_MB = 128;
+    const MAX_MEMORY_LIMIT_MB = 512;
+    // Console output and the result are each cut at this many characters
+    const MAX_OUTPUT_CHARS = 10000;
+
+    // Policy of the sandbox frame, inherited by the worker it starts: scripts only inline or from
+    // eval (the worker compiles the code with AsyncFunction), workers only from blob: URLs, and
+    // nothing may be fetched or connected to
+    const FRAME_POLICY = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:";
+
+    // Runs inside the worker: locks the global scope down, then waits for the code to run.
+    // It is turned into the worker's source with toString(), so it must not use anything
+    // from this module's scope.
+    function workerMain(limits) {
+        const send = self.postMessage.bind(self);
+        // The frame's policy already blocks the network; removing the APIs makes the code fail early and plainly
+        const BLOCKED_GLOBALS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource',
+            'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'FileReaderSync'];
+        BLOCKED_GLOBALS.forEach(name => {
+            for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+                const descriptor = Object.getOwnPropertyDescriptor(scope, name);
+                if (descriptor && descriptor.configurable) delete scope[name];
+            }
+            const own = Object.getOwnPropertyDescriptor(self, name);
+            if (!own || own.configurable) Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+        });
+
+        // The built-ins below are replaced to count memory; the result and console output are rendered with the originals
+        const stringify = JSON.stringify;
+        const arrayFrom = Array.from;
+
+        // Renders any value as text: strings as is, the rest as JSON with cycles, Maps and Sets handled
+        function describe(value) {
+            if (typeof value === 'string') return value;
+            if (value === undefined) return 'undefined';
+            if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+            if (typeof value === 'bigint') return `${value}n`;
+            if (typeof value === 'symbol') return value.toString();
+            if (value instanceof Error) return `${value.name}: ${value.message}`;
+            const seen = new WeakSet();
+            try {
+                const json = stringify(value, (key, item) => {
+                    if (typeof item === 'bigint') return `${item}n`;
+                    if (typeof item === 'function') return `[Function ${item.name || 'anonymous'}]`;
+                    if (item instanceof Map) return arrayFrom(item.entries());
+                    if (item instanceof Set) return arrayFrom(item);
+                    if (item instanceof Error) return `${item.name}: ${item.message}`;
+                    if (item && typeof item === 'object') {
+                        if (seen.has(item)) return '[Circular]';
+                        seen.add(item);
+                    }
+                    return item;
+                });
+                return json === undefined ? String(value) : json;
+            } catch (err) {
+                return String(value);
+            }
+        }
+
+        let outputChars = 0;
+        let truncated = false;
+        ['log', 'info', 'debug', 'warn', 'error', 'table', 'dir'].forEach(method => {
+            const level = method === 'warn' || method === 'error' ? method : 'log';
+            console[method] = (...args) => {
+                if (truncated) return;
+                let text = args.map(describe).join(' ');
+                if (outputChars + text.length > limits.maxOutputChars) {
+                    text = text.slice(0, limits.maxOutputChars - outputChars);
+                    truncated = true;
+                }
+                outputChars += text.length;
+                send({ type: 'log', level, text, truncated });
+            };
+        });
+
+        // Memory limit: a worker cannot read its own heap, and running out of it takes the page's
+        // renderer down rather than failing the code, so the built-ins that build arrays, strings,
+        // maps, sets and buffers count the bytes they allocate instead. The count is an estimate and
+        // never goes down, as collection cannot be seen from here. Sizes known up front are counted
+        // before allocating, so a single huge request is refused without being attempted. Literals,
+        // `+` and index assignment are not counted.
+        let allocated = 0;
+        let memoryExceeded = false;
+        function charge(bytes) {
+            allocated += bytes;
+            if (allocated <= limits.memoryLimitBytes) return;
+            const message = `Memory limit of ${limits.memoryLimitBytes / 1048576} MB exceeded; the code was stopped`;
+            // Report it before throwing, so code that catches the error is still stopped by the page
+            if (!memoryExceeded) send({ type: 'done', error: message });
+            memoryExceeded = true;
+            throw new RangeError(message);
+        }
+        // Helper: Rough size of a value held in an array, map or set
+        function sizeOf(value) {
+            if (typeof value === 'string') return 16 + value.length * 2;
+            return value !== null && typeof value === 'object' ? 64 : 8;
+        }
+        const lengthOf = value => (value !== null && value !== undefined && typeof value.length === 'number' ? value.length : 0);
+        const sizesOf = (values, from = 0) => values.reduce((sum, value, i) => (i < from ? sum : sum + sizeOf(value)), 0);
+        // Helper: Replaces a built-in method with one that counts what before(this, args) and after(value, this, args) return
+        function meter(owner, name, before, after) {
+            const original = owner[name];
+            if (typeof original !== 'function') return;
+            const metered = {
+                [name](...args) {
+                    if (before) charge(before(this, args));
+                    const value = original.apply(this, args);
+                    if (after) charge(after(value, this, args));
+                    return value;
+                }
+            }[name];
+            Object.defineProperty(owner, name, { ...Object.getOwnPropertyDescriptor(owner, name), value: metered });
+        }
+        // Helper: Replaces a global constructor with one that counts bytesFor(args) before constructing
+        function meterConstructor(name, bytesFor) {
+            const original = self[name];
+            if (typeof original !== 'function') return;
+            const count = args => charge(bytesFor(args));
+            self[name] = new Proxy(original, {
+                apply: (target, thisArg, args) => { count(args); return Reflect.apply(target, thisArg, args); },
+                construct: (target, args, newTarget) => {
+                    count(args);
+                    return Reflect.construct(target, args, newTarget);
+                }
+            });
+        }
+
+        const ELEMENT = 8;
+        // Array.from and Array.of on array-likes construct through Array with the length, so only iterables are left to count
+        meterConstructor('Array', args => (args.length === 1 && typeof args[0] === 'number' ? args[0] * ELEMENT : sizesOf(args)));
+        meter(Array, 'from', null, (value, array, args) => (args[0] != null && typeof args[0][Symbol.iterator] === 'function' ? value.length * ELEMENT : 0));
+        meter(Array.prototype, 'push', (array, args) => sizesOf(args));
+        meter(Array.prototype, 'unshift', (array, args) => sizesOf(args));
+        meter(Array.prototype, 'splice', (array, args) => sizesOf(args, 2));
+        meter(Array.prototype, 'concat', (array, args) => (lengthOf(array) + args.reduce((sum, arg) => sum + (Array.isArray(arg) ? arg.length : 1), 0)) * ELEMENT);
+        ['map', 'toSorted', 'toReversed', 'with'].forEach(name => meter(Array.prototype, name, array => lengthOf(array) * ELEMENT));
+        ['slice', 'filter', 'flat', 'flatMap', 'toSpliced'].forEach(name => meter(Array.prototype, name, null, value => value.length * ELEMENT));
+        meter(Array.prototype, 'join', null, value => value.length * 2);
+        meter(String.prototype, 'repeat', (string, args) => String(string).length * Math.max(0, Number(args[0]) || 0) * 2);
+        ['padStart', 'padEnd'].forEach(name => meter(String.prototype, name, (string, args) => Math.max(0, Number(args[0]) || 0) * 2));
+        ['concat', 'replace', 'replaceAll', 'toUpperCase', 'toLowerCase', 'normalize'].forEach(name => meter(String.prototype, name, null, value => value.length * 2));
+        meter(String.prototype, 'split', null, value => sizesOf(value));
+        meter(Map.prototype, 'set', (map, args) => sizeOf(args[0]) + sizeOf(args[1]));
+        meter(Set.prototype, 'add', (set, args) => sizeOf(args[0]));
+        meter(JSON, 'parse', (json, args) => String(args[0]).length * 2);
+        meter(JSON, 'stringify', null, value => lengthOf(value) * 2);
+        ['keys', 'values', 'entries'].forEach(name => meter(Object, name, null, value => value.length * ELEMENT));
+        meterConstructor('ArrayBuffer', args => Number(args[0]) || 0);
+        ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+            'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'].forEach(name => {
+            const bytes = self[name].BYTES_PER_ELEMENT;
+            meterConstructor(name, args => (typeof args[0] === 'number' ? args[0] : lengthOf(args[0])) * bytes);
+        });
+
+        self.addEventListener('message', async event => {
+            const { code, input } = event.data;
+            const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+            // A single expression is returned as is; anything else runs as a function body
+            let fn;
+            try {
+                fn = new AsyncFunction('input', `return (${code.trim().replace(/;+$/, '')}\n);`);
+            } catch (err) {
+                try {
+                    fn = new AsyncFunction('input', code);
+                } catch (syntaxErr) {
+                    send({ type: 'done', error: `${syntaxErr.name}: ${syntaxErr.message}` });
+                    return;
+                }
+            }
+            try {
+                const value = await fn.call(undefined, input);
+                const result = value === undefined ? undefined : describe(value);
+                send({
+                    type: 'done',
+                    result: result !== undefined && result.length > limits.maxOutputChars ? result.slice(0, limits.maxOutputChars) : result,
+                    resultTruncated: result !== undefined && result.length > limits.maxOutputChars
+                });
+            } catch (err) {
+                send({ type: 'done', error: err instanceof Error ? `${err.name}: ${err.message}` : `Uncaught ${describe(err)}` });
+            }
+        });
+    }
+
+    // Runs inside the sandbox frame: starts the worker from the source it is sent, passes it the
+    // code and relays the worker's messages to the page. Like workerMain it is sent as source text.
+    function frameMain() {
+        window.addEventListener('message', event => {
+            if (event.source !== parent) return;
+            const { source, code, input } = event.data;
+            let worker;
+            try {
+                worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+            } catch (err) {
+                parent.postMessage({ type: 'done', error: `Could not start the sandbox: ${err.message}` }, '*');
+                return;
+            }
+            worker.onmessage = message => parent.postMessage(message.data, '*');
+            // Errors thrown in timers or callbacks, or a worker that ran out of memory
+            worker.onerror = error => {
+                error.preventDefault();
+                parent.postMessage({ type: 'done', error: error.message || 'The sandbox stopped unexpectedly (possibly out of memory)' }, '*');
+            };
+            worker.postMessage({ code, input });
+        }, { once: true });
+    }
+
+    /**
+     * Runs JavaScript in a fresh sandboxed worker.
+     * The code runs as the body of an async function with the text `input` in scope; a single
+     * expression is returned as is, otherwise use `return`. It cannot reach the network, and it
+     * is stopped at the time limit or once it has allocated more than the memory limit.
+     * @param {string} code - The code to run
+     * @param {Object} [options] - { input, timeoutMs, memoryLimitMb, signal }
+     * @returns {Promise<{logs:Array<{level:string,text:string}>,result:(string|undefined),error:(string|null),timedOut:boolean,truncated:boolean,durationMs:number}>}
+     *   - error holds syntax, runtime, network, timeout and memory errors; result is the return value rendered as text
+     * @throws {Error} - AbortError when the signal aborts; the worker is stopped
+     */
+    function run(code, options = {}) {
+        const { input = '', signal } = options;
+        const timeoutMs = Math.min(Math.max(options.timeoutMs || DEFAULT_TIMEOUT_MS, 100), MAX_TIMEOUT_MS);
+        const memoryLimitMb = Math.min(Math.max(options.memoryLimitMb || DEFAULT_MEMORY_LIMIT_MB, 1), MAX_MEMORY_LIMIT_MB);
+        Utils.throwIfAborted(signal);
+        const outcome = { logs: [], result: undefined, error: null, timedOut: false, truncated: false, durationMs: 0 };
+        if (typeof code !== 'string' || !code.trim()) {
+            return Promise.resolve({ ...outcome, error: 'There is no code to run' });
+        }
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve({ ...outcome, error: 'This browser cannot run Web Workers' });
+        }
+        return new Promise((resolve, reject) => {
+            const started = Date.now();
+            const limits = { maxOutputChars: MAX_OUTPUT_CHARS, memoryLimitBytes: memoryLimitMb * 1048576 };
+            const source = `(${workerMain.toString()})(${JSON.stringify(limits)});`;
+            // Without allow-same-origin the frame gets an opaque origin: no access to the page, its storage or cookies
+            const frame = document.createElement('iframe');
+            frame.setAttribute('sandbox', 'allow-scripts');
+            frame.setAttribute('aria-hidden', 'true');
+            frame.style.display = 'none';
+            frame.srcdoc = `<!DOCTYPE html><meta http-equiv="Content-Security-Policy" content="${FRAME_POLICY}"><script>(${frameMain.toString()})();</script>`;
+            const timer = setTimeout(() => {
+                finish({ error: `Timed out after ${timeoutMs / 1000} s; the code was stopped`, timedOut: true });
+            }, timeoutMs);
+            // Removing the frame also terminates the worker it started
+            function stop() {
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+                frame.remove();
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+            function finish(fields) {
+                stop();
+                resolve({ ...outcome, ...fields, durationMs: Date.now() - started });
+            }
+            function onAbort() {
+                stop();
+                reject(Utils.createAbortError());
+            }
+            function onMessage(event) {
+                if (event.source !== frame.contentWindow) return;
+                const message = event.data || {};
+                if (message.type === 'log') {
+                    outcome.logs.push({ level: message.level, text: message.text });
+                    outcome.truncated = outcome.truncated || message.truncated;
+                } else if (message.type === 'done') {
+                    finish({
+                        result: message.result,
+                        error: message.error || null,
+                        truncated: outcome.truncated || !!message.resultTruncated
+                    });
+                }
+            }
+            window.addEventListener('message', onMessage);
+            frame.onload = () => frame.contentWindow.postMessage({ source, code, input: String(input) }, '*');
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            document.body.appendChild(frame);
+        });
+    }
+
+    // Public API
+    return {
+        run
+    };
+})();
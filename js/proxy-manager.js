@@ -0,0 +1,239 @@
+/**
+ * ./js/proxy-manager.js
+ * Proxy Manager Module - The CORS proxies used to reach pages and APIs from the browser
+ * Keeps one list of proxies (built-in and user-added), remembers how reliable and fast each
+ * one has been across sessions, orders them best first, and opens a circuit breaker on a
+ * proxy that keeps failing so it is skipped until its cooldown has passed.
+ */
+const ProxyManager = (function() {
+    'use strict';
+
+    // A template holds {url} for the URL-encoded target or {rawUrl} for the target as is
+    const BUILT_IN_PROXIES = [
+        { id: 'codetabs', name: 'CodeTabs', template: 'https://api.codetabs.com/v1/proxy?quest={url}' },
+        { id: 'allorigins', name: 'AllOrigins', template: 'https://api.allorigins.win/raw?url={url}' },
+        { id: 'corsproxy-io', name: 'corsproxy.io', template: 'https://corsproxy.io/?url={url}' },
+        { id: 'thingproxy', name: 'ThingProxy', template: 'https://thingproxy.freeboard.io/fetch/{rawUrl}' },
+        { id: 'cors-eu', name: 'cors.eu.org', template: 'https://cors.eu.org/{rawUrl}' },
+        { id: 'afeld', name: 'JSONP afeld', template: 'https://jsonp.afeld.me/?url={url}' },
+        { id: 'yacdn', name: 'YACDN', template: 'https://yacdn.org/proxy/{rawUrl}' },
+        // The public demo only answers after opting in on its page, so it starts disabled
+        { id: 'cors-anywhere', name: 'CORS Anywhere', template: 'https://cors-anywhere.herokuapp.com/{rawUrl}', enabled: false }
+    ];
+    const CONFIG_KEY = 'chat_proxies';
+    const HEALTH_KEY = 'chat_proxy_health';
+
+    // Consecutive failures that open a proxy's circuit, and how long it then stays open
+    const FAILURE_THRESHOLD = 3;
+    const BASE_COOLDOWN_MS = 5 * 60 * 1000;
+    const MAX_COOLDOWN_MS = 60 * 60 * 1000;
+    // Weight of the newest outcome and latency in the running averages
+    const SMOOTHING = 0.3;
+
+    // Custom proxies and the enabled flag of every proxy, as saved in localStorage
+    let config = null;
+    // Health by proxy id: { reliability, latencyMs, successes, failures, consecutiveFailures, trips, openUntil }
+    let health = null;
+
+    // Helper: Loads the saved configuration and health on first use
+    function load() {
+        if (config) return;
+        config = { custom: [], enabled: {}, ...(Utils.getFromStorage(CONFIG_KEY) || {}) };
+        health = Utils.getFromStorage(HEALTH_KEY) || {};
+    }
+
+    // Helper: Health record of a proxy, created on first use
+    function healthOf(id) {
+        if (!health[id]) {
+            health[id] = { reliability: 0.5, latencyMs: null, successes: 0, failures: 0, consecutiveFailures: 0, trips: 0, openUntil: 0 };
+        }
+        return health[id];
+    }
+
+    /**
+     * Lists every proxy with its settings and health
+     * @returns {Array<{id:string,name:string,template:string,builtIn:boolean,enabled:boolean,health:Object,open:boolean}>}
+     */
+    function list() {
+        load();
+        const now = Date.now();
+        return BUILT_IN_PROXIES.map(p => ({ ...p, builtIn: true }))
+            .concat(config.custom.map(p => ({ ...p, builtIn: false })))
+            .map(p => ({
+                id: p.id,
+                name: p.name,
+                template: p.template,
+                builtIn: p.builtIn,
+                enabled: config.enabled[p.id] !== undefined ? config.enabled[p.id] : p.enabled !== false,
+                health: { ...healthOf(p.id) },
+                open: healthOf(p.id).openUntil > now
+            }));
+    }
+
+    /**
+     * Gets the enabled proxies to try, best first: closed circuits by reliability then latency.
+     * When every circuit is open, the ones closest to the end of their cooldown are returned instead.
+     * @returns {Array<Object>} - Proxies as listed by list()
+     */
+    function getCandidates() {
+        const enabled = list().filter(p => p.enabled);
+        const closed = enabled.filter(p => !p.open);
+        if (!closed.length) return enabled.sort((a, b) => a.health.openUntil - b.health.openUntil);
+        return closed.sort((a, b) => {
+            if (b.health.reliability !== a.health.reliability) return b.health.reliability - a.health.reliability;
+            const latencyA = a.health.latencyMs === null ? Infinity : a.health.latencyMs;
+            const latencyB = b.health.latencyMs === null ? Infinity : b.health.latencyMs;
+            return latencyA - latencyB;
+        });
+    }
+
+    /**
+     * Builds the proxied URL for a target
+     * @param {{template:string}} proxy - The proxy
+     * @param {string} url - The target URL
+     * @returns {string}
+     */
+    function formatUrl(proxy, url) {
+        return proxy.template.replace('{url}', encodeURIComponent(url)).replace('{rawUrl}', url);
+    }
+
+    /**
+     * Records a successful request through a proxy and closes its circuit
+     * @param {string} id - The proxy id
+     * @param {number} latencyMs - How long the request took
+     */
+    function recordSuccess(id, latencyMs) {
+        load();
+        const h = healthOf(id);
+        h.successes++;
+        h.consecutiveFailures = 0;
+        h.trips = 0;
+        h.openUntil = 0;
+        h.reliability = h.reliability * (1 - SMOOTHING) + SMOOTHING;
+        h.latencyMs = h.latencyMs === null ? latencyMs : Math.round(h.latencyMs * (1 - SMOOTHING) + latencyMs * SMOOTHING);
+        Utils.saveToStorage(HEALTH_KEY, health);
+    }
+
+    /**
+     * Records a failed request through a proxy, opening its circuit after repeated failures.
+     * Each time the circuit opens again the cooldown doubles, up to an hour.
+     * @param {string} id - The proxy id
+     */
+    function recordFailure(id) {
+        load();
+        const h = healthOf(id);
+        h.failures++;
+        h.consecutiveFailures++;
+        h.reliability = h.reliability * (1 - SMOOTHING);
+        if (h.consecutiveFailures >= FAILURE_THRESHOLD) {
+            h.trips++;
+            h.openUntil = Date.now() + Math.min(BASE_COOLDOWN_MS * 2 ** (h.trips - 1), MAX_COOLDOWN_MS);
+            // After the cooldown one request decides: another failure reopens the circuit at once
+            h.consecutiveFailures = FAILURE_THRESHOLD - 1;
+        }
+        Utils.saveToStorage(HEALTH_KEY, health);
+    }
+
+    /**
+     * Fetches a URL through a proxy, recording the outcome in the proxy's health
+     * @param {Object} proxy - A proxy from getCandidates()
+     * @param {string} url - The target URL
+     * @param {Object} [options] - fetch options ({ signal, method, headers, body })
+     * @param {number} [timeout] - Timeout in ms
+     * @param {Function} [read] - async (response) => result; throwing marks the proxy as failed,
+     *   for proxies that answer 200 with an error page
+     * @returns {Promise<*>} - What read returned (by default the ok response)
+     * @throws {Error} - The fetch, HTTP or read error; aborts by the caller are not held against the proxy
+     */
+    async function fetchThrough(proxy, url, options = {}, timeout = 15000, read = response => response) {
+        const started = Date.now();
+        try {
+            const response = await Utils.fetchWithTimeout(formatUrl(proxy, url), options, timeout);
+            if (!response.ok) throw ApiErrors.fromResponse(response, await response.text().catch(() => ''));
+            const result = await read(response);
+            recordSuccess(proxy.id, Date.now() - started);
+            return result;
+        } catch (err) {
+            if (!Utils.isAbortError(err)) recordFailure(proxy.id);
+            throw err;
+        }
+    }
+
+    /**
+     * Adds a user proxy
+     * @param {{name:string,template:string}} proxy - Template with {url} or {rawUrl}, or a prefix the raw URL is appended to
+     * @returns {Object} - The added proxy
+     * @throws {Error} - When the name or template is invalid
+     */
+    function addProxy({ name, template }) {
+        load();
+        name = (name || '').trim();
+        template = (template || '').trim();
+        if (!name) throw new Error('A proxy needs a name.');
+        if (!/^https?:\/\/[^\s]+$/i.test(template)) throw new Error('The proxy URL must start with http:// or https://.');
+        if (!template.includes('{url}') && !template.includes('{rawUrl}')) template += '{rawUrl}';
+        const baseId = `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'proxy'}`;
+        let id = baseId;
+        for (let i = 2; list().some(p => p.id === id); i++) id = `${baseId}-${i}`;
+        const proxy = { id, name, template };
+        config.custom.push(proxy);
+        Utils.saveToStorage(CONFIG_KEY, config);
+        return proxy;
+    }
+
+    /**
+     * Removes a user proxy (built-in proxies can only be disabled)
+     * @param {string} id - The proxy id
+     */
+    function removeProxy(id) {
+        load();
+        config.custom = config.custom.filter(p => p.id !== id);
+        delete config.enabled[id];
+        delete health[id];
+        Utils.saveToStorage(CONFIG_KEY, config);
+        Utils.saveToStorage(HEALTH_KEY, health);
+    }
+
+    /**
+     * Enables or disables a proxy
+     * @param {string} id - The proxy id
+     * @param {boolean} enabled
+     */
+    function setEnabled(id, enabled) {
+        load();
+        config.enabled[id] = !!enabled;
+        Utils.saveToStorage(CONFIG_KEY, config);
+    }
+
+    /**
+     * Reads the configuration and health again from localStorage, dropping what is held in memory
+     */
+    function reload() {
+        config = null;
+        load();
+    }
+
+    /**
+     * Forgets all health scores and closes every circuit
+     */
+    function resetHealth() {
+        load();
+        health = {};
+        Utils.saveToStorage(HEALTH_KEY, health);
+    }
+
+    // Public API
+    return {
+        list,
+        getCandidates,
+        formatUrl,
+        fetchThrough,
+        recordSuccess,
+        recordFailure,
+        addProxy,
+        removeProxy,
+        setEnabled,
+        reload,
+        resetHealth
+    };
+})();
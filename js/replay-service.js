@@ -0,0 +1,192 @@
+/**
+ * ./js/replay-service.js
+ * Replay Service Module - Records sessions into fixtures and replays them offline
+ * A fixture holds the model responses in call order and the fetched pages by URL:
+ *   { version: 1, recordedAt, llm: [{ model, streamed, prompt, response: { text, toolCalls, usage } }],
+ *     pages: { url: text } }
+ * Page text is the raw response body, except for PDFs, which are stored already extracted as
+ * { kind: 'pdf', contentType, text, pages } so replaying them needs no PDF reader.
+ * While replaying, the "mock-replay" model answers from llm in order and web_search,
+ * read_url and instant_answer read from pages, so a run needs no keys and no network.
+ * The clock is set back to recordedAt, so the current date in prompts matches the recording.
+ * tests/replay-service.test.js replays tests/fixtures/replay/eiffel-tower.json end to end.
+ */
+const ReplayService = (function() {
+    'use strict';
+
+    const FIXTURE_VERSION = 1;
+    const MOCK_PROVIDER_ID = 'mock';
+    const MOCK_MODEL = 'mock-replay';
+    // Characters of the last message kept per call, to spot runs that drift from the recording
+    const PROMPT_SAMPLE_LENGTH = 200;
+
+    let mode = 'idle'; // 'idle' | 'recording' | 'replaying'
+    let recording = null;
+    let replay = null; // { fixture, llmIndex, mismatches }
+
+    // Helper: Short sample of the newest message, stored with each call
+    function samplePrompt(messages) {
+        const last = messages[messages.length - 1];
+        return last && typeof last.content === 'string' ? last.content.slice(0, PROMPT_SAMPLE_LENGTH) : '';
+    }
+
+    /**
+     * Checks that an object is a usable fixture
+     * @param {Object} fixture - The parsed fixture
+     * @returns {Object} - The fixture
+     * @throws {Error} - When the version or shape is wrong
+     */
+    function validateFixture(fixture) {
+        if (!fixture || fixture.version !== FIXTURE_VERSION) {
+            throw new Error(`Invalid replay fixture: expected version ${FIXTURE_VERSION}.`);
+        }
+        if (!Array.isArray(fixture.llm) || !fixture.pages || typeof fixture.pages !== 'object') {
+            throw new Error('Invalid replay fixture: it needs an "llm" list and a "pages" map.');
+        }
+        fixture.llm.forEach((call, i) => {
+            if (!call || !call.response || typeof call.response.text !== 'string') {
+                throw new Error(`Invalid replay fixture: llm[${i}] has no response text.`);
+            }
+        });
+        return fixture;
+    }
+
+    // Helper: Next recorded model response, noting when the request differs from the recording
+    function nextResponse(messages) {
+        if (!replay) throw new Error('No replay fixture is loaded.');
+        const calls = replay.fixture.llm;
+        if (replay.llmIndex >= calls.length) {
+            throw new Error(`The replay fixture has no more model responses (${calls.length} recorded).`);
+        }
+        const call = calls[replay.llmIndex++];
+        const prompt = samplePrompt(messages);
+        if (call.prompt !== undefined && call.prompt !== prompt) {
+            replay.mismatches.push({ index: replay.llmIndex - 1, expected: call.prompt, actual: prompt });
+            console.warn(`Replay: request ${replay.llmIndex - 1} differs from the recording`, { expected: call.prompt, actual: prompt });
+        }
+        return { text: call.response.text, toolCalls: call.response.toolCalls || [], usage: call.response.usage || null };
+    }
+
+    // Provider adapter answering from the loaded fixture
+    const mockAdapter = {
+        id: MOCK_PROVIDER_ID,
+        name: 'Replay',
+        models: [{ id: MOCK_MODEL, label: 'Replay fixture', description: 'Answers with the model responses recorded in the loaded fixture.' }],
+        capabilities: { streaming: true, tools: true },
+        matches: model => model === MOCK_MODEL,
+        complete: async function(model, messages, options = {}) {
+            Utils.throwIfAborted(options.signal);
+            return { ...nextResponse(messages), raw: null };
+        },
+        stream: async function(model, messages, onChunk, options = {}) {
+            Utils.throwIfAborted(options.signal);
+            const result = nextResponse(messages);
+            // Word-sized chunks exercise the same rendering path as a live stream
+            let fullText = '';
+            for (const piece of result.text.match(/\S+\s*|\s+/g) || []) {
+                Utils.throwIfAborted(options.signal);
+                fullText += piece;
+                if (onChunk) onChunk(piece, fullText);
+            }
+            return result;
+        }
+    };
+
+    /**
+     * Starts replaying a fixture: registers the mock-replay model and serves pages from the fixture
+     * @param {Object|string} fixture - The fixture object or its JSON text
+     * @returns {string} - The model id to select
+     */
+    function startReplay(fixture) {
+        if (mode === 'recording') throw new Error('Stop recording before replaying a fixture.');
+        const parsed = validateFixture(typeof fixture === 'string' ? JSON.parse(fixture) : fixture);
+        replay = { fixture: parsed, llmIndex: 0, mismatches: [] };
+        mode = 'replaying';
+        // The run sees the date it was recorded on, so dated prompts and queries match the recording
+        if (parsed.recordedAt) DateTimeService.setReferenceTime(parsed.recordedAt);
+        ApiService.registerProvider(mockAdapter);
+        ToolsService.setPageHooks({
+            replay: async url => {
+                if (!Object.prototype.hasOwnProperty.call(parsed.pages, url)) {
+                    throw new Error(`The replay fixture has no recorded page for ${url}`);
+                }
+                return parsed.pages[url];
+            }
+        });
+        return MOCK_MODEL;
+    }
+
+    /**
+     * Stops replaying and removes the mock-replay model
+     */
+    function stopReplay() {
+        if (mode !== 'replaying') return;
+        ApiService.unregisterProvider(MOCK_PROVIDER_ID);
+        ToolsService.setPageHooks(null);
+        DateTimeService.setReferenceTime(null);
+        replay = null;
+        mode = 'idle';
+    }
+
+    /**
+     * Starts recording model calls and fetched pages
+     */
+    function startRecording() {
+        if (mode === 'replaying') throw new Error('Stop replaying before recording.');
+        recording = { version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), llm: [], pages: {} };
+        mode = 'recording';
+        ApiService.setCallObserver(({ model, messages, streamed, result }) => {
+            recording.llm.push({
+                model,
+                streamed,
+                prompt: samplePrompt(messages),
+                response: { text: result.text || '', toolCalls: result.toolCalls || [], usage: result.usage || null }
+            });
+        });
+        ToolsService.setPageHooks({
+            record: (url, text) => {
+                recording.pages[url] = text;
+            }
+        });
+    }
+
+    /**
+     * Stops recording
+     * @returns {Object|null} - The recorded fixture, or null when nothing was being recorded
+     */
+    function stopRecording() {
+        if (mode !== 'recording') return null;
+        ApiService.setCallObserver(null);
+        ToolsService.setPageHooks(null);
+        const fixture = recording;
+        recording = null;
+        mode = 'idle';
+        return fixture;
+    }
+
+    /**
+     * Gets the current mode and progress
+     * @returns {{mode:string,recordedCalls:number,recordedPages:number,replayedCalls:number,totalCalls:number,mismatches:Array}}
+     */
+    function getStatus() {
+        return {
+            mode,
+            recordedCalls: recording ? recording.llm.length : 0,
+            recordedPages: recording ? Object.keys(recording.pages).length : 0,
+            replayedCalls: replay ? replay.llmIndex : 0,
+            totalCalls: replay ? replay.fixture.llm.length : 0,
+            mismatches: replay ? replay.mismatches.slice() : []
+        };
+    }
+
+    // Public API
+    return {
+        MOCK_MODEL,
+        validateFixture,
+        startReplay,
+        stopReplay,
+        startRecording,
+        stopRecording,
+        getStatus
+    };
+})();
@@ -0,0 +1,110 @@
+/**
+ * ./js/search-index.js
+ * Search Index Module - BM25 keyword ranking over chunks of text
+ * Tokenizes text into lowercased, accent-free word stems without stop words, builds
+ * term statistics for a set of chunks and ranks them against a query with Okapi BM25.
+ * Used by the document library and for picking the parts of a page that answer a question.
+ */
+const SearchIndex = (function() {
+    'use strict';
+
+    // BM25 term-frequency saturation and length normalization
+    const K1 = 1.2;
+    const B = 0.75;
+
+    const STOP_WORDS = new Set(('a an and are as at be but by can did do does for from had has have how i if in into is it its ' +
+        'me my no not of on or our so than that the their them then there these they this those to too us was we were what ' +
+        'when where which who whom why will with would you your').split(' '));
+
+    // Helper: Strips common English endings so "policies", "policy" and "policy's" match
+    function stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+        if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+        if (/(ss|us|is)$/.test(word)) return word;
+        if (/(sses|shes|ches|xes|zes)$/.test(word)) return word.slice(0, -2);
+        if (word.endsWith('s')) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * Splits text into index terms
+     * @param {string} text
+     * @returns {Array<string>} - Lowercased stems, stop words and single letters left out
+     */
+    function tokenize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/'s\b/g, '')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word && (word.length > 1 || /\d/.test(word)) && !STOP_WORDS.has(word))
+            .map(stem);
+    }
+
+    /**
+     * Builds the term statistics BM25 needs for a set of texts
+     * @param {Array<string>} texts - The chunks, in the order results refer to
+     * @returns {{docs:Array<{length:number,terms:Map}>,documentFrequency:Map,averageLength:number}}
+     */
+    function createIndex(texts) {
+        const documentFrequency = new Map();
+        const docs = texts.map(text => {
+            const terms = new Map();
+            const tokens = tokenize(text);
+            tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+            terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+            return { length: tokens.length, terms };
+        });
+        const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+        return { docs, documentFrequency, averageLength: docs.length ? totalLength / docs.length : 0 };
+    }
+
+    /**
+     * Ranks the indexed texts against a query
+     * @param {Object} index - From createIndex()
+     * @param {string} query
+     * @param {number} [limit] - Most results to return (default all that match)
+     * @returns {Array<{index:number,score:number}>} - Matching texts by position, best first
+     */
+    function search(index, query, limit = Infinity) {
+        const queryTerms = Array.from(new Set(tokenize(query)));
+        const total = index.docs.length;
+        if (!queryTerms.length || !total) return [];
+        const idf = new Map(queryTerms.map(term => {
+            const df = index.documentFrequency.get(term) || 0;
+            return [term, Math.log(1 + (total - df + 0.5) / (df + 0.5))];
+        }));
+        const results = [];
+        index.docs.forEach((doc, i) => {
+            let score = 0;
+            queryTerms.forEach(term => {
+                const tf = doc.terms.get(term);
+                if (!tf) return;
+                const norm = 1 - B + B * (index.averageLength ? doc.length / index.averageLength : 1);
+                score += idf.get(term) * (tf * (K1 + 1)) / (tf + K1 * norm);
+            });
+            if (score > 0) results.push({ index: i, score });
+        });
+        return results.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, limit);
+    }
+
+    /**
+     * Ranks a one-off list of texts against a query
+     * @param {Array<string>} texts
+     * @param {string} query
+     * @param {number} [limit]
+     * @returns {Array<{index:number,score:number}>}
+     */
+    function rank(texts, query, limit) {
+        return search(createIndex(texts), query, limit);
+    }
+
+    // Public API
+    return {
+        tokenize,
+        createIndex,
+        search,
+        rank
+    };
+})();
@@ -6,6 +6,15 @@
 const SettingsController = (function() {
     'use strict';
 
+    // How much deep reading may fetch: characters per read, reads and characters per page, characters per run
+    const DEFAULT_READING_BUDGET = { chunkSize: 2000, maxChunksPerPage: 5, maxCharsPerPage: 10000, maxCharsPerRun: 30000 };
+    const BUDGET_FIELDS = [
+        { id: 'budget-chunk-size', key: 'chunkSize', label: 'Characters per read' },
+        { id: 'budget-page-chunks', key: 'maxChunksPerPage', label: 'Reads per page' },
+        { id: 'budget-page-chars', key: 'maxCharsPerPage', label: 'Characters per page' },
+        { id: 'budget-run-chars', key: 'maxCharsPerRun', label: 'Characters per run' }
+    ];
+
     // Private state
     let settingsModal = null;
     let settings = {
@@ -14,8 +23,636 @@ const SettingsController = (function() {
         showThinking: true,
         selectedModel: 'gemini-2.0-flash', // Default model changed to Gemini 2.0 Flash
         darkMode: true, // Default dark mode is now true
-        debug: true // Debug logging ON by default
+        debug: true, // Debug logging ON by default
+        generationPreset: 'default',
+        fallbackModels: [], // Tried in order when the selected model fails
+        readingBudget: { ...DEFAULT_READING_BUDGET }
+    };
+    // Fallback list edited in the open modal, committed on save
+    let fallbackDraft = [];
+    // Custom OpenAI-compatible endpoints, kept in localStorage since they can outgrow a cookie
+    let endpoints = [];
+    // Anthropic API key and base URL, stored alongside the endpoints
+    let anthropicSettings = { apiKey: '', baseUrl: '' };
+    // Default search engine, the SearXNG URL, the Brave key and the search API proxy, stored alongside the endpoints
+    let searchSettings = { engine: 'duckduckgo', searxngUrl: '', braveApiKey: '', apiProxy: '' };
+    const SEARCH_FIELDS = [
+        { id: 'searxng-url', key: 'searxngUrl' },
+        { id: 'brave-api-key', key: 'braveApiKey' },
+        { id: 'search-api-proxy', key: 'apiProxy' }
+    ];
+
+    // Generation presets shipped with the app; user presets may not reuse these names
+    const BUILT_IN_PRESETS = {
+        'default': {},
+        'precise research': { temperature: 0.2, topP: 0.8, topK: 20 },
+        'creative': { temperature: 1.1, topP: 0.98, topK: 64 }
     };
+    // Saved presets (name → params) and per-model overrides (model id → params), both in localStorage
+    let customPresets = {};
+    let modelParams = {};
+    // Overrides edited in the open modal, committed on save, and the model the fields currently show
+    let modelParamsDraft = {};
+    let paramsModel = null;
+
+    const PARAM_FIELDS = [
+        { key: 'temperature', id: 'param-temperature', label: 'Temperature', min: 0, max: 2 },
+        { key: 'topP', id: 'param-top-p', label: 'Top P', min: 0, max: 1 },
+        { key: 'topK', id: 'param-top-k', label: 'Top K', min: 1, integer: true },
+        { key: 'maxOutputTokens', id: 'param-max-tokens', label: 'Max tokens', min: 1, integer: true }
+    ];
+
+    /**
+     * Gets the built-in and saved generation presets
+     * @returns {Object} - Preset params keyed by name
+     */
+    function getPresets() {
+        return { ...BUILT_IN_PRESETS, ...customPresets };
+    }
+
+    /**
+     * Hands the active preset and the per-model overrides to ApiService
+     */
+    function applyGeneration() {
+        const preset = getPresets()[settings.generationPreset] || BUILT_IN_PRESETS.default;
+        ApiService.configureGeneration({ defaults: preset, perModel: modelParams });
+    }
+
+    /**
+     * Reads the generation parameter fields
+     * @returns {{params:Object,error:string}} - The filled-in params, or an error for the first invalid field
+     */
+    function readParamFields() {
+        const params = {};
+        for (const field of PARAM_FIELDS) {
+            const raw = document.getElementById(field.id).value.trim();
+            if (raw === '') continue;
+            const value = Number(raw);
+            const invalid = isNaN(value) || value < field.min || (field.max !== undefined && value > field.max) ||
+                (field.integer && !Number.isInteger(value));
+            if (invalid) {
+                const range = field.max !== undefined ? `${field.min}–${field.max}` : `at least ${field.min}`;
+                return { params, error: `${field.label} must be ${field.integer ? 'a whole number ' : ''}${range}.` };
+            }
+            params[field.key] = value;
+        }
+        return { params, error: '' };
+    }
+
+    /**
+     * Shows a model's overrides in the parameter fields, with the preset values as placeholders
+     * @param {Object} params - The overrides to show
+     */
+    function fillParamFields(params = {}) {
+        const preset = getPresets()[document.getElementById('preset-select').value] || {};
+        PARAM_FIELDS.forEach(field => {
+            const input = document.getElementById(field.id);
+            input.value = params[field.key] !== undefined ? params[field.key] : '';
+            input.placeholder = preset[field.key] !== undefined ? `${field.label}: ${preset[field.key]}` : `${field.label}: default`;
+        });
+        const label = document.getElementById('model-params-label');
+        if (label) label.textContent = `Overrides for ${paramsModel} (blank follows the preset):`;
+    }
+
+    /**
+     * Fills the preset select with the built-in and saved presets
+     * @param {string} selected - The preset to select
+     */
+    function populatePresetOptions(selected) {
+        const select = document.getElementById('preset-select');
+        if (!select) return;
+        select.innerHTML = '';
+        Object.keys(getPresets()).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = BUILT_IN_PRESETS[name] ? name : `${name} (saved)`;
+            select.appendChild(option);
+        });
+        select.value = getPresets()[selected] ? selected : 'default';
+    }
+
+    /**
+     * Keeps the edited overrides when another model is picked and shows that model's overrides
+     */
+    function switchParamsModel() {
+        const { params } = readParamFields();
+        if (paramsModel) modelParamsDraft[paramsModel] = params;
+        paramsModel = document.getElementById('model-select').value;
+        fillParamFields(modelParamsDraft[paramsModel]);
+    }
+
+    /**
+     * Saves the parameter fields as a named preset
+     */
+    function savePreset() {
+        const nameInput = document.getElementById('preset-name');
+        const status = document.getElementById('generation-status');
+        const name = nameInput.value.trim();
+        const { params, error } = readParamFields();
+        if (!name) {
+            status.textContent = 'Enter a name for the preset.';
+            return;
+        }
+        if (BUILT_IN_PRESETS[name]) {
+            status.textContent = `"${name}" is a built-in preset; choose another name.`;
+            return;
+        }
+        if (error || !Object.keys(params).length) {
+            status.textContent = error || 'Fill in at least one parameter to save as a preset.';
+            return;
+        }
+        customPresets[name] = params;
+        Utils.saveToStorage('chat_generation_presets', customPresets);
+        populatePresetOptions(name);
+        fillParamFields(params);
+        nameInput.value = '';
+        status.textContent = `Saved preset "${name}". Save settings to make it active.`;
+    }
+
+    /**
+     * Deletes the selected saved preset
+     */
+    function deletePreset() {
+        const select = document.getElementById('preset-select');
+        const status = document.getElementById('generation-status');
+        const name = select.value;
+        if (BUILT_IN_PRESETS[name]) {
+            status.textContent = 'Built-in presets cannot be deleted.';
+            return;
+        }
+        delete customPresets[name];
+        Utils.saveToStorage('chat_generation_presets', customPresets);
+        populatePresetOptions('default');
+        fillParamFields(readParamFields().params);
+        status.textContent = `Deleted preset "${name}".`;
+    }
+
+    /**
+     * Reads and validates the reading budget fields
+     * @returns {{readingBudget:Object,error:string}} - The budget, or an error naming the bad field
+     */
+    function readBudgetFields() {
+        const readingBudget = {};
+        for (const field of BUDGET_FIELDS) {
+            const value = Number(document.getElementById(field.id).value);
+            if (!Number.isInteger(value) || value < 1) {
+                return { readingBudget: null, error: `${field.label} must be a whole number of at least 1.` };
+            }
+            readingBudget[field.key] = value;
+        }
+        return { readingBudget, error: '' };
+    }
+
+    /**
+     * Fills the search engine dropdown and the backend fields from the saved search settings
+     */
+    function fillSearchFields() {
+        const select = document.getElementById('search-engine-select');
+        select.innerHTML = '';
+        ToolsService.listSearchEngines().forEach(engine => {
+            const option = document.createElement('option');
+            option.value = engine.id;
+            option.textContent = engine.label;
+            select.appendChild(option);
+        });
+        select.value = searchSettings.engine;
+        SEARCH_FIELDS.forEach(field => {
+            document.getElementById(field.id).value = searchSettings[field.key];
+        });
+        document.getElementById('search-status').textContent = '';
+    }
+
+    /**
+     * Reads the search fields
+     * @returns {{searchSettings:Object,error:string}} - The settings, or an error when the default engine is not set up
+     */
+    function readSearchFields() {
+        const draft = { engine: document.getElementById('search-engine-select').value };
+        SEARCH_FIELDS.forEach(field => {
+            draft[field.key] = document.getElementById(field.id).value.trim();
+        });
+        if (draft.searxngUrl && !/^https?:\/\/\S+$/i.test(draft.searxngUrl)) {
+            return { searchSettings: null, error: 'The SearXNG URL must start with http:// or https://.' };
+        }
+        if (draft.apiProxy && !/^https?:\/\/\S+$/i.test(draft.apiProxy)) {
+            return { searchSettings: null, error: 'The search API proxy must start with http:// or https://.' };
+        }
+        const engine = ToolsService.listSearchEngines(draft).find(e => e.id === draft.engine);
+        if (engine && !engine.configured) {
+            return { searchSettings: null, error: `To search with ${engine.label} by default, ${engine.setupHint}.` };
+        }
+        return { searchSettings: draft, error: '' };
+    }
+
+    /**
+     * Fills the model select with the models offered by the registered providers
+     */
+    function populateModelOptions() {
+        const select = document.getElementById('model-select');
+        if (!select) return;
+        const current = select.value || settings.selectedModel;
+        select.innerHTML = '';
+        const groups = new Map();
+        ApiService.listModels().forEach(model => {
+            if (!groups.has(model.provider)) {
+                const group = document.createElement('optgroup');
+                group.label = model.providerName || model.provider;
+                groups.set(model.provider, group);
+                select.appendChild(group);
+            }
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.label || model.id;
+            if (model.description) option.title = model.description;
+            groups.get(model.provider).appendChild(option);
+        });
+        // Keep a saved model selectable even if its endpoint is offline right now
+        if (current && !Array.from(select.options).some(o => o.value === current)) {
+            const option = document.createElement('option');
+            option.value = current;
+            option.textContent = `${current} (unavailable)`;
+            select.appendChild(option);
+        }
+        select.value = current;
+    }
+
+    /**
+     * Renders the fallback chain with move-up and remove buttons, and the models that can still be added
+     */
+    function renderFallbackList() {
+        const list = document.getElementById('fallback-list');
+        const select = document.getElementById('fallback-model-select');
+        if (!list || !select) return;
+        const labels = new Map(ApiService.listModels().map(m => [m.id, `${m.providerName} — ${m.label || m.id}`]));
+        list.innerHTML = '';
+        fallbackDraft.forEach((modelId, index) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${index + 1}. ${labels.get(modelId) || `${modelId} (unavailable)`}`;
+            const actions = document.createElement('span');
+            const upBtn = document.createElement('button');
+            upBtn.type = 'button';
+            upBtn.className = 'settings-modal__button';
+            upBtn.textContent = 'Up';
+            upBtn.disabled = index === 0;
+            upBtn.setAttribute('aria-label', `Move ${modelId} up`);
+            upBtn.addEventListener('click', () => {
+                fallbackDraft.splice(index - 1, 0, fallbackDraft.splice(index, 1)[0]);
+                renderFallbackList();
+            });
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'settings-modal__button';
+            removeBtn.textContent = 'Remove';
+            removeBtn.setAttribute('aria-label', `Remove fallback ${modelId}`);
+            removeBtn.addEventListener('click', () => {
+                fallbackDraft.splice(index, 1);
+                renderFallbackList();
+            });
+            actions.appendChild(upBtn);
+            actions.appendChild(removeBtn);
+            item.appendChild(label);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+        select.innerHTML = '';
+        labels.forEach((text, modelId) => {
+            if (fallbackDraft.includes(modelId)) return;
+            const option = document.createElement('option');
+            option.value = modelId;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Appends the model picked in the fallback select to the chain
+     */
+    function addFallback() {
+        const modelId = document.getElementById('fallback-model-select').value;
+        if (!modelId || fallbackDraft.includes(modelId)) return;
+        fallbackDraft.push(modelId);
+        renderFallbackList();
+    }
+
+    /**
+     * Parses "Header: value" lines into a headers object
+     * @param {string} text - The raw header lines
+     * @returns {Object} - Header name/value pairs
+     */
+    function parseHeaderLines(text) {
+        const headers = {};
+        (text || '').split(/\r?\n/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index <= 0) return;
+            const name = line.slice(0, index).trim();
+            const value = line.slice(index + 1).trim();
+            if (name) headers[name] = value;
+        });
+        return headers;
+    }
+
+    /**
+     * Registers the saved endpoints with ApiService and refreshes their model lists
+     * @returns {Promise<void>}
+     */
+    async function applyEndpoints() {
+        ApiService.configureEndpoints(endpoints);
+        const status = document.getElementById('endpoint-status');
+        if (!endpoints.length) {
+            if (status) status.textContent = '';
+            populateModelOptions();
+            renderFallbackList();
+            return;
+        }
+        if (status) status.textContent = 'Discovering models...';
+        const results = await ApiService.discoverEndpointModels();
+        populateModelOptions();
+        renderFallbackList();
+        if (status) {
+            status.textContent = results.map(r => r.error
+                ? `${r.name}: unreachable (${r.error})`
+                : `${r.name}: ${r.count} model${r.count === 1 ? '' : 's'}`).join(' · ');
+        }
+    }
+
+    /**
+     * Shows the record/replay state and which buttons apply to it
+     * @param {string} [message] - Extra text shown after the state
+     */
+    function renderReplayStatus(message = '') {
+        const status = document.getElementById('replay-status');
+        if (!status) return;
+        const state = ReplayService.getStatus();
+        document.getElementById('record-toggle').textContent = state.mode === 'recording' ? 'Stop recording and download' : 'Start recording';
+        document.getElementById('record-toggle').disabled = state.mode === 'replaying';
+        document.getElementById('replay-load').disabled = state.mode === 'recording';
+        document.getElementById('replay-stop').hidden = state.mode !== 'replaying';
+        let text = '';
+        if (state.mode === 'recording') {
+            text = `Recording: ${state.recordedCalls} model response${state.recordedCalls === 1 ? '' : 's'} and ${state.recordedPages} page${state.recordedPages === 1 ? '' : 's'} so far.`;
+        } else if (state.mode === 'replaying') {
+            text = `Replaying: ${state.replayedCalls} of ${state.totalCalls} recorded responses used` +
+                (state.mismatches.length ? `, ${state.mismatches.length} request${state.mismatches.length === 1 ? '' : 's'} differed from the recording.` : '.');
+        }
+        status.textContent = [text, message].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Starts recording, or stops it and downloads the fixture
+     */
+    function toggleRecording() {
+        if (ReplayService.getStatus().mode !== 'recording') {
+            ReplayService.startRecording();
+            renderReplayStatus('Send messages as usual, then stop to download the fixture.');
+            return;
+        }
+        const fixture = ReplayService.stopRecording();
+        const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `replay-fixture-${fixture.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+        renderReplayStatus(`Saved ${fixture.llm.length} model responses and ${Object.keys(fixture.pages).length} pages.`);
+    }
+
+    /**
+     * Loads the picked fixture and selects the replay model
+     * @returns {Promise<void>}
+     */
+    async function loadReplayFixture() {
+        const input = document.getElementById('replay-file');
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!file) return;
+        try {
+            const model = ReplayService.startReplay(await file.text());
+            populateModelOptions();
+            renderFallbackList();
+            document.getElementById('model-select').value = model;
+            switchParamsModel();
+            renderReplayStatus('Save to answer with the "Replay fixture" model.');
+        } catch (err) {
+            renderReplayStatus(`Could not load ${file.name}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Stops replaying and removes the replay model from the list
+     */
+    function stopReplay() {
+        ReplayService.stopReplay();
+        populateModelOptions();
+        renderFallbackList();
+        renderReplayStatus();
+    }
+
+    /**
+     * Renders the configured endpoints with remove buttons
+     */
+    function renderEndpointList() {
+        const list = document.getElementById('endpoint-list');
+        if (!list) return;
+        list.innerHTML = '';
+        endpoints.forEach(ep => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${ep.name} — ${ep.baseUrl}`;
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'settings-modal__button';
+            removeBtn.textContent = 'Remove';
+            removeBtn.setAttribute('aria-label', `Remove endpoint ${ep.name}`);
+            removeBtn.addEventListener('click', () => {
+                endpoints = endpoints.filter(e => e.id !== ep.id);
+                Utils.saveToStorage('chat_endpoints', endpoints);
+                renderEndpointList();
+                applyEndpoints();
+            });
+            item.appendChild(label);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Adds an endpoint from the settings form
+     */
+    function addEndpoint() {
+        const nameInput = document.getElementById('endpoint-name');
+        const urlInput = document.getElementById('endpoint-base-url');
+        const keyInput = document.getElementById('endpoint-api-key');
+        const headersInput = document.getElementById('endpoint-headers');
+        const nativeToolsInput = document.getElementById('endpoint-native-tools');
+        const status = document.getElementById('endpoint-status');
+        const name = nameInput.value.trim();
+        const baseUrl = urlInput.value.trim().replace(/\/+$/, '');
+        if (!name || !/^https?:\/\//.test(baseUrl)) {
+            status.textContent = 'A name and an http(s) base URL are required.';
+            return;
+        }
+        const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'endpoint';
+        let id = baseId;
+        for (let i = 2; endpoints.some(e => e.id === id); i++) id = `${baseId}-${i}`;
+        endpoints.push({
+            id,
+            name,
+            baseUrl,
+            apiKey: keyInput.value.trim(),
+            headers: parseHeaderLines(headersInput.value),
+            nativeTools: nativeToolsInput.checked
+        });
+        Utils.saveToStorage('chat_endpoints', endpoints);
+        nameInput.value = '';
+        urlInput.value = '';
+        keyInput.value = '';
+        headersInput.value = '';
+        nativeToolsInput.checked = false;
+        renderEndpointList();
+        applyEndpoints();
+    }
+
+    /**
+     * Summarizes a proxy's health for the proxy list
+     * @param {Object} proxy - A proxy from ProxyManager.list()
+     * @returns {string}
+     */
+    function describeProxyHealth(proxy) {
+        const { successes, failures, latencyMs, openUntil } = proxy.health;
+        if (proxy.open) return `skipped until ${new Date(openUntil).toLocaleTimeString()}`;
+        if (!successes && !failures) return 'not used yet';
+        return `${successes} ok, ${failures} failed${latencyMs !== null ? `, ~${latencyMs} ms` : ''}`;
+    }
+
+    /**
+     * Renders the proxy list with an enable toggle per proxy and Remove for added ones
+     */
+    function renderProxyList() {
+        const list = document.getElementById('proxy-list');
+        if (!list) return;
+        list.innerHTML = '';
+        ProxyManager.list().forEach(proxy => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'settings-modal__label';
+            label.title = proxy.template;
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.className = 'settings-modal__checkbox';
+            toggle.checked = proxy.enabled;
+            toggle.addEventListener('change', () => {
+                ProxyManager.setEnabled(proxy.id, toggle.checked);
+                renderProxyList();
+            });
+            label.appendChild(toggle);
+            label.appendChild(document.createTextNode(` ${proxy.name} — ${describeProxyHealth(proxy)}`));
+            item.appendChild(label);
+            if (!proxy.builtIn) {
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'settings-modal__button';
+                removeBtn.textContent = 'Remove';
+                removeBtn.setAttribute('aria-label', `Remove proxy ${proxy.name}`);
+                removeBtn.addEventListener('click', () => {
+                    ProxyManager.removeProxy(proxy.id);
+                    renderProxyList();
+                });
+                item.appendChild(removeBtn);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Adds a proxy from the settings form
+     */
+    function addProxy() {
+        const nameInput = document.getElementById('proxy-name');
+        const templateInput = document.getElementById('proxy-template');
+        const status = document.getElementById('proxy-status');
+        try {
+            ProxyManager.addProxy({ name: nameInput.value, template: templateInput.value });
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        nameInput.value = '';
+        templateInput.value = '';
+        status.textContent = '';
+        renderProxyList();
+    }
+
+    /**
+     * Shows the documents in the library with a Remove button each
+     */
+    async function renderLibraryList() {
+        const list = document.getElementById('library-list');
+        const status = document.getElementById('library-status');
+        if (!list) return;
+        let docs;
+        try {
+            docs = await DocumentLibrary.listDocuments();
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        list.innerHTML = '';
+        if (!docs.length) {
+            const empty = document.createElement('li');
+            empty.className = 'settings-modal__hint';
+            empty.textContent = 'No documents yet.';
+            list.appendChild(empty);
+        }
+        docs.forEach(doc => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.className = 'settings-modal__label';
+            label.textContent = `${doc.name} — ${doc.preview}, ${doc.chunkCount} passage${doc.chunkCount === 1 ? '' : 's'}`;
+            item.appendChild(label);
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'settings-modal__button';
+            removeBtn.textContent = 'Remove';
+            removeBtn.setAttribute('aria-label', `Remove ${doc.name} from the library`);
+            removeBtn.addEventListener('click', async () => {
+                try {
+                    await DocumentLibrary.removeDocument(doc.id);
+                    status.textContent = `Removed ${doc.name}.`;
+                } catch (err) {
+                    status.textContent = `Could not remove ${doc.name}: ${err.message}`;
+                }
+                renderLibraryList();
+            });
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Adds the files picked in the library file input, one at a time
+     */
+    async function addLibraryFiles() {
+        const input = document.getElementById('library-file');
+        const status = document.getElementById('library-status');
+        const files = Array.from(input.files || []);
+        input.value = '';
+        const failures = [];
+        let added = 0;
+        for (const file of files) {
+            status.textContent = `Indexing ${file.name}...`;
+            try {
+                await DocumentLibrary.addFile(file);
+                added++;
+            } catch (err) {
+                failures.push(`${file.name}: ${err.message}`);
+            }
+        }
+        status.textContent = [added ? `Added ${added} document${added === 1 ? '' : 's'}.` : '', ...failures].filter(Boolean).join(' ');
+        renderLibraryList();
+    }
 
     /**
      * Creates and attaches the settings modal
@@ -26,6 +663,8 @@ const SettingsController = (function() {
         // Create modal from template
         settingsModal = Utils.createFromTemplate('settings-modal-template');
         document.body.appendChild(settingsModal);
+        populateModelOptions();
+        renderEndpointList();
         
         // Set initial values based on current settings
         document.getElementById('streaming-toggle').checked = settings.streaming;
@@ -34,10 +673,31 @@ const SettingsController = (function() {
         document.getElementById('model-select').value = settings.selectedModel;
         document.getElementById('dark-mode-toggle').checked = settings.darkMode;
         document.getElementById('debug-toggle').checked = settings.debug;
+        document.getElementById('anthropic-api-key').value = anthropicSettings.apiKey;
+        document.getElementById('anthropic-base-url').value = anthropicSettings.baseUrl;
         
         // Add event listeners
         document.getElementById('save-settings').addEventListener('click', saveSettings);
         document.getElementById('close-settings').addEventListener('click', hideSettingsModal);
+        document.getElementById('add-endpoint').addEventListener('click', addEndpoint);
+        document.getElementById('refresh-models').addEventListener('click', applyEndpoints);
+        document.getElementById('model-select').addEventListener('change', switchParamsModel);
+        document.getElementById('preset-select').addEventListener('change', () => fillParamFields(readParamFields().params));
+        document.getElementById('save-preset').addEventListener('click', savePreset);
+        document.getElementById('add-fallback').addEventListener('click', addFallback);
+        document.getElementById('delete-preset').addEventListener('click', deletePreset);
+        document.getElementById('record-toggle').addEventListener('click', toggleRecording);
+        document.getElementById('replay-load').addEventListener('click', () => document.getElementById('replay-file').click());
+        document.getElementById('replay-file').addEventListener('change', loadReplayFixture);
+        document.getElementById('replay-stop').addEventListener('click', stopReplay);
+        document.getElementById('library-add').addEventListener('click', () => document.getElementById('library-file').click());
+        document.getElementById('library-file').addEventListener('change', addLibraryFiles);
+        document.getElementById('add-proxy').addEventListener('click', addProxy);
+        document.getElementById('reset-proxy-health').addEventListener('click', () => {
+            ProxyManager.resetHealth();
+            renderProxyList();
+        });
+        renderReplayStatus();
         
         // Close when clicking outside the modal content
         settingsModal.addEventListener('click', function(event) {
@@ -88,8 +748,26 @@ const SettingsController = (function() {
         document.getElementById('cot-toggle').checked = settings.enableCoT;
         document.getElementById('show-thinking-toggle').checked = settings.showThinking;
         document.getElementById('model-select').value = settings.selectedModel;
+        populateModelOptions();
+        renderReplayStatus();
         document.getElementById('dark-mode-toggle').checked = settings.darkMode;
         document.getElementById('debug-toggle').checked = settings.debug;
+        modelParamsDraft = JSON.parse(JSON.stringify(modelParams));
+        paramsModel = document.getElementById('model-select').value;
+        populatePresetOptions(settings.generationPreset);
+        fillParamFields(modelParamsDraft[paramsModel]);
+        fallbackDraft = [...(settings.fallbackModels || [])];
+        renderFallbackList();
+        document.getElementById('generation-status').textContent = '';
+        BUDGET_FIELDS.forEach(field => {
+            document.getElementById(field.id).value = settings.readingBudget[field.key];
+        });
+        document.getElementById('reading-budget-status').textContent = '';
+        fillSearchFields();
+        renderProxyList();
+        document.getElementById('proxy-status').textContent = '';
+        renderLibraryList();
+        document.getElementById('library-status').textContent = '';
         // Focus first element
         setTimeout(() => {
             const modalContent = settingsModal.querySelector('.settings-modal__content');
@@ -117,12 +795,43 @@ const SettingsController = (function() {
      * Saves settings from the modal
      */
     function saveSettings() {
+        const { params, error } = readParamFields();
+        if (error) {
+            document.getElementById('generation-status').textContent = error;
+            return;
+        }
+        const budget = readBudgetFields();
+        if (budget.error) {
+            document.getElementById('reading-budget-status').textContent = budget.error;
+            return;
+        }
+        const search = readSearchFields();
+        if (search.error) {
+            document.getElementById('search-status').textContent = search.error;
+            return;
+        }
+        modelParamsDraft[paramsModel] = params;
+        modelParams = {};
+        Object.keys(modelParamsDraft).forEach(model => {
+            if (Object.keys(modelParamsDraft[model]).length) modelParams[model] = modelParamsDraft[model];
+        });
+        Utils.saveToStorage('chat_model_params', modelParams);
+
         const streamingEnabled = document.getElementById('streaming-toggle').checked;
         const cotEnabled = document.getElementById('cot-toggle').checked;
         const showThinkingEnabled = document.getElementById('show-thinking-toggle').checked;
         const selectedModelValue = document.getElementById('model-select').value;
         const darkModeEnabled = document.getElementById('dark-mode-toggle').checked;
         const debugEnabled = document.getElementById('debug-toggle').checked;
+        anthropicSettings = {
+            apiKey: document.getElementById('anthropic-api-key').value.trim(),
+            baseUrl: document.getElementById('anthropic-base-url').value.trim()
+        };
+        Utils.saveToStorage('chat_anthropic', anthropicSettings);
+        ApiService.configureAnthropic(anthropicSettings);
+        searchSettings = search.searchSettings;
+        Utils.saveToStorage('chat_search', searchSettings);
+        ToolsService.configureSearch(searchSettings);
         
         settings = {
             ...settings,
@@ -131,8 +840,12 @@ const SettingsController = (function() {
             showThinking: showThinkingEnabled,
             selectedModel: selectedModelValue,
             darkMode: darkModeEnabled,
-            debug: debugEnabled
+            debug: debugEnabled,
+            generationPreset: document.getElementById('preset-select').value,
+            fallbackModels: [...fallbackDraft],
+            readingBudget: budget.readingBudget
         };
+        applyGeneration();
         
         // Update light/dark mode class
         if (darkModeEnabled) {
@@ -164,6 +877,9 @@ const SettingsController = (function() {
                 selectedModel: 'gemini-2.0-flash', // Default model changed to Gemini 2.0 Flash
                 darkMode: true,
                 debug: true,
+                generationPreset: 'default',
+                fallbackModels: [],
+                readingBudget: { ...DEFAULT_READING_BUDGET },
                 ...savedSettings
             };
         } else {
@@ -173,12 +889,32 @@ const SettingsController = (function() {
                 showThinking: true,
                 selectedModel: 'gemini-2.0-flash', // Default model changed to Gemini 2.0 Flash
                 darkMode: true,
-                debug: true
+                debug: true,
+                generationPreset: 'default',
+                fallbackModels: [],
+                readingBudget: { ...DEFAULT_READING_BUDGET }
             };
         }
+        // Budgets saved before a field existed keep their values and take the default for the rest
+        settings.readingBudget = { ...DEFAULT_READING_BUDGET, ...(settings.readingBudget || {}) };
         
         // Apply settings to chat controller
         ChatController.updateSettings(settings);
+
+        customPresets = Utils.getFromStorage('chat_generation_presets') || {};
+        modelParams = Utils.getFromStorage('chat_model_params') || {};
+        if (!getPresets()[settings.generationPreset]) settings.generationPreset = 'default';
+        applyGeneration();
+
+        anthropicSettings = { apiKey: '', baseUrl: '', ...(Utils.getFromStorage('chat_anthropic') || {}) };
+        ApiService.configureAnthropic(anthropicSettings);
+        ToolsService.configureSearch({ ...searchSettings, ...(Utils.getFromStorage('chat_search') || {}) });
+        // Keep what the tools accepted, which drops engines and keys that are gone (Bing)
+        searchSettings = ToolsService.getSearchConfig();
+
+        // Register custom endpoints and discover their models in the background
+        endpoints = Utils.getFromStorage('chat_endpoints') || [];
+        applyEndpoints();
         
         // Set up settings button
         document.getElementById('settings-button').addEventListener('click', showSettingsModal);
@@ -0,0 +1,245 @@
+/**
+ * ./js/tool-registry.js
+ * Tool Registry Module - The tools the agent can call
+ * Each tool is registered with a JSON-schema description of its arguments. The registry
+ * builds the native tool declarations and the text-protocol system prompt from those
+ * schemas, and checks a call's arguments before its handler runs. Scripts loaded after
+ * this one can add their own tools:
+ *
+ *   ToolRegistry.register({
+ *       name: 'lookup_ticket',
+ *       description: 'Return the status of a support ticket.',
+ *       parameters: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+ *       handler: async (args, context) => `Ticket ${args.id}: open`,
+ *       render: (result, args) => `🎫 ${result}`
+ *   });
+ */
+const ToolRegistry = (function() {
+    'use strict';
+
+    const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/;
+    const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+    // Registered tools by name, in registration order
+    const tools = new Map();
+
+    /**
+     * Registers a tool, replacing any tool with the same name
+     * @param {Object} tool - The tool:
+     *   - name: Identifier the model calls (letters, digits, _ and -)
+     *   - description: What the tool does, shown to the model
+     *   - parameters: JSON schema of the arguments ({ type: 'object', properties, required })
+     *   - handler: async (args, context) => string | { content, followUp, details }; context is { signal, question }.
+     *     details is passed on to render, for results the chat shows as more than their text
+     *   - render: (optional) (result, args, details) => string | Element | void, to show the result in the chat
+     *   - guidance: (optional) Extra instruction lines for the system prompt
+     *   - examples: (optional) [{ question, arguments }] used in the system prompt
+     * @throws {Error} - When a required field is missing or malformed
+     */
+    function register(tool) {
+        if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+            throw new Error('Invalid tool: name must be letters, digits, _ or - and start with a letter or _');
+        }
+        if (typeof tool.description !== 'string' || !tool.description.trim()) {
+            throw new Error(`Invalid tool "${tool.name}": description is required`);
+        }
+        if (!tool.parameters || tool.parameters.type !== 'object') {
+            throw new Error(`Invalid tool "${tool.name}": parameters must be a JSON schema of type "object"`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Invalid tool "${tool.name}": handler must be a function`);
+        }
+        if (tool.render !== undefined && typeof tool.render !== 'function') {
+            throw new Error(`Invalid tool "${tool.name}": render must be a function`);
+        }
+        tools.set(tool.name, {
+            name: tool.name,
+            description: tool.description.trim(),
+            parameters: { properties: {}, required: [], ...tool.parameters },
+            handler: tool.handler,
+            render: tool.render || null,
+            guidance: tool.guidance || '',
+            examples: tool.examples || []
+        });
+    }
+
+    /**
+     * Removes a tool
+     * @param {string} name - The tool name
+     */
+    function unregister(name) {
+        tools.delete(name);
+    }
+
+    /**
+     * Gets a registered tool
+     * @param {string} name - The tool name
+     * @returns {Object|null} - The tool, or null when none has that name
+     */
+    function get(name) {
+        return tools.get(name) || null;
+    }
+
+    /**
+     * Checks whether a tool is registered
+     * @param {string} name - The tool name
+     * @returns {boolean}
+     */
+    function has(name) {
+        return tools.has(name);
+    }
+
+    /**
+     * Lists the registered tool names
+     * @returns {Array<string>}
+     */
+    function list() {
+        return Array.from(tools.keys());
+    }
+
+    /**
+     * Gets the tool declarations sent to providers with native function calling
+     * @returns {Array<{name:string,description:string,parameters:Object}>}
+     */
+    function getDefinitions() {
+        return Array.from(tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }));
+    }
+
+    // Helper: JSON-schema type of a value ('integer' for whole numbers)
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    // Helper: Checks one value against a schema, collecting messages into errors
+    function checkValue(schema, value, path, errors) {
+        const actual = typeOf(value);
+        if (schema.type && SCHEMA_TYPES.includes(schema.type)) {
+            const matches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+            if (!matches) {
+                errors.push(`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+                return;
+            }
+        }
+        if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+        if (typeof value === 'number') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+            if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+        if (typeof value === 'string') {
+            if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+            if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (actual === 'array' && schema.items) {
+            value.forEach((item, i) => checkValue(schema.items, item, `${path}[${i}]`, errors));
+        }
+        if (actual === 'object' && (schema.properties || schema.required)) {
+            checkObject(schema, value, path, errors);
+        }
+    }
+
+    // Helper: Checks required, declared and (when disallowed) undeclared properties of an object
+    function checkObject(schema, value, path, errors) {
+        const properties = schema.properties || {};
+        const prefix = path ? `${path}.` : '';
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) errors.push(`${prefix}${key} is required`);
+        });
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                if (value[key] !== undefined && value[key] !== null) checkValue(properties[key], value[key], `${prefix}${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${prefix}${key} is not a known argument`);
+            }
+        });
+    }
+
+    /**
+     * Checks a call's arguments against the tool's schema
+     * @param {string} name - The tool name
+     * @param {*} args - The arguments the model sent
+     * @returns {{valid:boolean,errors:Array<string>}}
+     */
+    function validateArgs(name, args) {
+        const tool = tools.get(name);
+        if (!tool) return { valid: false, errors: [`unknown tool "${name}"`] };
+        if (typeOf(args) !== 'object') return { valid: false, errors: ['arguments must be a JSON object'] };
+        const errors = [];
+        checkObject(tool.parameters, args, '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Builds a one-line signature such as read_url(url[, start, length])
+     * @param {Object} tool - The registered tool
+     * @returns {string}
+     */
+    function formatSignature(tool) {
+        const keys = Object.keys(tool.parameters.properties || {});
+        const required = keys.filter(key => tool.parameters.required.includes(key));
+        const optional = keys.filter(key => !tool.parameters.required.includes(key));
+        const optionalPart = optional.length ? `${required.length ? '[, ' : '['}${optional.join(', ')}]` : '';
+        return `${tool.name}(${required.join(', ')}${optionalPart})`;
+    }
+
+    // Helper: Example arguments for a tool, from its first example or its schema
+    function exampleArguments(tool) {
+        if (tool.examples.length && tool.examples[0].arguments) return tool.examples[0].arguments;
+        const args = {};
+        tool.parameters.required.forEach(key => {
+            const schema = tool.parameters.properties[key] || {};
+            args[key] = schema.type === 'integer' || schema.type === 'number' ? 0 : schema.type === 'boolean' ? true : `your ${key}`;
+        });
+        return args;
+    }
+
+    /**
+     * Builds the system prompt describing the registered tools and the JSON text protocol
+     * used by models without native function calling
+     * @returns {string}
+     */
+    function buildSystemPrompt() {
+        const all = Array.from(tools.values());
+        const toolLines = all.map((tool, i) => `${i + 1}. ${formatSignature(tool)} → ${tool.description}`);
+        const guidanceLines = all.filter(tool => tool.guidance).map(tool => `- ${tool.guidance}`);
+        const formatLines = all.map(tool => `  ${JSON.stringify({ tool: tool.name, arguments: exampleArguments(tool) })}`);
+        const exampleLines = all.flatMap(tool => tool.examples
+            .filter(example => example.question)
+            .map(example => `Q: ${example.question}\nA: ${JSON.stringify({ tool: tool.name, arguments: example.arguments || {} })}`));
+        return `You are an AI assistant with access to ${all.length} external tool${all.length === 1 ? '' : 's'}. You MUST use these tools to answer any question that requires up-to-date facts, statistics, or detailed content. Do NOT attempt to answer such questions from your own knowledge. The tools are:
+
+${toolLines.join('\n')}
+
+**INSTRUCTIONS:**
+- Call tools through the function-calling interface whenever it is available to you.
+- If function calling is NOT available and you need information from the web, you MUST output a tool call as a single JSON object, and NOTHING else. Do NOT include any explanation, markdown, or extra text.
+- After receiving a tool result, reason step by step (Chain of Thought) and decide if you need to call another tool. If so, make another tool call. Only provide your final answer after all necessary tool calls are complete.
+${guidanceLines.length ? guidanceLines.join('\n') + '\n' : ''}- If you do NOT know the answer, or are unsure, ALWAYS call a tool first.
+- When calling a tool without function calling, output EXACTLY a JSON object and nothing else, in this format:
+${formatLines.join('\n')}
+- Do NOT output any other text, markdown, or explanation with the tool call JSON.
+- After receiving the tool result, continue reasoning step by step and then provide your answer.
+${exampleLines.length ? `\n**EXAMPLES:**\n${exampleLines.join('\n\n')}\n` : ''}
+If you understand, follow these instructions for every relevant question. Do NOT answer from your own knowledge if a tool call is needed. Wait for the tool result before continuing.`;
+    }
+
+    // Public API
+    return {
+        register,
+        unregister,
+        get,
+        has,
+        list,
+        getDefinitions,
+        validateArgs,
+        buildSystemPrompt
+    };
+})();
@@ -5,37 +5,55 @@
 const ToolsService = (function() {
     'use strict';
 
-    // Proxy list for bypassing CORS
-    // Each object contains:
-    //   - name: Unique identifier
-    //   - formatUrl: Function to generate the proxy URL (uses encodeURIComponent unless raw URL is required)
-    //   - parseResponse: Async function to parse the response with error handling
-    //   - options: (optional) fetch options
-    const proxies = [
-      { name: 'CodeTabs',          formatUrl: url => `https://api.codetabs.com/v1/proxy?quest=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'AllOrigins (win)',  formatUrl: url => `https://api.allorigins.win/raw?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'AllOrigins (cf)',   formatUrl: url => `https://api.allorigins.cf/raw?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'AllOrigins (pro)',  formatUrl: url => `https://api.allorigins.pro/raw?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'AllOrigins (app)',  formatUrl: url => `https://allorigins.appspot.com/raw?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'CORS Anywhere',     formatUrl: url => `https://cors-anywhere.herokuapp.com/${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'ThingProxy FB',     formatUrl: url => `https://thingproxy.freeboard.io/fetch/${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'ThingProxy PW',     formatUrl: url => `https://thingproxy.pw/fetch/${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'CORSProxy.io',      formatUrl: url => `https://corsproxy.io/?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'CORS.bridged.cc',   formatUrl: url => `https://cors.bridged.cc/?uri=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'YACDN',             formatUrl: url => `https://yacdn.org/proxy/${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'JSONP afeld',       formatUrl: url => `https://jsonp.afeld.me/?url=${(url)}`, parseResponse: async res => { try { const json = await res.json(); return json.contents; } catch (e) { return `Error parsing JSONP response: ${e.message}`; } } },
-      { name: 'CORS Proxy HTML',   formatUrl: url => `https://cors-proxy.htmldriven.com/?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'AllOrigins .net',   formatUrl: url => `https://api.allorigins.net/raw?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'AllOrigins .io',    formatUrl: url => `https://api.allorigins.io/raw?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'AllOrigins .eu',    formatUrl: url => `https://api.allorigins.eu/raw?url=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'ProxyCORS',         formatUrl: url => `https://api.codetabs.com/v1/proxy?quest=${(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'RainDrop CORS',     formatUrl: url => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } },
-      { name: 'DirectNoCORS',      formatUrl: url => url, parseResponse: async res => { try { return await res.text(); } catch (e) { return ''; } }, options: { mode: 'no-cors' } },
-      { name: 'FinalFallback',     formatUrl: url => url, parseResponse: async res => { try { return await res.text(); } catch (e) { return `Error parsing response: ${e.message}`; } } }
-    ];
-
-    // Proxy health tracking
-    const proxyHealth = new Map(proxies.map(p => [p.name, 1]));
+    // Time allowed for one page fetch through one proxy
+    const PAGE_TIMEOUT = 15000;
+
+    // Optional hooks around page fetches (see ReplayService):
+    //   - replay(url): Async function returning the recorded text for url instead of fetching it
+    //   - record(url, text): Called with the text of every page fetched from the network
+    let pageHooks = null;
+
+    /**
+     * Sets or clears the page replay/record hooks
+     * @param {{replay:Function,record:Function}|null} hooks - Either function may be left out
+     */
+    function setPageHooks(hooks) {
+      pageHooks = hooks || null;
+    }
+
+    // Helper: Hands a fetched page to the record hook
+    function recordPage(url, text) {
+      if (pageHooks && pageHooks.record) pageHooks.record(url, text);
+    }
+
+    /**
+     * Fetches a page through the proxies from ProxyManager, best first, then directly as a last resort
+     * @param {string} url - The page URL
+     * @param {Object} options - { signal }
+     * @param {Function} read - async (response) => result; throw to move on to the next proxy
+     * @returns {Promise<*>} - What read returned for the first usable response
+     */
+    async function fetchPage(url, options, read) {
+      for (const proxy of ProxyManager.getCandidates()) {
+        Utils.throwIfAborted(options.signal);
+        try {
+          return await ProxyManager.fetchThrough(proxy, url, { signal: options.signal }, PAGE_TIMEOUT, read);
+        } catch (err) {
+          if (Utils.isAbortError(err)) throw err;
+          console.warn(`Proxy ${proxy.name} failed: ${err.message}`);
+        }
+      }
+      // Sites that allow cross-origin requests need no proxy
+      try {
+        const response = await Utils.fetchWithTimeout(url, { signal: options.signal }, PAGE_TIMEOUT);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await read(response);
+      } catch (err) {
+        if (Utils.isAbortError(err)) throw err;
+        console.warn(`Direct fetch failed: ${err.message}`);
+      }
+      throw new Error('All proxies failed');
+    }
 
     function getFinalUrl(rawUrl) {
       try {
@@ -47,113 +65,359 @@ const ToolsService = (function() {
       return rawUrl;
     }
 
+    // Search backends. DuckDuckGo's HTML page is fetched through the CORS proxies. The JSON APIs are
+    // called from the page, so they must allow cross-origin requests: Brave never does and SearXNG only
+    // when its instance adds the header. Both can go through a proxy the user runs (searchConfig.apiProxy,
+    // a template like the CORS proxies'); the public proxies are not used, since the request carries keys.
+    //   - label: Name shown in settings and errors
+    //   - requires: (JSON APIs) searchConfig fields that must be set before the engine can be used
+    //   - setupHint: What to fill in when one is missing
+    //   - corsHint: (JSON APIs) How to get past a request the browser blocked
+    //   - request: (query, config) => { url, headers }
+    //   - parse: Function mapping the JSON response to [{ title, url, snippet }]
+    const SEARCH_ENGINES = {
+      duckduckgo: { label: 'DuckDuckGo' },
+      searxng: {
+        label: 'SearXNG',
+        requires: ['searxngUrl'],
+        setupHint: 'set the SearXNG instance URL in Settings',
+        corsHint: 'The instance must send an Access-Control-Allow-Origin header (server.default_http_headers in its settings.yml), or set a search API proxy in Settings.',
+        request: (query, config) => ({
+          url: `${config.searxngUrl.replace(/\/+$/, '')}/search?q=${encodeURIComponent(query)}&format=json`,
+          headers: { 'Accept': 'application/json' }
+        }),
+        parse: data => (data.results || []).map(r => ({ title: r.title || r.url, url: r.url, snippet: r.content || '' }))
+      },
+      brave: {
+        label: 'Brave Search',
+        requires: ['braveApiKey', 'apiProxy'],
+        setupHint: 'add a Brave Search API key and a search API proxy in Settings (Brave does not accept requests from browsers)',
+        corsHint: 'Check that the search API proxy in Settings is running and forwards the X-Subscription-Token header.',
+        request: (query, config) => ({
+          url: `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}`,
+          headers: { 'Accept': 'application/json', 'X-Subscription-Token': config.braveApiKey }
+        }),
+        parse: data => ((data.web && data.web.results) || []).map(r => ({ title: stripTags(r.title || r.url), url: r.url, snippet: stripTags(r.description || '') }))
+      }
+    };
+    const SEARCH_TIMEOUT = 15000;
+
+    // Default engine, the URL and key of the JSON backends and the proxy for them, set from the settings
+    let searchConfig = { engine: 'duckduckgo', searxngUrl: '', braveApiKey: '', apiProxy: '' };
+
     /**
-     * Performs a search via the specified engine (duckduckgo, google, bing), streams results as found.
-     * @param {string} query
-     * @param {function} onResult - Callback for each result as it's found
-     * @param {string} [engine] - Search engine: 'duckduckgo', 'google', or 'bing'
-     * @returns {Promise<Array<{title:string,url:string,snippet:string}>>}
+     * Sets the default search engine, the backend URL and key and the search API proxy
+     * @param {{engine:string,searxngUrl:string,braveApiKey:string,apiProxy:string}} config - apiProxy is a
+     *   template with {url} or {rawUrl}, or a prefix the raw URL is appended to
      */
-    async function webSearch(query, onResult, engine = 'duckduckgo') {
-      // Only DuckDuckGo is supported now
+    function configureSearch(config = {}) {
+      let apiProxy = (config.apiProxy || '').trim();
+      if (apiProxy && !apiProxy.includes('{url}') && !apiProxy.includes('{rawUrl}')) apiProxy += '{rawUrl}';
+      searchConfig = {
+        engine: SEARCH_ENGINES[config.engine] ? config.engine : 'duckduckgo',
+        searxngUrl: (config.searxngUrl || '').trim(),
+        braveApiKey: (config.braveApiKey || '').trim(),
+        apiProxy
+      };
+    }
+
+    /**
+     * Gets the current search configuration
+     * @returns {Object} - A copy of the configuration
+     */
+    function getSearchConfig() {
+      return { ...searchConfig };
+    }
+
+    /**
+     * Lists the search engines and whether each one can be used with the given configuration
+     * @param {Object} [config] - Configuration to check (defaults to the current one)
+     * @returns {Array<{id:string,label:string,configured:boolean,setupHint:string}>}
+     */
+    function listSearchEngines(config = searchConfig) {
+      return Object.keys(SEARCH_ENGINES).map(id => {
+        const engine = SEARCH_ENGINES[id];
+        return { id, label: engine.label, configured: (engine.requires || []).every(key => !!config[key]), setupHint: engine.setupHint || '' };
+      });
+    }
+
+    // Helper: Plain text of an HTML fragment (Brave marks query terms with <strong>)
+    function stripTags(html) {
+      return new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+    }
+
+    // Helper: Parses DuckDuckGo's HTML results page; null when the page has no results
+    // container (#links), i.e. it is not a DuckDuckGo results page at all
+    function parseDuckDuckGoResults(htmlString) {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(htmlString, 'text/html');
+      const container = doc.getElementById('links');
+      if (!container) return null;
+      const items = container.querySelectorAll('div.result');
+      const results = [];
+      items.forEach(item => {
+        const anchor = item.querySelector('a.result__a');
+        if (!anchor) return;
+        const href = getFinalUrl(anchor.href);
+        const title = anchor.textContent.trim();
+        const snippetElem = item.querySelector('a.result__snippet, div.result__snippet');
+        const snippet = snippetElem ? snippetElem.textContent.trim() : '';
+        results.push({ title, url: href, snippet });
+      });
+      return results;
+    }
+
+    // Helper: Searches DuckDuckGo's HTML page through the proxies
+    async function searchDuckDuckGo(query, options) {
       const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
-      const parseResults = function(htmlString) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(htmlString, 'text/html');
-        const container = doc.getElementById('links');
-        if (!container) return [];
-        const items = container.querySelectorAll('div.result');
-        const results = [];
-        items.forEach(item => {
-          const anchor = item.querySelector('a.result__a');
-          if (!anchor) return;
-          const href = getFinalUrl(anchor.href);
-          const title = anchor.textContent.trim();
-          const snippetElem = item.querySelector('a.result__snippet, div.result__snippet');
-          const snippet = snippetElem ? snippetElem.textContent.trim() : '';
-          results.push({ title, url: href, snippet });
-        });
+      if (pageHooks && pageHooks.replay) return parseDuckDuckGoResults(await pageHooks.replay(searchUrl)) || [];
+      return fetchPage(searchUrl, options, async response => {
+        const htmlString = await response.text();
+        const results = parseDuckDuckGoResults(htmlString);
+        // A proxy returning its own error page has no results container; try the next one.
+        // A results page with nothing on it is a valid answer and must not count against the proxy.
+        if (!results) throw new Error('Not a DuckDuckGo results page');
+        recordPage(searchUrl, htmlString);
         return results;
-      };
-      // Sort proxies by health score
-      const sortedProxies = proxies.slice().sort((a, b) => (proxyHealth.get(b.name) || 0) - (proxyHealth.get(a.name) || 0));
-      let partialResults = [];
-      for (const proxy of sortedProxies) {
+      });
+    }
+
+    // Helper: Queries one of the JSON search APIs
+    async function searchJsonApi(engine, query, options) {
+      const { url, headers } = engine.request(query, searchConfig);
+      let text;
+      if (pageHooks && pageHooks.replay) {
+        text = await pageHooks.replay(url);
+      } else {
+        const target = searchConfig.apiProxy ? ProxyManager.formatUrl({ template: searchConfig.apiProxy }, url) : url;
+        let response;
         try {
-          const response = await fetch(proxy.formatUrl(searchUrl));
-          if (!response.ok) throw new Error(`HTTP ${response.status}`);
-          const htmlString = await proxy.parseResponse(response);
-          const results = parseResults(htmlString);
-          if (!results.length) throw new Error('No results');
-          results.forEach(result => { if (onResult) onResult(result); });
-          proxyHealth.set(proxy.name, (proxyHealth.get(proxy.name) || 1) + 2); // reward
-          return results;
+          response = await Utils.fetchWithTimeout(target, { headers, signal: options.signal }, SEARCH_TIMEOUT);
         } catch (err) {
-          proxyHealth.set(proxy.name, (proxyHealth.get(proxy.name) || 1) - 2); // penalize
-          if (partialResults.length) {
-            if (onResult) partialResults.forEach(r => onResult(r));
-            return partialResults;
+          // The browser reports a blocked cross-origin request as a bare network error
+          if (err.name === ApiErrors.ERROR_NAMES.network) {
+            throw new Error(`${engine.label} could not be reached from the browser (${err.message}). ${engine.corsHint}`);
           }
+          throw err;
+        }
+        text = await response.text();
+        if (!response.ok) {
+          const hint = engine === SEARCH_ENGINES.searxng && response.status === 403
+            ? ' (enable the "json" format under search.formats in the instance\'s settings.yml)'
+            : '';
+          throw new Error(`${engine.label} returned HTTP ${response.status}${hint}`);
         }
       }
-      throw new Error('All proxies failed');
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`${engine.label} did not return JSON`);
+      }
+      const results = engine.parse(data).filter(r => r.url);
+      if (!(pageHooks && pageHooks.replay)) recordPage(url, text);
+      return results;
     }
 
     /**
-     * Fetches and returns text content from a URL via proxies.
-     * @param {string} url
-     * @returns {Promise<string>}
+     * Performs a search via the given engine, or the default one from the settings
+     * @param {string} query
+     * @param {function} onResult - Callback for each result as it's found
+     * @param {string} [engine] - 'duckduckgo', 'searxng' or 'brave'
+     * @param {Object} [options] - { signal } to stop the search
+     * @returns {Promise<Array<{title:string,url:string,snippet:string}>>}
+     * @throws {Error} - When the engine is unknown or not set up, or the search fails
      */
-    async function readUrl(url) {
-      for (const proxy of proxies) {
+    async function webSearch(query, onResult, engine, options = {}) {
+      const engineId = engine || searchConfig.engine;
+      const backend = SEARCH_ENGINES[engineId];
+      if (!backend) {
+        throw new Error(`Unknown search engine "${engineId}" (available: ${Object.keys(SEARCH_ENGINES).join(', ')})`);
+      }
+      if (backend.requires && !backend.requires.every(key => searchConfig[key])) {
+        throw new Error(`${backend.label} is not set up: ${backend.setupHint}`);
+      }
+      const results = backend.request ? await searchJsonApi(backend, query, options) : await searchDuckDuckGo(query, options);
+      results.forEach(result => { if (onResult) onResult(result); });
+      return results;
+    }
+
+    /**
+     * Extracts the readable text of an HTML page as Markdown of its main content
+     * @param {string} htmlString
+     * @returns {string}
+     */
+    function extractPageText(htmlString) {
+      return ContentExtractor.extractMainContent(htmlString).text;
+    }
+
+    // Content types read_url understands, by MIME type and then by file extension
+    const KIND_BY_EXTENSION = { pdf: 'pdf', json: 'json', xml: 'xml', rss: 'xml', atom: 'xml', txt: 'text', md: 'text', markdown: 'text', csv: 'text', log: 'text' };
+
+    // Helper: Document kind from the Content-Type header and the URL, or null when neither says
+    function detectKind(url, contentType) {
+      const type = (contentType || '').split(';')[0].trim().toLowerCase();
+      if (type === 'application/pdf') return 'pdf';
+      if (type === 'application/json' || type.endsWith('+json')) return 'json';
+      if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+      if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) return 'xml';
+      if (type.startsWith('text/')) return 'text';
+      let extension = '';
+      try {
+        extension = new URL(url).pathname.split('.').pop().toLowerCase();
+      } catch {}
+      return KIND_BY_EXTENSION[extension] || null;
+    }
+
+    // Helper: Document kind from the body, for responses without a useful type (many proxies send none)
+    function sniffKind(bytes, text) {
+      if (bytes && bytes.byteLength >= 5 && new TextDecoder().decode(bytes.slice(0, 5)) === '%PDF-') return 'pdf';
+      if (text === undefined) return null;
+      const head = text.trimStart().slice(0, 1000);
+      if (/^[[{]/.test(head)) {
         try {
-          const response = await fetch(proxy.formatUrl(url));
-          if (!response.ok) throw new Error(`HTTP ${response.status}`);
-          const htmlString = await proxy.parseResponse(response);
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(htmlString, 'text/html');
-          // Remove <script> and <style> elements
-          doc.querySelectorAll('script, style').forEach(el => el.remove());
-          // Extract text only from p, h1, h2, and h3 tags
-          const selectors = ['p', 'h1', 'h2', 'h3'];
-          const texts = [];
-          selectors.forEach(tag => {
-            doc.querySelectorAll(tag).forEach(el => {
-              const t = el.textContent.trim();
-              if (t) texts.push(t);
-            });
-          });
-          const resultText = texts.join('\n\n').trim();
-          return resultText;
-        } catch (err) {
-          console.warn(`Proxy ${proxy.name} failed: ${err.message}`);
+          JSON.parse(text);
+          return 'json';
+        } catch {}
+      }
+      if (/^<\?xml/i.test(head) && !/<html[\s>]/i.test(head)) return 'xml';
+      return /<[a-z!][^>]*>/i.test(head) ? 'html' : 'text';
+    }
+
+    // Helper: Joins PDF pages with [Page N] markers, noting where each page starts and ends in the text
+    function joinPdfPages(pages) {
+      let text = '';
+      const offsets = pages.map(p => {
+        if (text) text += '\n\n';
+        const start = text.length;
+        text += `[Page ${p.page}]\n${p.text}`;
+        return { page: p.page, start, end: text.length };
+      });
+      return { text, pages: offsets };
+    }
+
+    // Helper: Text of a non-PDF document of the given kind
+    function extractText(kind, raw) {
+      if (kind === 'json') {
+        try {
+          return JSON.stringify(JSON.parse(raw), null, 2);
+        } catch {
+          return raw;
         }
       }
-      throw new Error('All proxies failed');
+      if (kind === 'xml') return ContentExtractor.xmlToText(raw);
+      if (kind === 'text') return raw.replace(/\r\n?/g, '\n').trim();
+      return extractPageText(raw);
+    }
+
+    // Helper: Builds the document for a PDF body
+    async function parsePdf(url, contentType, bytes) {
+      const { text, pages } = joinPdfPages(await DocumentParser.extractPdfPages(bytes));
+      if (!pages.some(p => p.end - p.start > `[Page ${p.page}]\n`.length)) {
+        throw new Error('The PDF has no extractable text (it may be scanned)');
+      }
+      return { url, kind: 'pdf', contentType, text, pages };
+    }
+
+    // Helper: Builds the document for a text body (HTML, JSON, XML or plain text)
+    function parseText(url, contentType, raw) {
+      const sniffed = sniffKind(null, raw);
+      let kind = detectKind(url, contentType) || sniffed;
+      // Proxies may send their own type (JSON for a wrapper, text/plain for anything): the body decides then
+      if ((kind === 'json' && sniffed !== 'json') || (kind === 'text' && /^text\/plain/i.test(contentType) && sniffed === 'html')) kind = sniffed;
+      return { url, kind, contentType, text: extractText(kind, raw), pages: null };
+    }
+
+    /**
+     * Fetches a URL via proxies and extracts its text according to its content type
+     * @param {string} url
+     * @param {Object} [options] - { signal } to stop walking the proxy list
+     * @returns {Promise<{url:string,kind:string,contentType:string,text:string,pages:Array<{page:number,start:number,end:number}>|null}>}
+     *   kind is 'html', 'pdf', 'json', 'xml' or 'text'; pages gives each PDF page's character range in text
+     */
+    async function readDocument(url, options = {}) {
+      if (pageHooks && pageHooks.replay) {
+        const recorded = await pageHooks.replay(url);
+        // PDFs are recorded already extracted, other documents as their raw text
+        if (recorded && typeof recorded === 'object') return { url, contentType: '', pages: null, ...recorded };
+        return parseText(url, '', recorded);
+      }
+      const result = await fetchPage(url, options, async response => {
+        const contentType = response.headers.get('content-type') || '';
+        // Read bytes first: a PDF is binary, everything else is text
+        const bytes = await response.arrayBuffer();
+        if (detectKind(url, contentType) === 'pdf' || sniffKind(bytes) === 'pdf') {
+          let doc;
+          try {
+            doc = await parsePdf(url, contentType, bytes);
+          } catch (err) {
+            // An unreadable PDF is not the proxy's fault, and other proxies would fetch the same file
+            return { error: err };
+          }
+          recordPage(url, { kind: doc.kind, contentType, text: doc.text, pages: doc.pages });
+          return doc;
+        }
+        const raw = new TextDecoder().decode(bytes);
+        recordPage(url, raw);
+        return parseText(url, contentType, raw);
+      });
+      if (result.error) throw result.error;
+      return result;
+    }
+
+    /**
+     * Fetches and returns text content from a URL via proxies.
+     * @param {string} url
+     * @param {Object} [options] - { signal } to stop walking the proxy list
+     * @returns {Promise<string>}
+     */
+    async function readUrl(url, options = {}) {
+      return (await readDocument(url, options)).text;
+    }
+
+    /**
+     * Splits a document's text into chunks and orders them by relevance to a question (BM25)
+     * @param {string} text - The document text
+     * @param {string} question - What the reader is looking for
+     * @param {number} chunkSize - Most characters per chunk
+     * @returns {Array<{start:number,end:number,score:number}>} - Chunks matching the question, best first,
+     *   then the others in page order with score 0
+     */
+    function rankChunks(text, question, chunkSize) {
+      const ranges = DocumentParser.chunkRanges(text, chunkSize);
+      const hits = SearchIndex.rank(ranges.map(range => text.slice(range.start, range.end)), question || '');
+      const matched = new Set(hits.map(hit => hit.index));
+      return hits.map(hit => ({ ...ranges[hit.index], score: hit.score }))
+        .concat(ranges.filter((range, i) => !matched.has(i)).map(range => ({ ...range, score: 0 })));
     }
 
     /**
      * Fetches Instant Answer from DuckDuckGo API.
      * @param {string} query - The search query.
+     * @param {Object} [options] - { signal } to abort the request
      * @returns {Promise<Object>} - The JSON response from DuckDuckGo Instant Answer API.
      */
-    async function instantAnswer(query) {
+    async function instantAnswer(query, options = {}) {
       const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&pretty=1`;
+      if (pageHooks && pageHooks.replay) return JSON.parse(await pageHooks.replay(url));
       let response;
       // Try via CORS proxy first to avoid CORS issues
       try {
-        response = await Utils.fetchWithProxyRetry(url, { method: 'GET' });
+        response = await Utils.fetchWithProxyRetry(url, { method: 'GET', signal: options.signal });
       } catch (proxyErr) {
+        if (Utils.isAbortError(proxyErr)) throw proxyErr;
         console.warn('Instant Answer proxy fetch failed, falling back to direct fetch:', proxyErr);
         // Fallback to direct fetch
-        response = await fetch(url);
+        response = await fetch(url, { signal: options.signal });
       }
       if (!response.ok) {
         const errText = await (response.text().catch(() => ''));    
         throw new Error(`Instant Answer API error ${response.status}: ${errText}`);
       }
-      return response.json();
+      const data = await response.json();
+      recordPage(url, JSON.stringify(data));
+      return data;
     }
 
-    return { webSearch, readUrl, instantAnswer };
+    return { webSearch, readUrl, readDocument, rankChunks, instantAnswer, setPageHooks, configureSearch, getSearchConfig, listSearchEngines };
 })(); 
\ No newline at end of file
@@ -15,6 +15,11 @@ const UIController = (function() {
     const urlOffsets = new Map();
     
     let summarizeBtn = null;
+
+    // Images and documents attached in the composer, sent with the next message
+    let pendingAttachments = [];
+    const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+    const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
     
     /**
      * Initializes the UI controller
@@ -38,14 +43,11 @@ const UIController = (function() {
             this.style.height = 'auto';
             this.style.height = Math.min(this.scrollHeight, 200) + 'px';
             // Enable/disable send button based on input
-            if (sendButton) {
-                sendButton.disabled = this.value.trim().length === 0;
-            }
+            updateSendButtonState();
         });
         // Set initial state of send button
-        if (sendButton) {
-            sendButton.disabled = messageInput.value.trim().length === 0;
-        }
+        updateSendButtonState();
+        setupAttachments();
         
         // Add global event delegation for thinking toggle buttons
         document.addEventListener('click', function(event) {
@@ -84,6 +86,162 @@ const UIController = (function() {
         }, 100);
     }
 
+    // Helper: The send button is usable with text or with attached images
+    function updateSendButtonState() {
+        const messageInput = document.getElementById('message-input');
+        const sendButton = document.getElementById('send-button');
+        if (sendButton && messageInput) {
+            sendButton.disabled = messageInput.value.trim().length === 0 && pendingAttachments.length === 0;
+        }
+    }
+
+    // Attach button, file picker and pasting images into the message input
+    function setupAttachments() {
+        const attachButton = document.getElementById('attach-button');
+        const fileInput = document.getElementById('attachment-input');
+        const messageInput = document.getElementById('message-input');
+        if (!attachButton || !fileInput) return;
+        attachButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            await addAttachmentFiles(Array.from(fileInput.files || []));
+            fileInput.value = '';
+        });
+        messageInput.addEventListener('paste', event => {
+            const files = Array.from(event.clipboardData?.items || [])
+                .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+                .map(item => item.getAsFile())
+                .filter(Boolean);
+            if (files.length) addAttachmentFiles(files);
+        });
+    }
+
+    /**
+     * Reads image files and parses documents into pending attachments
+     * @param {Array<File>} files - The picked or pasted files
+     */
+    async function addAttachmentFiles(files) {
+        for (const file of files) {
+            if (!file.type.startsWith('image/')) {
+                await addDocumentFile(file);
+                continue;
+            }
+            if (file.size > MAX_IMAGE_BYTES) {
+                showError(`${file.name} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`);
+                continue;
+            }
+            try {
+                const dataUrl = await Utils.readFileAsDataUrl(file);
+                pendingAttachments.push({
+                    type: 'image',
+                    name: file.name || 'pasted image',
+                    mimeType: file.type,
+                    data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+                });
+            } catch (err) {
+                showError(err.message);
+            }
+        }
+        renderAttachmentTray();
+    }
+
+    // Helper: Parses a PDF, text, Markdown or CSV file into a document attachment
+    async function addDocumentFile(file) {
+        if (!DocumentParser.getDocumentKind(file)) {
+            showError(`${file.name} is not an image or a supported document (PDF, text, Markdown or CSV).`);
+            return;
+        }
+        if (file.size > MAX_DOCUMENT_BYTES) {
+            showError(`${file.name} is larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB.`);
+            return;
+        }
+        try {
+            const parsed = await DocumentParser.parseFile(file);
+            pendingAttachments.push({
+                type: 'document',
+                name: parsed.name,
+                kind: parsed.kind,
+                mimeType: file.type,
+                text: parsed.text,
+                preview: parsed.preview
+            });
+        } catch (err) {
+            showError(err.message);
+        }
+    }
+
+    // Shows the pending attachments above the input with remove buttons
+    function renderAttachmentTray() {
+        const tray = document.getElementById('attachment-tray');
+        if (!tray) return;
+        tray.innerHTML = '';
+        pendingAttachments.forEach((attachment, index) => {
+            const chip = document.createElement('div');
+            chip.className = 'chat-app__attachment-chip';
+            chip.appendChild(createThumbnail(attachment));
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'chat-app__attachment-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove ${attachment.name}`);
+            removeBtn.addEventListener('click', () => {
+                pendingAttachments.splice(index, 1);
+                renderAttachmentTray();
+            });
+            chip.appendChild(removeBtn);
+            tray.appendChild(chip);
+        });
+        tray.hidden = pendingAttachments.length === 0;
+        updateSendButtonState();
+    }
+
+    // Helper: Thumbnail image for an image attachment, or a labelled file icon for a document
+    function createThumbnail(attachment) {
+        if (attachment.type === 'document') {
+            const label = document.createElement('span');
+            label.className = 'chat-app__attachment-doc';
+            label.textContent = `📄 ${attachment.name}`;
+            label.title = `${attachment.name} (${attachment.preview})`;
+            return label;
+        }
+        const img = document.createElement('img');
+        img.className = 'chat-app__attachment-thumb';
+        img.src = `data:${attachment.mimeType};base64,${attachment.data}`;
+        img.alt = attachment.name;
+        img.title = attachment.name;
+        return img;
+    }
+
+    /**
+     * Gets the attachments waiting to be sent
+     * @returns {Array<Object>} - Images as {type:'image', name, mimeType, data};
+     *   documents as {type:'document', name, kind, mimeType, text, preview}
+     */
+    function getPendingAttachments() {
+        return pendingAttachments.slice();
+    }
+
+    /**
+     * Clears the attachments waiting to be sent
+     */
+    function clearPendingAttachments() {
+        pendingAttachments = [];
+        renderAttachmentTray();
+    }
+
+    /**
+     * Shows attachment thumbnails and document labels under a message's text
+     * @param {Element} messageElement - The message element
+     * @param {Array} attachments - The message's attachments
+     */
+    function addAttachmentThumbnails(messageElement, attachments) {
+        if (!messageElement || !attachments || !attachments.length) return;
+        const container = document.createElement('div');
+        container.className = 'chat-app__attachments';
+        attachments.forEach(attachment => container.appendChild(createThumbnail(attachment)));
+        const contentElement = messageElement.querySelector('.chat-app__message-content');
+        contentElement.insertAdjacentElement('afterend', container);
+    }
+
     // Floating scroll-to-bottom button logic
     function setupScrollToBottomButton() {
         const chatWindow = document.getElementById('chat-window');
@@ -110,13 +268,20 @@ const UIController = (function() {
      * Sets up event handlers for UI elements
      * @param {Function} onSendMessage - Callback for send button
      * @param {Function} onClearChat - Callback for clear chat button
+     * @param {Function} [onStop] - Callback for stop button
      */
-    function setupEventHandlers(onSendMessage, onClearChat) {
+    function setupEventHandlers(onSendMessage, onClearChat, onStop) {
         sendMessageCallback = onSendMessage;
         clearChatCallback = onClearChat;
         
         // Send button click handler
         document.getElementById('send-button').addEventListener('click', onSendMessage);
+
+        // Stop button click handler
+        const stopButton = document.getElementById('stop-button');
+        if (stopButton && onStop) {
+            stopButton.addEventListener('click', onStop);
+        }
         
         // Clear chat button click handler
         const clearChatButton = document.getElementById('clear-chat-button');
@@ -317,13 +482,31 @@ const UIController = (function() {
         return messageElement;
     }
 
+    /**
+     * Shows the prompt/completion tokens a reply spent under its bubble
+     * @param {Element} messageElement - The message element
+     * @param {{promptTokens:number,completionTokens:number}} usage - The usage of the reply
+     */
+    function setMessageUsage(messageElement, usage) {
+        if (!messageElement || !usage) return;
+        let usageElement = messageElement.querySelector('.chat-app__message-usage');
+        if (!usageElement) {
+            usageElement = document.createElement('span');
+            usageElement.className = 'chat-app__message-usage';
+            messageElement.appendChild(usageElement);
+        }
+        usageElement.textContent = `${usage.promptTokens} in / ${usage.completionTokens} out tokens`;
+    }
+
     // Add status bar control methods
     function formatAgentDetails(agentDetails) {
         if (!agentDetails) return '';
         const parts = [];
         if (agentDetails.model) parts.push(`<strong>Model:</strong> ${agentDetails.model}`);
+        if (agentDetails.fallbackModel) parts.push(`<strong>Fallback:</strong> ${Utils.escapeHtml(agentDetails.fallbackModel)}`);
         if (agentDetails.streaming !== undefined) parts.push(`<strong>Streaming:</strong> ${agentDetails.streaming ? 'On' : 'Off'}`);
         if (agentDetails.enableCoT !== undefined) parts.push(`<strong>CoT:</strong> ${agentDetails.enableCoT ? 'On' : 'Off'}`);
+        if (agentDetails.preset) parts.push(`<strong>Preset:</strong> ${Utils.escapeHtml(agentDetails.preset)}`);
         if (agentDetails.showThinking !== undefined) parts.push(`<strong>Thinking:</strong> ${agentDetails.showThinking ? 'On' : 'Off'}`);
         return parts.length ? `<span class="status-bar__details">${parts.join(' | ')}</span>` : '';
     }
@@ -474,6 +657,128 @@ const UIController = (function() {
         article.scrollIntoView({ behavior: 'smooth', block: 'end' });
     }
 
+    /**
+     * Builds the card for a calculate or datetime result, for addToolCard: the input and its result or error
+     * @param {string} expression - The input as the tool received it
+     * @param {string} result - The formatted result, or the error message when failed
+     * @param {Object} [options] - { failed, title, icon }; the title defaults to 'Calculation'
+     * @returns {Element}
+     */
+    function createCalculationCard(expression, result, options = {}) {
+        const { failed = false, title = 'Calculation', icon = '🧮' } = options;
+        const card = document.createElement('div');
+        card.className = 'read-result-card calc-result';
+        const header = document.createElement('div');
+        header.className = 'read-result-header';
+        header.innerHTML = `<span class="read-result-icon" aria-hidden="true">${icon}</span><span>${Utils.escapeHtml(title)}</span>`;
+        card.appendChild(header);
+        const expressionDiv = document.createElement('div');
+        expressionDiv.className = 'calc-result-expression';
+        expressionDiv.textContent = expression;
+        card.appendChild(expressionDiv);
+        const resultDiv = document.createElement('div');
+        resultDiv.className = failed ? 'calc-result-value calc-result-value--error' : 'calc-result-value';
+        resultDiv.textContent = failed ? result : `= ${result}`;
+        card.appendChild(resultDiv);
+        return card;
+    }
+
+    /**
+     * Builds the card for search_documents results, for addToolCard: each passage's reference and its opening lines
+     * @param {string} query
+     * @param {Array<{reference:string,name:string,page:(number|null),text:string}>} results - From DocumentLibrary.search()
+     * @returns {Element}
+     */
+    function createDocumentResultsCard(query, results) {
+        const card = document.createElement('div');
+        card.className = 'read-result-card library-result';
+        const header = document.createElement('div');
+        header.className = 'read-result-header';
+        header.innerHTML = `<span class="read-result-icon" aria-hidden="true">📚</span><span>Library: ${results.length} passage${results.length === 1 ? '' : 's'} for "${Utils.escapeHtml(query)}"</span>`;
+        card.appendChild(header);
+        results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'library-result__item';
+            const source = document.createElement('div');
+            source.className = 'library-result__source';
+            source.textContent = `${result.name}${result.page ? `, page ${result.page}` : ''}`;
+            source.title = result.reference;
+            item.appendChild(source);
+            const snippetDiv = document.createElement('div');
+            snippetDiv.className = 'read-result-snippet library-result__snippet';
+            snippetDiv.textContent = result.text.length > 300 ? `${result.text.slice(0, 300)}...` : result.text;
+            item.appendChild(snippetDiv);
+            card.appendChild(item);
+        });
+        return card;
+    }
+
+    /**
+     * Builds the card for a run_js result, for addToolCard: the code, its console output and result, collapsible
+     * @param {string} code - The code that ran
+     * @param {Object} outcome - From JsSandbox.run(): { logs, result, error, timedOut, truncated, durationMs }
+     * @returns {Element}
+     */
+    function createCodeCard(code, outcome) {
+        const card = document.createElement('div');
+        card.className = 'read-result-card code-result';
+        // Header doubles as the collapse toggle
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'read-result-header code-result-toggle';
+        toggle.setAttribute('aria-expanded', 'true');
+        const status = outcome.timedOut ? 'timed out' : (outcome.error ? 'failed' : `ran in ${outcome.durationMs} ms`);
+        toggle.innerHTML = `<span class="read-result-icon" aria-hidden="true">⚙️</span><span>JavaScript ${Utils.escapeHtml(status)}</span>`;
+        card.appendChild(toggle);
+        const body = document.createElement('div');
+        body.className = 'code-result-body';
+        const codeBlock = document.createElement('pre');
+        codeBlock.className = 'code-result-code';
+        codeBlock.textContent = code;
+        body.appendChild(codeBlock);
+        if (outcome.logs.length) {
+            const consoleBlock = document.createElement('pre');
+            consoleBlock.className = 'code-result-console';
+            outcome.logs.forEach(log => {
+                const line = document.createElement('div');
+                line.className = `code-result-console__line code-result-console__line--${log.level}`;
+                line.textContent = log.text;
+                consoleBlock.appendChild(line);
+            });
+            body.appendChild(consoleBlock);
+        }
+        const valueDiv = document.createElement('div');
+        valueDiv.className = outcome.error ? 'code-result-value code-result-value--error' : 'code-result-value';
+        valueDiv.textContent = outcome.error || `= ${outcome.result === undefined ? 'undefined' : outcome.result}`;
+        body.appendChild(valueDiv);
+        card.appendChild(body);
+        toggle.addEventListener('click', () => {
+            const expanded = toggle.getAttribute('aria-expanded') === 'true';
+            toggle.setAttribute('aria-expanded', String(!expanded));
+            card.classList.toggle('code-result-card--collapsed', expanded);
+        });
+        return card;
+    }
+
+    /**
+     * Adds a card drawn by a registered tool's render function to the chat window.
+     * Cards built here (the create*Card functions) bring their own frame; anything else gets the tool-result one.
+     * @param {Element} element - The card content
+     * @returns {Element} - The message element wrapping the card
+     */
+    function addToolCard(element) {
+        hideEmptyState();
+        const chatWindow = document.getElementById('chat-window');
+        const article = document.createElement('article');
+        article.className = element.classList.contains('read-result-card')
+            ? 'chat-app__message ai-message read-result'
+            : 'chat-app__message ai-message tool-result';
+        article.appendChild(element);
+        chatWindow.appendChild(article);
+        article.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        return article;
+    }
+
     /**
      * Shows an empty state message in the chat window
      */
@@ -574,6 +879,20 @@ const UIController = (function() {
         clearStatusBar(document.getElementById('status-bar'));
     }
 
+    /**
+     * Swaps the send button for the stop button while an agent run is in progress
+     * @param {boolean} isRunning - Whether a run is in progress
+     */
+    function setRunning(isRunning) {
+        const sendButton = document.getElementById('send-button');
+        const stopButton = document.getElementById('stop-button');
+        if (sendButton) sendButton.hidden = isRunning;
+        if (stopButton) {
+            stopButton.hidden = !isRunning;
+            stopButton.disabled = false;
+        }
+    }
+
     // Public API
     return {
         init,
@@ -583,13 +902,22 @@ const UIController = (function() {
         updateMessageContent,
         getUserInput,
         clearUserInput,
+        getPendingAttachments,
+        clearPendingAttachments,
+        addAttachmentThumbnails,
         createEmptyAIMessage,
         showStatus,
         clearStatus,
         addSearchResult,
         addReadResult,
+        createCalculationCard,
+        createCodeCard,
+        createDocumentResultsCard,
+        addToolCard,
         showSpinner,
         hideSpinner,
+        setRunning,
+        setMessageUsage,
         showStatusUnderToken,
         clearStatusUnderToken,
         showSpinnerUnderToken,
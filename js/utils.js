@@ -69,6 +69,15 @@ const Utils = (function() {
         }
     }
 
+    /**
+     * Generates a short unique id (e.g. for tool calls that arrive without one)
+     * @param {string} [prefix] - Optional id prefix
+     * @returns {string} - The generated id
+     */
+    function generateId(prefix = 'id') {
+        return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+
     /**
      * Creates an element from a template
      * @param {string} templateId - The ID of the template element
@@ -86,12 +95,25 @@ const Utils = (function() {
     /**
      * Updates the token usage display and shows a temporary status message under the token usage bar.
      * @param {number} totalTokens - The total tokens used
+     * @param {Object} [runBreakdown] - Tokens of the current run by purpose ({ [purpose]: { calls, promptTokens, completionTokens } })
      * Shows a status message for 2 seconds in the under-token status bar.
      */
-    function updateTokenDisplay(totalTokens) {
+    function updateTokenDisplay(totalTokens, runBreakdown) {
         const tokenDisplay = document.getElementById('token-usage');
         if (tokenDisplay) {
-            tokenDisplay.textContent = `Total tokens used: ${totalTokens}`;
+            const purposes = Object.keys(runBreakdown || {});
+            if (purposes.length) {
+                const runPrompt = purposes.reduce((sum, p) => sum + runBreakdown[p].promptTokens, 0);
+                const runCompletion = purposes.reduce((sum, p) => sum + runBreakdown[p].completionTokens, 0);
+                tokenDisplay.textContent = `Total tokens used: ${totalTokens} (this run: ${runPrompt} in / ${runCompletion} out)`;
+                tokenDisplay.title = purposes.map(p => {
+                    const entry = runBreakdown[p];
+                    return `${p} ×${entry.calls}: ${entry.promptTokens} in / ${entry.completionTokens} out`;
+                }).join('\n');
+            } else {
+                tokenDisplay.textContent = `Total tokens used: ${totalTokens}`;
+                tokenDisplay.title = '';
+            }
         }
         // Show status under token usage
         if (typeof UIController !== 'undefined' && typeof SettingsController !== 'undefined') {
@@ -213,6 +235,48 @@ const Utils = (function() {
         }
     }
 
+    /**
+     * Saves a JSON-serializable value to localStorage (for data too large for cookies)
+     * @param {string} key - Storage key
+     * @param {*} value - The value to save
+     */
+    function saveToStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.error(`Error saving ${key} to storage:`, err);
+        }
+    }
+
+    /**
+     * Gets a saved value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} - The parsed value or null if not found
+     */
+    function getFromStorage(key) {
+        try {
+            const str = localStorage.getItem(key);
+            return str ? JSON.parse(str) : null;
+        } catch (err) {
+            console.error(`Error reading ${key} from storage:`, err);
+            return null;
+        }
+    }
+
+    /**
+     * Reads a file (e.g. an attached image) as a data URL
+     * @param {File|Blob} file - The file to read
+     * @returns {Promise<string>} - The data URL ("data:<mime>;base64,<data>")
+     */
+    function readFileAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name || 'file'}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
     /**
      * Safely escapes HTML special characters in a string
      * @param {string} str - The string to escape
@@ -223,82 +287,163 @@ const Utils = (function() {
         return String(str).replace(/[&<>"']/g, s => map[s]);
     }
 
+    /**
+     * Creates the error thrown when a run is stopped by the user
+     * @returns {DOMException} - An AbortError
+     */
+    function createAbortError() {
+        return new DOMException('The run was stopped.', 'AbortError');
+    }
+
+    /**
+     * Checks whether an error comes from an aborted request or run
+     * @param {*} err - The caught error
+     * @returns {boolean}
+     */
+    function isAbortError(err) {
+        return !!err && err.name === 'AbortError';
+    }
+
+    /**
+     * Throws an AbortError if the signal has been aborted
+     * @param {AbortSignal} [signal] - The run's abort signal
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) throw createAbortError();
+    }
+
+    /**
+     * Waits for a delay, rejecting early if the signal is aborted
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} [signal] - The run's abort signal
+     * @returns {Promise<void>}
+     */
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(createAbortError());
+            const id = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            function onAbort() {
+                clearTimeout(id);
+                reject(createAbortError());
+            }
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Makes a controller abort when an outer (user) signal aborts. The link is
+     * kept after the response arrives so streamed bodies stop too.
+     * @param {AbortController} controller - The per-request controller
+     * @param {AbortSignal} [signal] - The outer signal
+     */
+    function linkAbortSignal(controller, signal) {
+        if (!signal) return;
+        if (signal.aborted) {
+            controller.abort(createAbortError());
+        } else {
+            signal.addEventListener('abort', () => controller.abort(createAbortError()), { once: true });
+        }
+    }
+
     // Add fetch helpers for timeout and retry
     async function fetchWithTimeout(resource, options = {}, timeout = 10000) {
         const controller = new AbortController();
+        linkAbortSignal(controller, options.signal);
         const id = setTimeout(() => controller.abort(), timeout);
-        options.signal = controller.signal;
         try {
-            return await fetch(resource, options);
+            return await fetch(resource, { ...options, signal: controller.signal });
+        } catch (err) {
+            // A timeout also surfaces as AbortError; only a user stop should read as one
+            if (options.signal && options.signal.aborted) throw createAbortError();
+            if (isAbortError(err)) throw ApiErrors.createTimeoutError(timeout);
+            throw ApiErrors.createNetworkError(err);
         } finally {
             clearTimeout(id);
         }
     }
 
+    // Retry-After waits longer than this fail fast instead of stalling the run
+    const MAX_RETRY_AFTER_MS = 60000;
+    const MAX_BACKOFF_MS = 30000;
+
+    /**
+     * Exponential backoff with jitter: half the doubled delay plus a random share of the other half
+     * @param {number} attempt - The attempt that just failed (1-based)
+     * @param {number} baseDelay - Delay after the first failure in ms
+     * @returns {number} - Delay in ms
+     */
+    function getBackoffDelay(attempt, baseDelay) {
+        const ceiling = Math.min(MAX_BACKOFF_MS, baseDelay * Math.pow(2, attempt - 1));
+        return ceiling / 2 + Math.random() * (ceiling / 2);
+    }
+
+    /**
+     * Fetches with a retry policy: network failures, timeouts, 429 and 5xx are
+     * retried (honoring Retry-After, otherwise with exponential backoff), while
+     * auth and validation errors fail at once. Failures surface as the typed
+     * errors from ApiErrors, so callers only ever see ok responses.
+     * @param {string} url - The request URL
+     * @param {Object} [options] - fetch options; options.signal stops retries
+     * @param {number} [maxAttempts] - Total attempts
+     * @param {number} [delay] - Base backoff delay in ms
+     * @param {number} [timeout] - Per-attempt time limit for the response headers in ms
+     * @returns {Promise<Response>} - The ok response
+     */
     async function fetchWithRetry(url, options = {}, maxAttempts = 3, delay = 1000, timeout = 10000) {
-        let attempt = 0;
-        while (attempt < maxAttempts) {
+        for (let attempt = 1; ; attempt++) {
+            throwIfAborted(options.signal);
+            let error;
             try {
-                const controller = new AbortController();
-                const id = setTimeout(() => controller.abort('timeout'), timeout);
-                const response = await fetch(url, { ...options, signal: controller.signal });
-                clearTimeout(id);
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                return response;
+                const response = await fetchWithTimeout(url, options, timeout);
+                if (response.ok) return response;
+                error = ApiErrors.fromResponse(response, await response.text());
             } catch (err) {
-                if (err.name === 'AbortError') {
-                    console.error(`Fetch attempt ${attempt + 1} aborted:`, err.message || err);
-                    throw err; // Do not retry on AbortError
-                }
-                attempt++;
-                if (attempt >= maxAttempts) throw err;
-                await new Promise(res => setTimeout(res, delay));
+                if (isAbortError(err)) throw err; // Do not retry on AbortError
+                error = err;
             }
+            if (!error.retryable || attempt >= maxAttempts) throw error;
+            const wait = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+                ? error.retryAfterMs
+                : getBackoffDelay(attempt, delay);
+            if (wait > MAX_RETRY_AFTER_MS) throw error;
+            console.warn(`Fetch attempt ${attempt} failed (${error.message}); retrying in ${Math.round(wait)}ms`);
+            await sleep(wait, options.signal);
         }
     }
 
-    // Add CORS proxy list and proxy-based retry helper
-    const corsProxies = [
-        // Direct fetch first
-        '',
-        // Widely used public CORS proxies
-        'https://cors-anywhere.herokuapp.com/',
-        'https://jsonp.afeld.me/?url=',
-        'https://api.allorigins.win/raw?url=',
-        'https://api.allorigins.xyz/raw?url=',
-        'https://corsproxy.io/?',
-        'https://thingproxy.freeboard.io/fetch/?url=',
-        'https://cors.eu.org/',
-        'https://api.codetabs.com/v1/proxy?quest=',
-        'https://yacdn.org/proxy/',
-        'https://cors.bridged.cc/',
-        'https://cors.sho.sh/',
-        'https://cors.ironproxy.xyz/',
-        'https://norobe-cors-anywhere.herokuapp.com/',
-        'https://corsproxy.github.io/?url=',
-        'https://cors-proxy.elfsight.com/'
-    ];
-
-    async function fetchWithProxyRetry(resource, options = {}, proxies = corsProxies, retries = proxies.length, retryDelay = 1000, timeout = 10000) {
+    /**
+     * Fetches a resource directly first, then through the CORS proxies from ProxyManager, best first
+     * @param {string} resource - The URL
+     * @param {Object} [options] - fetch options
+     * @param {Array<Object>} [proxies] - Proxies to use instead of ProxyManager's candidates
+     * @param {number} [retries] - Attempts in total (default: direct plus every proxy once)
+     * @param {number} [retryDelay] - Wait between attempts in ms
+     * @param {number} [timeout] - Timeout per attempt in ms
+     * @returns {Promise<Response>} - The first ok response
+     */
+    async function fetchWithProxyRetry(resource, options = {}, proxies = null, retries = 0, retryDelay = 1000, timeout = 10000) {
+        const routes = [null].concat(proxies || ProxyManager.getCandidates());
+        const attempts = retries || routes.length;
         let lastError;
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            const prefix = proxies[(attempt - 1) % proxies.length];
-            const url = prefix
-                ? (prefix.endsWith('?') || prefix.includes('?url=')
-                    ? prefix + encodeURIComponent(resource)
-                    : prefix + resource)
-                : resource;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const proxy = routes[(attempt - 1) % routes.length];
             try {
-                const response = await fetchWithTimeout(url, options, timeout);
+                if (proxy) return await ProxyManager.fetchThrough(proxy, resource, options, timeout);
+                const response = await fetchWithTimeout(resource, options, timeout);
                 if (!response.ok) {
-                    const text = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${text}`);
+                    throw ApiErrors.fromResponse(response, await response.text());
                 }
                 return response;
             } catch (err) {
+                if (isAbortError(err)) throw err;
+                // The API itself refused the request (e.g. bad key); other proxies will not help
+                if (!proxy && err.status && !err.retryable) throw err;
                 lastError = err;
-                console.warn(`Proxy fetch attempt ${attempt} via ${prefix || 'direct'} failed:`, err);
-                if (attempt < retries) await new Promise(r => setTimeout(r, retryDelay));
+                console.warn(`Proxy fetch attempt ${attempt} via ${proxy ? proxy.name : 'direct'} failed:`, err);
+                if (attempt < attempts) await sleep(retryDelay, options.signal);
             }
         }
         throw lastError;
@@ -309,6 +454,7 @@ const Utils = (function() {
         decrypt,
         encrypt,
         parseSSELine,
+        generateId,
         createFromTemplate,
         updateTokenDisplay,
         setCookie,
@@ -319,7 +465,14 @@ const Utils = (function() {
         clearSavedPassword,
         saveSettingsToCookie,
         getSettingsFromCookie,
+        saveToStorage,
+        getFromStorage,
         escapeHtml,
+        readFileAsDataUrl,
+        createAbortError,
+        isAbortError,
+        throwIfAborted,
+        sleep,
         fetchWithTimeout,
         fetchWithRetry,
         fetchWithProxyRetry
@@ -0,0 +1,89 @@
+/**
+ * ./tests/api-service.test.js
+ * Anthropic streaming: recorded Messages API event streams fed through the SSE parser,
+ * and through ApiService.stream against a fetch that replays them
+ */
+(function() {
+    'use strict';
+
+    const { test, assert, assertEqual, assertThrows, loadFixture } = TestRunner;
+
+    // Helper: Feeds a recorded stream to a new parser in pieces of the given size
+    function parseInPieces(stream, size) {
+        const parser = ApiService.createAnthropicStreamParser();
+        const deltas = [];
+        for (let i = 0; i < stream.length; i += size) {
+            deltas.push(...parser.push(stream.slice(i, i + size)));
+        }
+        return { deltas, result: parser.finish() };
+    }
+
+    test('Anthropic parser: text deltas, stop reason and usage from message_start and message_delta', async () => {
+        const { deltas, result } = parseInPieces(await loadFixture('anthropic/text-stream.sse'), Infinity);
+        assertEqual(deltas, ['The Eiffel Tower ', 'was completed in 1889 — ', "for the World's Fair."], 'deltas');
+        assertEqual(result.text, "The Eiffel Tower was completed in 1889 — for the World's Fair.", 'text');
+        assertEqual(result.usage, { promptTokens: 25, completionTokens: 19, totalTokens: 44 }, 'usage');
+        assertEqual(result.stopReason, 'end_turn', 'stop reason');
+        assert(result.done, 'message_stop marks the stream done');
+        assertEqual(result.toolCalls, [], 'tool calls');
+    });
+
+    test('Anthropic parser: events split across network chunks parse the same', async () => {
+        const stream = await loadFixture('anthropic/text-stream.sse');
+        const whole = parseInPieces(stream, Infinity);
+        [1, 7, 64, 333].forEach(size => {
+            const pieces = parseInPieces(stream, size);
+            assertEqual(pieces.deltas.join(''), whole.result.text, `text in ${size}-character pieces`);
+            assertEqual(pieces.result, whole.result, `result in ${size}-character pieces`);
+        });
+    });
+
+    test('Anthropic parser: CRLF line endings', async () => {
+        const { result } = parseInPieces((await loadFixture('anthropic/text-stream.sse')).replace(/\n/g, '\r\n'), 50);
+        assertEqual(result.text, "The Eiffel Tower was completed in 1889 — for the World's Fair.");
+        assertEqual(result.usage.totalTokens, 44, 'total tokens');
+    });
+
+    test('Anthropic parser: tool_use blocks are assembled from input_json_delta', async () => {
+        const { result } = parseInPieces(await loadFixture('anthropic/tool-use-stream.sse'), 40);
+        assertEqual(result.text, 'Let me search for that.', 'text');
+        assertEqual(result.toolCalls, [{ id: 'toolu_01T1x1fJ34qAmk2tNTrN7Up6', name: 'web_search', arguments: { query: 'Eiffel Tower height' } }], 'tool calls');
+        assertEqual(result.stopReason, 'tool_use', 'stop reason');
+        assertEqual(result.usage, { promptTokens: 472, completionTokens: 89, totalTokens: 561 }, 'usage');
+    });
+
+    test('Anthropic parser: a mid-stream error event throws a retryable error', async () => {
+        const stream = await loadFixture('anthropic/error-stream.sse');
+        const err = await assertThrows(() => parseInPieces(stream, Infinity), /Overloaded/);
+        assertEqual(err.name, ApiErrors.ERROR_NAMES.http, 'error name');
+        assertEqual(err.status, 529, 'status');
+        assert(err.retryable, 'overloaded errors are retryable');
+    });
+
+    test('ApiService.stream replays a recorded stream from a mock endpoint', async () => {
+        const stream = await loadFixture('anthropic/text-stream.sse');
+        const realFetch = window.fetch;
+        const requests = [];
+        window.fetch = async (url, options) => {
+            requests.push({ url: String(url), body: JSON.parse(options.body) });
+            return new Response(stream, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        };
+        ApiService.configureAnthropic({ apiKey: 'test-key', baseUrl: 'http://mock.anthropic.test/v1/' });
+        try {
+            const chunks = [];
+            const result = await ApiService.stream('claude-3-5-haiku-latest', [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: 'When was the Eiffel Tower completed?' }
+            ], chunk => chunks.push(chunk));
+            assertEqual(requests.length, 1, 'requests');
+            assertEqual(requests[0].url, 'http://mock.anthropic.test/v1/messages', 'endpoint');
+            assertEqual(requests[0].body.system, 'Be brief.', 'system field');
+            assert(requests[0].body.stream, 'streaming requested');
+            assertEqual(chunks.join(''), result.text, 'chunks add up to the text');
+            assertEqual(result.usage, { promptTokens: 25, completionTokens: 19, totalTokens: 44 }, 'usage');
+        } finally {
+            window.fetch = realFetch;
+            ApiService.configureAnthropic({});
+        }
+    });
+})();
@@ -0,0 +1,28 @@
+/**
+ * ./tests/calculator.test.js
+ * Percentages: "x% of y", and a percentage added to or taken off the value before it
+ */
+(function() {
+    'use strict';
+
+    const { test, assertEqual } = TestRunner;
+
+    // Helper: Formatted result of an expression
+    function calc(expression) {
+        return Calculator.evaluate(expression).text;
+    }
+
+    test('Calculator: a percentage after + or - is a percentage of the left operand', () => {
+        assertEqual(calc('200 + 10%'), '220', '200 + 10%');
+        assertEqual(calc('200 - 10%'), '180', '200 - 10%');
+        assertEqual(calc('$85 + 8.25%'), '92.0125 USD', 'a currency keeps its unit');
+        assertEqual(calc('1000 + 5% + 5%'), '1102.5', 'applied one after the other');
+    });
+
+    test('Calculator: other percentages are divided by 100', () => {
+        assertEqual(calc('15% of 200'), '30', '15% of 200');
+        assertEqual(calc('200 * 10%'), '20', '200 * 10%');
+        assertEqual(calc('200 + 10% * 2'), '200.2', 'a percentage used in a product is a plain number');
+        assertEqual(calc('10% + 5%'), '0.15', 'two percentages add');
+    });
+})();
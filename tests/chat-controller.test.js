@@ -0,0 +1,55 @@
+/**
+ * ./tests/chat-controller.test.js
+ * Tool calls: a handler added through ToolRegistry.register that throws still gets its tool
+ * turn, so the conversation stays a valid call/result sequence and the model is asked again
+ */
+(function() {
+    'use strict';
+
+    const { test, assert, assertEqual, openApp } = TestRunner;
+
+    test('ChatController: a registered tool whose handler throws is answered with an error and the run goes on', async () => {
+        const app = await openApp();
+        const Utils = app.get('Utils');
+        const ToolRegistry = app.get('ToolRegistry');
+        const ChatController = app.get('ChatController');
+        const SettingsController = app.get('SettingsController');
+        const savedSettings = Utils.getSettingsFromCookie();
+        const modelRequests = [];
+        // The model calls the tool once, then answers
+        app.window.fetch = async (url, options) => {
+            if (!String(url).includes('generativelanguage')) return new Response('', { status: 404 });
+            modelRequests.push(JSON.parse(options.body));
+            const part = modelRequests.length === 1 ? { functionCall: { name: 'explode', args: {} } } : { text: 'Recovered.' };
+            return new Response(JSON.stringify({ candidates: [{ content: { parts: [part] } }] }), { status: 200 });
+        };
+        ToolRegistry.register({
+            name: 'explode',
+            description: 'A tool that always fails.',
+            parameters: { type: 'object', properties: {} },
+            handler: async () => { throw new Error('boom'); }
+        });
+        try {
+            const settings = { ...(savedSettings || {}), selectedModel: 'gemini-2.0-flash', streaming: false, enableCoT: false, fallbackModels: [] };
+            Utils.saveSettingsToCookie(settings);
+            SettingsController.init();
+            ChatController.updateSettings(settings);
+            app.window.document.getElementById('message-input').value = 'Try the tool';
+            await ChatController.sendMessage();
+
+            const history = ChatController.getChatHistory();
+            const call = history.find(m => m.role === 'assistant' && m.toolCalls && m.toolCalls.length);
+            const result = history.find(m => m.role === 'tool');
+            assert(call, 'the tool call is in the history');
+            assert(result, 'the tool call has a result turn');
+            assertEqual(result.toolCallId, call.toolCalls[0].id, 'the result answers the call');
+            assertEqual(result.content, 'Error: explode failed: boom', 'tool result');
+            assertEqual(modelRequests.length, 2, 'model requests (the model is asked again after the error)');
+            assertEqual(history[history.length - 1].content, 'Recovered.', 'final answer');
+        } finally {
+            if (savedSettings) Utils.saveSettingsToCookie(savedSettings);
+            else Utils.deleteCookie('chat_settings');
+            app.close();
+        }
+    });
+})();
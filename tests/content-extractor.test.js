@@ -0,0 +1,43 @@
+/**
+ * ./tests/content-extractor.test.js
+ * Main-content extraction against saved pages: each fixtures/content-extractor/NAME.html
+ * must turn into exactly NAME.md
+ */
+(function() {
+    'use strict';
+
+    const { test, assert, assertEqual, loadFixture } = TestRunner;
+
+    // Saved pages, what each one covers, and the page chrome that must not survive
+    const FIXTURES = [
+        {
+            name: 'landmark-article',
+            covers: 'article landmark, nav/aside/footer stripped, nested lists, quote',
+            title: 'How to Repot a Houseplant | Green Thumb Blog',
+            boilerplate: ['Popular posts', 'Shop', 'All rights reserved', 'Tweet']
+        },
+        {
+            name: 'scored-region',
+            covers: 'no landmarks: region found by paragraph scoring, comments and widgets dropped, table',
+            title: 'City council approves new bike lanes - Riverton Daily',
+            boilerplate: ['Related stories', 'cookies', 'Comments', 'waste of money', 'Advertise']
+        },
+        {
+            name: 'code-blocks',
+            covers: 'main landmark, fenced code blocks with language, preformatted text, inline code in a table',
+            title: 'Reading JSON files in Node.js — Dev Notes',
+            boilerplate: ['Blog', 'static site generator']
+        }
+    ];
+
+    FIXTURES.forEach(fixture => {
+        test(`ContentExtractor: ${fixture.name} (${fixture.covers})`, async () => {
+            const html = await loadFixture(`content-extractor/${fixture.name}.html`);
+            const expected = (await loadFixture(`content-extractor/${fixture.name}.md`)).replace(/\r\n/g, '\n').replace(/\n$/, '');
+            const { title, text } = ContentExtractor.extractMainContent(html);
+            assertEqual(title, fixture.title, 'title');
+            fixture.boilerplate.forEach(phrase => assert(!text.includes(phrase), `boilerplate kept: "${phrase}"`));
+            assertEqual(text, expected, 'Markdown');
+        });
+    });
+})();
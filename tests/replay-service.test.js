@@ -0,0 +1,53 @@
+/**
+ * ./tests/replay-service.test.js
+ * End-to-end replay: the app runs in an iframe with the network disabled and answers a
+ * recorded question through sendMessage → web_search → suggestResultsToRead →
+ * summarizeSnippets → synthesizeFinalAnswer, every model reply and page coming from the fixture
+ */
+(function() {
+    'use strict';
+
+    const { test, assert, assertEqual, loadFixture, openApp } = TestRunner;
+
+    test('Replay: a recorded web-search session runs end to end offline', async () => {
+        const fixture = JSON.parse(await loadFixture('replay/eiffel-tower.json'));
+        const app = await openApp();
+        const Utils = app.get('Utils');
+        const ReplayService = app.get('ReplayService');
+        const ChatController = app.get('ChatController');
+        const SettingsController = app.get('SettingsController');
+        // The replay model is picked through the saved settings; put the user's back afterwards
+        const savedSettings = Utils.getSettingsFromCookie();
+        const networkCalls = [];
+        app.window.fetch = async url => {
+            networkCalls.push(String(url));
+            throw new TypeError(`Network used during replay: ${url}`);
+        };
+        try {
+            const model = ReplayService.startReplay(fixture);
+            const settings = { ...(savedSettings || {}), selectedModel: model, streaming: false, enableCoT: false, fallbackModels: [] };
+            Utils.saveSettingsToCookie(settings);
+            SettingsController.init();
+            ChatController.updateSettings(settings);
+            app.window.document.getElementById('message-input').value = 'When was the Eiffel Tower completed?';
+            await ChatController.sendMessage();
+
+            const status = ReplayService.getStatus();
+            assertEqual(status.mismatches, [], 'requests that differ from the recording');
+            assertEqual(status.replayedCalls, fixture.llm.length, 'model calls replayed');
+            assertEqual(networkCalls, [], 'network requests');
+            const history = ChatController.getChatHistory();
+            const answer = history[history.length - 1];
+            assertEqual(answer.role, 'assistant', 'last message');
+            assertEqual(answer.content, fixture.llm[fixture.llm.length - 1].response.text, 'final answer');
+            assert(/31 March 1889/.test(answer.content), 'the answer gives the completion date');
+            const reads = history.filter(m => m.role === 'tool' && /^Read content from/.test(m.content));
+            assertEqual(reads.length, 2, 'pages read');
+        } finally {
+            ReplayService.stopReplay();
+            if (savedSettings) Utils.saveSettingsToCookie(savedSettings);
+            else Utils.deleteCookie('chat_settings');
+            app.close();
+        }
+    });
+})();
@@ -0,0 +1,135 @@
+/**
+ * ./tests/test-runner.js
+ * Test Runner Module - A small in-browser harness for the tests under tests/
+ * Test files register cases with TestRunner.test(); tests/index.html runs them in order and
+ * lists the results. Fixtures are fetched relative to tests/, so serve the repository over
+ * HTTP (for example `python3 -m http.server` in its root) and open /tests/.
+ */
+const TestRunner = (function() {
+    'use strict';
+
+    const tests = [];
+
+    // Helper: Readable form of a value for failure messages
+    function show(value) {
+        return value === undefined ? 'undefined' : JSON.stringify(value, null, 2);
+    }
+
+    /**
+     * Registers a test
+     * @param {string} name - What the test checks
+     * @param {Function} fn - The test; may be async, fails by throwing
+     */
+    function test(name, fn) {
+        tests.push({ name, fn });
+    }
+
+    /**
+     * Fails the test unless the condition holds
+     * @param {*} condition
+     * @param {string} [message]
+     */
+    function assert(condition, message) {
+        if (!condition) throw new Error(message || 'Assertion failed');
+    }
+
+    /**
+     * Fails the test unless the values are equal (compared as JSON)
+     * @param {*} actual
+     * @param {*} expected
+     * @param {string} [message] - What was compared
+     */
+    function assertEqual(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message ? `${message}: ` : ''}expected ${show(expected)}, got ${show(actual)}`);
+        }
+    }
+
+    /**
+     * Fails the test unless fn throws (or rejects) with a message matching the pattern
+     * @param {Function} fn - May be async
+     * @param {RegExp} pattern - Expected error message
+     * @returns {Promise<Error>} - The error, for further checks
+     */
+    async function assertThrows(fn, pattern) {
+        try {
+            await fn();
+        } catch (err) {
+            if (pattern && !pattern.test(err.message)) {
+                throw new Error(`expected an error matching ${pattern}, got "${err.message}"`);
+            }
+            return err;
+        }
+        throw new Error(`expected an error matching ${pattern}, but nothing was thrown`);
+    }
+
+    /**
+     * Loads a fixture file as text
+     * @param {string} path - Path below tests/fixtures/
+     * @returns {Promise<string>}
+     */
+    async function loadFixture(path) {
+        const response = await fetch(`fixtures/${path}`);
+        if (!response.ok) throw new Error(`Could not load fixture ${path}: HTTP ${response.status}`);
+        return response.text();
+    }
+
+    /**
+     * Loads the app in a hidden iframe. Its modules are read with get(name), since top-level
+     * const bindings are not properties of its window.
+     * @returns {Promise<{window:Window,get:Function,close:Function}>}
+     */
+    function openApp() {
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.src = '../index.html';
+            frame.style.display = 'none';
+            frame.onload = () => resolve({
+                window: frame.contentWindow,
+                get: name => frame.contentWindow.eval(name),
+                close: () => frame.remove()
+            });
+            frame.onerror = () => reject(new Error('Could not load the app'));
+            document.body.appendChild(frame);
+        });
+    }
+
+    /**
+     * Runs the registered tests in order and lists the results in #results
+     * @returns {Promise<{passed:number,failed:number}>}
+     */
+    async function run() {
+        const list = document.getElementById('results');
+        let failed = 0;
+        for (const { name, fn } of tests) {
+            const item = document.createElement('li');
+            try {
+                await fn();
+                item.className = 'test-result test-result--pass';
+                item.textContent = `✓ ${name}`;
+            } catch (err) {
+                failed++;
+                item.className = 'test-result test-result--fail';
+                item.textContent = `✗ ${name}\n${err.message}`;
+                console.error(`✗ ${name}`, err);
+            }
+            list.appendChild(item);
+        }
+        const summary = `${tests.length - failed} of ${tests.length} tests passed`;
+        document.getElementById('summary').textContent = summary;
+        document.title = `${failed ? 'FAIL' : 'PASS'}: ${summary}`;
+        console.log(summary);
+        return { passed: tests.length - failed, failed };
+    }
+
+    // Public API
+    return {
+        test,
+        assert,
+        assertEqual,
+        assertThrows,
+        loadFixture,
+        openApp,
+        run
+    };
+})();
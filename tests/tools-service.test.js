@@ -0,0 +1,58 @@
+/**
+ * ./tests/tools-service.test.js
+ * DuckDuckGo search through the proxies: a results page with no hits is a valid answer,
+ * while a proxy's own error page counts against the proxy
+ */
+(function() {
+    'use strict';
+
+    const { test, assertEqual, assertThrows } = TestRunner;
+
+    const HEALTH_KEY = 'chat_proxy_health';
+
+    // Helper: Runs fn with every fetch answered by the given HTML, then puts fetch and the proxy
+    // health back, both saved and in memory; returns the URLs fetched and the proxies that failed
+    async function withPages(html, fn) {
+        const realFetch = window.fetch;
+        const savedHealth = localStorage.getItem(HEALTH_KEY);
+        const failures = () => Object.fromEntries(ProxyManager.list().map(p => [p.id, p.health.failures]));
+        const before = failures();
+        const fetched = [];
+        window.fetch = async url => {
+            fetched.push(String(url));
+            return new Response(html, { status: 200, headers: { 'Content-Type': 'text/html' } });
+        };
+        try {
+            await fn();
+            const after = failures();
+            return { fetched, failed: Object.keys(after).filter(id => after[id] > before[id]) };
+        } finally {
+            window.fetch = realFetch;
+            if (savedHealth === null) localStorage.removeItem(HEALTH_KEY);
+            else localStorage.setItem(HEALTH_KEY, savedHealth);
+            ProxyManager.reload();
+        }
+    }
+
+    test('DuckDuckGo: a results page without results is an empty answer, not a proxy failure', async () => {
+        const page = '<html><body><div id="links" class="results"><div class="no-results">No results.</div></div></body></html>';
+        let results;
+        const { fetched, failed } = await withPages(page, async () => {
+            results = await ToolsService.webSearch('qwxzv plorth', null, 'duckduckgo');
+        });
+        assertEqual(results, [], 'results');
+        assertEqual(fetched.length, 1, 'pages fetched (the first proxy answered)');
+        assertEqual(failed, [], 'proxies marked as failed');
+    });
+
+    test('DuckDuckGo: a proxy error page moves on to the next proxy and counts against it', async () => {
+        const candidates = ProxyManager.getCandidates().map(p => p.id);
+        const healthBefore = ProxyManager.list().map(p => p.health);
+        const { fetched, failed } = await withPages('<html><body><h1>Too many requests</h1></body></html>', async () => {
+            await assertThrows(() => ToolsService.webSearch('eiffel tower', null, 'duckduckgo'), /All proxies failed/);
+        });
+        assertEqual(fetched.length, candidates.length + 1, 'pages fetched (every proxy, then directly)');
+        assertEqual(failed.sort(), candidates.sort(), 'proxies marked as failed');
+        assertEqual(ProxyManager.list().map(p => p.health), healthBefore, 'proxy health once the test is done');
+    });
+})();